@@ -3,6 +3,13 @@
  * Handles gameplay logic, board interactions, and game state management
  */
 
+// Clock display: refresh rate, latency measurement interval and the time below which a clock turns red (ms)
+const CLOCK_TICK_INTERVAL = 100;
+const CLOCK_PING_INTERVAL = 5000;
+const CLOCK_LOW_TIME = 10000;
+// From this much time left (ms) a clock shows days and hours instead of minutes and seconds
+const CLOCK_LONG_TIME = 24 * 60 * 60 * 1000;
+
 class GameManager {
     constructor() {
         this.socket = null;
@@ -10,9 +17,17 @@ class GameManager {
         this.selectedPiece = null;
         this.possibleMoves = [];
         this.playerColor = null;
+        this.playerId = null; // Seat id the server gave this connection
         this.isMyTurn = false;
         this.hasRequestedNewGame = false;
+        this.hasRequestedTakeback = false;
         this.hasShownNonSelectorMessage = false;
+        this.evaluationEnabled = false;
+        this.clock = null; // Last clock state from the server, with the local time it arrived
+        this.clockLatency = 0; // Estimated one-way delay (ms) of server messages
+        this.clockTimer = null;
+        this.clockPingTimer = null;
+        this.conditionalLines = []; // This player's queued conditional moves, one line per string
         this.roomManager = null; // Will be set by main script
         
         this.initializeElements();
@@ -25,9 +40,30 @@ class GameManager {
         this.turnDisplay = document.getElementById('turn-display');
         this.redPlayerName = document.getElementById('red-player-name');
         this.blackPlayerName = document.getElementById('black-player-name');
+        this.clockElements = {
+            red: document.getElementById('red-clock'),
+            black: document.getElementById('black-clock')
+        };
+        this.variantDisplay = document.getElementById('variant-display');
+        this.puzzleBanner = document.getElementById('puzzle-banner');
+        this.puzzleTitle = document.getElementById('puzzle-title');
+        this.puzzleTask = document.getElementById('puzzle-task');
         
         // Control elements
         this.resetGameBtn = document.getElementById('reset-game');
+        this.takebackBtn = document.getElementById('request-takeback');
+        this.offerDrawBtn = document.getElementById('offer-draw');
+        this.resignBtn = document.getElementById('resign');
+        this.exportPdnBtn = document.getElementById('export-pdn');
+        this.planMovesBtn = document.getElementById('plan-moves');
+        this.conditionalMovesDisplay = document.getElementById('conditional-moves');
+        
+        // Training elements
+        this.hintBtn = document.getElementById('request-hint');
+        this.evalToggleBtn = document.getElementById('toggle-eval');
+        this.evalBar = document.getElementById('eval-bar');
+        this.evalBarFill = document.getElementById('eval-bar-fill');
+        this.evalBarLabel = document.getElementById('eval-bar-label');
         
         // Modal elements
         this.gameOverModal = document.getElementById('game-over-modal');
@@ -36,7 +72,12 @@ class GameManager {
         this.gameOverMessage = document.getElementById('game-over-message');
         this.consolationMessage = document.getElementById('consolation-message');
         this.playAgainBtn = document.getElementById('play-again');
+        this.nextPuzzleBtn = document.getElementById('next-puzzle');
         this.closeModalBtn = document.getElementById('close-modal');
+        this.analysisPanel = document.getElementById('analysis-panel');
+        this.analysisStatus = document.getElementById('analysis-status');
+        this.analysisMoves = document.getElementById('analysis-moves');
+        this.analyseGameBtn = document.getElementById('analyse-game');
         
         // Turn Order Modal elements
         this.turnOrderModal = document.getElementById('turn-order-modal');
@@ -50,10 +91,19 @@ class GameManager {
     attachEventListeners() {
         // Game controls
         this.resetGameBtn.addEventListener('click', () => this.resetGame());
+        this.takebackBtn.addEventListener('click', () => this.requestTakeback());
+        this.offerDrawBtn.addEventListener('click', () => this.offerDraw());
+        this.resignBtn.addEventListener('click', () => this.resign());
+        this.exportPdnBtn.addEventListener('click', () => this.exportPdn());
+        this.planMovesBtn.addEventListener('click', () => this.planMoves());
+        this.hintBtn.addEventListener('click', () => this.requestHint());
+        this.evalToggleBtn.addEventListener('click', () => this.toggleEvaluation());
         
         // Modal controls
         this.playAgainBtn.addEventListener('click', () => this.playAgain());
+        this.nextPuzzleBtn.addEventListener('click', () => this.nextPuzzle());
         this.closeModalBtn.addEventListener('click', () => this.closeModal());
+        this.analyseGameBtn.addEventListener('click', () => this.loadAnalysis(this.gameState.roomCode));
         
         // Turn Order Modal controls
         this.playerStartsFirstBtn.addEventListener('click', () => this.selectTurnOrder('self'));
@@ -74,6 +124,7 @@ class GameManager {
 
     setupSocketListeners() {
         // Game event listeners
+        this.socket.on('seat-assigned', (data) => this.handleSeatAssigned(data));
         this.socket.on('game-state', (data) => this.handleGameState(data));
         this.socket.on('move-made', (data) => this.handleMoveMade(data));
         this.socket.on('move-error', (data) => this.handleMoveError(data));
@@ -81,9 +132,22 @@ class GameManager {
         this.socket.on('game-reset', (data) => this.handleGameReset(data));
         this.socket.on('new-game-requested', (data) => this.handleNewGameRequested(data));
         this.socket.on('new-game-request-cancelled', (data) => this.handleNewGameRequestCancelled(data));
+        this.socket.on('takeback-requested', (data) => this.handleTakebackRequested(data));
+        this.socket.on('takeback-request-cancelled', (data) => this.handleTakebackRequestCancelled(data));
+        this.socket.on('takeback-accepted', (data) => this.handleTakebackAccepted(data));
+        this.socket.on('takeback-declined', (data) => this.handleTakebackDeclined(data));
+        this.socket.on('draw-offered', (data) => this.handleDrawOffered(data));
+        this.socket.on('draw-declined', (data) => this.handleDrawDeclined(data));
         this.socket.on('show-turn-order-selection', (data) => this.handleShowTurnOrderSelection(data));
         this.socket.on('turn-order-selected', (data) => this.handleTurnOrderSelected(data));
         this.socket.on('possible-moves', (data) => this.handlePossibleMoves(data));
+        this.socket.on('hint', (data) => this.handleHint(data));
+        this.socket.on('evaluation', (data) => this.handleEvaluation(data));
+        this.socket.on('engine-chat', (data) => this.handleEngineChat(data));
+        this.socket.on('puzzle-progress', (data) => this.handlePuzzleProgress(data));
+        this.socket.on('clock-pong', (data) => this.handleClockPong(data));
+        this.socket.on('conditional-moves', (data) => this.handleConditionalMoves(data));
+        this.socket.on('inactivity-warning', (data) => this.handleInactivityWarning(data));
     }
 
     resetGame() {
@@ -106,6 +170,61 @@ class GameManager {
         }
     }
 
+    requestTakeback() {
+        if (this.hasRequestedTakeback) {
+            this.socket.emit('cancel-takeback-request');
+        } else {
+            this.socket.emit('request-takeback');
+        }
+    }
+
+    offerDraw() {
+        this.socket.emit('offer-draw');
+    }
+
+    resign() {
+        const question = this.gameState?.puzzle
+            ? 'Give up and see the solution?'
+            : 'Are you sure you want to resign this game?';
+        if (confirm(question)) {
+            this.socket.emit('resign');
+        }
+    }
+
+    exportPdn() {
+        if (!this.gameState) return;
+        
+        // Use a download link so the page's beforeunload warning is not triggered
+        const link = document.createElement('a');
+        link.href = `/api/room/${encodeURIComponent(this.gameState.roomCode)}/pdn`;
+        link.download = `checkers-${this.gameState.roomCode}.pdn`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    planMoves() {
+        const answer = prompt(
+            'Plan replies to your opponent\'s moves, e.g. "11-15 23-19 8-11 22-17" (their move, your reply, ...).\n'
+            + 'Separate lines with ";" and leave empty to clear.',
+            this.conditionalLines.join('; ')
+        );
+        if (answer === null) return;
+
+        const lines = answer.split(';').map(line => line.trim()).filter(line => line !== '');
+        this.socket.emit('set-conditional-moves', { lines });
+    }
+
+    requestHint() {
+        this.socket.emit('request-hint');
+    }
+
+    toggleEvaluation() {
+        this.evaluationEnabled = !this.evaluationEnabled;
+        this.socket.emit('subscribe-evaluation', { enabled: this.evaluationEnabled });
+        this.updateTrainingControls();
+    }
+
     playAgain() {
         this.closeModal();
         
@@ -121,8 +240,16 @@ class GameManager {
         }
     }
 
+    nextPuzzle() {
+        this.closeModal();
+        if (this.roomManager && this.gameState) {
+            this.roomManager.nextPuzzle(this.gameState.rules.id);
+        }
+    }
+
     closeModal() {
         this.gameOverModal.classList.add('hidden');
+        this.analysisRequest = null;
         // Also hide confetti when closing modal
         this.confettiContainer.classList.add('hidden');
         this.confettiContainer.innerHTML = '';
@@ -149,15 +276,45 @@ class GameManager {
         this.selectedPiece = null;
         this.possibleMoves = [];
         this.playerColor = null;
+        this.playerId = null;
         this.hasRequestedNewGame = false;
+        this.hasRequestedTakeback = false;
         this.hasShownNonSelectorMessage = false;
+        this.evaluationEnabled = false;
+        this.conditionalLines = [];
+        this.updateClocks(null);
         this.clearBoard();
+        this.updateTrainingControls();
+        this.updatePuzzleBanner();
         // Clear confetti when clearing game state
         this.confettiContainer.classList.add('hidden');
         this.confettiContainer.innerHTML = '';
     }
 
     // Socket event handlers
+    handleSeatAssigned(data) {
+        // Live rooms seat the connection itself; correspondence seats outlast it
+        this.playerId = data.playerId;
+    }
+
+    handleConditionalMoves(data) {
+        this.conditionalLines = data.lines;
+        this.updateConditionalMoves();
+        if (data.saved && this.roomManager) {
+            Utils.showToast(data.lines.length > 0 ? 'Conditional moves saved' : 'Conditional moves cleared', 'success');
+        }
+    }
+
+    handleInactivityWarning(data) {
+        if (!this.roomManager) return;
+
+        if (data.playerId === this.playerId) {
+            Utils.showToast(`⏰ Move within ${data.secondsLeft} seconds or you lose the game!`, 'error', 6000);
+        } else {
+            Utils.showToast(`Your opponent has ${data.secondsLeft} seconds left to move.`, 'info');
+        }
+    }
+
     handleGameState(data) {
         console.log('Game state received:', data);
         this.updateGameState(data);
@@ -178,6 +335,18 @@ class GameManager {
         if (data.promoted && this.roomManager) {
             Utils.showToast('Piece promoted to king!', 'success');
         }
+
+        if (data.conditional && data.move && this.roomManager) {
+            const whose = data.move.color === this.playerColor ? 'Your' : 'Opponent\'s';
+            Utils.showToast(`${whose} conditional move ${data.move.notation} was played`, 'info');
+        }
+
+        // Every completed solver move that keeps the puzzle going was the right one
+        const puzzleMoveDone = this.gameState.puzzle && data.move && data.move.color === this.playerColor
+            && this.gameState.gameState === 'playing' && !this.gameState.mustCapture;
+        if (puzzleMoveDone && this.roomManager) {
+            Utils.showToast('✔ Correct! Keep going...', 'success');
+        }
         
         // Auto-select piece for continued capturing
         if (this.gameState.mustCapture && this.gameState.capturingPiece && this.isMyTurn) {
@@ -195,21 +364,49 @@ class GameManager {
     handleGameOver(data) {
         console.log('Game over:', data);
         this.updateGameState(data.gameState);
+
+        if (data.gameState.puzzle) {
+            this.showPuzzleResult(data);
+            return;
+        }
         
         const winner = data.winner;
         const isWinner = this.playerColor === winner;
         
         // Reset modal classes
         this.modalContent.className = 'modal-content';
+        this.playAgainBtn.textContent = 'Play Again';
+        this.nextPuzzleBtn.classList.add('hidden');
         this.gameOverTitle.className = '';
         this.consolationMessage.classList.add('hidden');
+        this.offerAnalysis();
+        
+        if (!winner) {
+            // Drawn games have no winner or loser styling
+            const reasonText = this.describeDrawReason(data.result?.reason);
+            this.modalContent.classList.add('draw');
+            this.gameOverTitle.textContent = '🤝 It\'s a Draw!';
+            this.gameOverMessage.textContent = reasonText;
+            this.gameOverModal.classList.remove('hidden');
+            if (this.roomManager) {
+                Utils.showToast(`Game Over! ${reasonText}`, 'info');
+            }
+            return;
+        }
         
         if (isWinner) {
             // Winner styling and confetti
             this.modalContent.classList.add('winner');
             this.gameOverTitle.className = 'winner-title';
             this.gameOverTitle.textContent = '🎉 Congratulations! You Win! 🎉';
-            this.gameOverMessage.textContent = `Amazing victory! ${winner.charAt(0).toUpperCase() + winner.slice(1)} player conquers the board!`;
+            this.gameOverMessage.textContent = data.result?.reason === 'resignation'
+                ? 'Your opponent resigned. The victory is yours!'
+                : data.result?.reason === 'time'
+                    ? 'Your opponent ran out of time. The victory is yours!'
+                    : data.result?.reason === 'abandoned'
+                    ? 'Your opponent abandoned the game. The victory is yours!'
+                    : this.describeGiveawayWin(data.result?.reason, true)
+                    || `Amazing victory! ${winner.charAt(0).toUpperCase() + winner.slice(1)} player conquers the board!`;
             
             // Trigger confetti animation
             this.createConfetti();
@@ -223,7 +420,14 @@ class GameManager {
             this.modalContent.classList.add('loser');
             this.gameOverTitle.className = 'loser-title';
             this.gameOverTitle.textContent = 'Game Over - Keep Fighting!';
-            this.gameOverMessage.textContent = `${winner.charAt(0).toUpperCase() + winner.slice(1)} player wins this round.`;
+            this.gameOverMessage.textContent = data.result?.reason === 'resignation'
+                ? 'You resigned this round.'
+                : data.result?.reason === 'time'
+                    ? 'You ran out of time this round.'
+                    : data.result?.reason === 'abandoned'
+                    ? 'You stopped moving, so the game counts as abandoned.'
+                    : this.describeGiveawayWin(data.result?.reason, false)
+                    || `${winner.charAt(0).toUpperCase() + winner.slice(1)} player wins this round.`;
             
             // Show consolation message
             const consolationMessages = [
@@ -257,6 +461,145 @@ class GameManager {
         }
     }
 
+    showPuzzleResult(data) {
+        const puzzle = data.gameState.puzzle;
+        const solved = data.result?.reason === 'puzzle_solved';
+
+        this.modalContent.className = `modal-content ${solved ? 'winner' : 'loser'}`;
+        this.gameOverTitle.className = solved ? 'winner-title' : 'loser-title';
+        this.consolationMessage.classList.add('hidden');
+        this.analysisPanel.classList.add('hidden');
+
+        if (solved) {
+            this.gameOverTitle.textContent = '🧩 Puzzle Solved!';
+            this.gameOverMessage.textContent = puzzle.mistakes === 0
+                ? 'Found at the first attempt. Well played!'
+                : `Solved after ${puzzle.mistakes} wrong ${puzzle.mistakes === 1 ? 'try' : 'tries'}.`;
+            this.createConfetti();
+        } else {
+            this.gameOverTitle.textContent = 'Puzzle Not Solved';
+            this.gameOverMessage.textContent = `The solution was ${puzzle.solution.join(' ')}`;
+        }
+
+        this.playAgainBtn.textContent = 'Try Again';
+        this.nextPuzzleBtn.classList.remove('hidden');
+        this.gameOverModal.classList.remove('hidden');
+    }
+
+    handlePuzzleProgress(data) {
+        const { solved, total } = data.progress;
+        Utils.showToast(solved < total
+            ? `${solved} of ${total} puzzles solved`
+            : `All ${total} puzzles solved!`, 'success');
+    }
+
+    offerAnalysis() {
+        // The analysis is a long search, so the server only runs it when asked
+        this.analysisRequest = null;
+        this.analysisMoves.innerHTML = '';
+        this.analysisStatus.textContent = '';
+        this.analyseGameBtn.classList.remove('hidden');
+        this.analysisPanel.classList.remove('hidden');
+    }
+
+    async loadAnalysis(roomCode) {
+        // Ignore a slow report if another game has ended since it was requested
+        const request = this.analysisRequest = {};
+        this.analysisMoves.innerHTML = '';
+        this.analysisStatus.textContent = 'Analysing the game...';
+        this.analyseGameBtn.classList.add('hidden');
+        this.analysisPanel.classList.remove('hidden');
+
+        try {
+            const response = await fetch(`/api/room/${encodeURIComponent(roomCode)}/analysis`);
+            const data = await response.json();
+            if (request !== this.analysisRequest) return;
+
+            if (data.error) {
+                this.analysisStatus.textContent = `Analysis unavailable: ${data.error}`;
+                return;
+            }
+            this.renderAnalysis(data);
+        } catch (error) {
+            console.error('Error loading analysis:', error);
+            if (request === this.analysisRequest) {
+                this.analysisStatus.textContent = 'Analysis unavailable.';
+            }
+        }
+    }
+
+    renderAnalysis(data) {
+        if (data.moves.length === 0) {
+            this.analysisStatus.textContent = 'No moves were played.';
+            return;
+        }
+
+        const count = color => {
+            const { inaccuracy, mistake, blunder } = data.summary[color];
+            return `${inaccuracy} inaccuracies, ${mistake} mistakes, ${blunder} blunders`;
+        };
+        this.analysisStatus.textContent = `Red: ${count('red')}. Black: ${count('black')}.`;
+
+        data.moves.forEach(move => {
+            const item = document.createElement('li');
+            item.className = `analysis-move ${move.label}`;
+
+            const notation = document.createElement('span');
+            notation.className = 'analysis-notation';
+            notation.textContent = `${move.number}${move.color === 'red' ? '.' : '...'} ${move.notation}`;
+            item.appendChild(notation);
+
+            const label = document.createElement('span');
+            label.className = 'analysis-label';
+            label.textContent = move.label === 'best' ? move.evaluation : `${move.label} (${move.evaluation})`;
+            item.appendChild(label);
+
+            if (move.alternatives.length > 0) {
+                const alternatives = document.createElement('div');
+                alternatives.className = 'analysis-alternatives';
+                alternatives.textContent = `Better: ${move.alternatives
+                    .map(alternative => `${alternative.notation} (${alternative.evaluation})`)
+                    .join(', ')}`;
+                item.appendChild(alternatives);
+            }
+
+            this.analysisMoves.appendChild(item);
+        });
+    }
+
+    describeGiveawayWin(reason, isWinner) {
+        if (!this.gameState?.rules?.giveaway) return null;
+
+        // In giveaway the winner is the side left without pieces or moves
+        switch (reason) {
+            case 'no_pieces':
+                return isWinner
+                    ? 'You gave away all of your pieces first!'
+                    : 'Your opponent gave away all of their pieces first.';
+            case 'no_moves':
+                return isWinner
+                    ? 'You have no moves left - that wins at giveaway!'
+                    : 'Your opponent ran out of moves, which wins at giveaway.';
+            default:
+                return null;
+        }
+    }
+
+    describeDrawReason(reason) {
+        switch (reason) {
+            case 'repetition':
+                return 'Draw by repetition - the same position occurred three times.';
+            case 'agreement':
+                return 'Draw agreed by both players.';
+            case 'move_limit':
+                return `Draw by the ${this.gameState?.drawMoveLimit}-move rule - no captures or man moves.`;
+            case 'tablebase_draw':
+                return 'Draw - the endgame tablebase shows neither side can force a win.';
+            default:
+                return 'The game ended in a draw.';
+        }
+    }
+
     createConfetti() {
         // Clear any existing confetti
         this.confettiContainer.innerHTML = '';
@@ -321,6 +664,52 @@ class GameManager {
         }
     }
 
+    handleEngineChat(data) {
+        Utils.showToast(`${data.name}: ${data.message}`, 'info');
+    }
+
+    handleHint(data) {
+        console.log('Hint received:', data);
+        this.updateGameState(data.gameState);
+        if (this.roomManager) {
+            Utils.showToast(`💡 Best move: ${data.notation}`, 'info');
+        }
+
+        // Mark the start and end squares of the suggested move for a few seconds
+        const shouldRotate = this.playerColor === 'red';
+        const lastIndex = this.gameState.board.length - 1;
+        [data.path[0], data.path[data.path.length - 1]].forEach(([row, col]) => {
+            const displayRow = shouldRotate ? (lastIndex - row) : row;
+            const displayCol = shouldRotate ? (lastIndex - col) : col;
+            const square = document.querySelector(`[data-display-row="${displayRow}"][data-display-col="${displayCol}"]`);
+            if (square) {
+                square.classList.add('hint');
+                setTimeout(() => square.classList.remove('hint'), 3000);
+            }
+        });
+    }
+
+    handleEvaluation(data) {
+        if (!this.evaluationEnabled) return;
+
+        // The bar fills from the bottom with the share of the side sitting there
+        const bottomColor = this.playerColor === 'red' ? 'red' : 'black';
+        const score = bottomColor === 'red' ? data.score : -data.score;
+        let share;
+        let label;
+        if (data.decisive) {
+            share = score > 0 ? 100 : 0;
+            label = score > 0 ? 'Win' : 'Loss';
+        } else {
+            share = Math.max(5, Math.min(95, 50 + score / 20));
+            label = `${score > 0 ? '+' : ''}${(score / 100).toFixed(1)}`;
+        }
+
+        this.evalBarFill.style.height = `${share}%`;
+        this.evalBarFill.className = `eval-bar-fill ${bottomColor}`;
+        this.evalBarLabel.textContent = label;
+    }
+
     handleGameReset(data) {
         console.log('Game reset:', data);
         this.updateGameState(data.gameState);
@@ -363,6 +752,77 @@ class GameManager {
         }
     }
 
+    handleTakebackRequested(data) {
+        console.log('Takeback requested:', data);
+        this.updateGameState(data.gameState);
+        
+        if (data.requesterId === this.playerId) {
+            Utils.showToast('Waiting for your opponent to allow the takeback...', 'info');
+            return;
+        }
+        
+        // Let the board redraw before the blocking prompt appears
+        setTimeout(() => {
+            const accept = confirm(`${data.requesterName} wants to take back their last move. Allow it?`);
+            this.socket.emit('respond-takeback', { accept });
+        }, 100);
+    }
+
+    handleTakebackRequestCancelled(data) {
+        console.log('Takeback request cancelled:', data);
+        this.updateGameState(data.gameState);
+        
+        if (data.reason === 'move_made') {
+            Utils.showToast('Takeback request withdrawn because a move was made.', 'info');
+        } else if (this.roomManager) {
+            Utils.showToast(`${data.requesterName} cancelled their takeback request.`, 'info');
+        }
+    }
+
+    handleTakebackAccepted(data) {
+        console.log('Takeback accepted:', data);
+        this.updateGameState(data.gameState);
+        this.clearSelection();
+        if (this.roomManager) {
+            Utils.showToast(data.message || 'Last move taken back.', 'success');
+        }
+    }
+
+    handleTakebackDeclined(data) {
+        console.log('Takeback declined:', data);
+        this.updateGameState(data.gameState);
+        if (this.roomManager) {
+            Utils.showToast(`${data.responderName} declined the takeback.`, 'info');
+        }
+    }
+
+    handleDrawOffered(data) {
+        console.log('Draw offered:', data);
+        this.updateGameState(data.gameState);
+        
+        if (data.offererId === this.playerId) {
+            Utils.showToast('Draw offered. Waiting for your opponent...', 'info');
+            return;
+        }
+        
+        // Let the board redraw before the blocking prompt appears
+        setTimeout(() => {
+            const accept = confirm(`${data.offererName} offers a draw. Do you accept?`);
+            this.socket.emit(accept ? 'accept-draw' : 'decline-draw');
+        }, 100);
+    }
+
+    handleDrawDeclined(data) {
+        console.log('Draw declined:', data);
+        this.updateGameState(data.gameState);
+        
+        if (data.reason === 'move_made') {
+            Utils.showToast('Draw offer declined by playing on.', 'info');
+        } else if (this.roomManager) {
+            Utils.showToast(`${data.responderName} declined the draw offer.`, 'info');
+        }
+    }
+
     handleShowTurnOrderSelection(data) {
         console.log('Show turn order selection:', data);
         console.log('Turn order modal element:', this.turnOrderModal);
@@ -400,8 +860,10 @@ class GameManager {
         // Reset the non-selector message flag since turn order is now selected
         this.hasShownNonSelectorMessage = false;
         
-        // Show message about who is starting
-        const message = `${data.startingPlayerName} (${data.currentPlayer}) will start the game!`;
+        // Show message about who is starting, or the ballot drawn for them
+        const message = data.ballot && data.ballot.length > 0
+            ? `Ballot opening ${data.ballot.join(' ')} drawn for ${data.startingPlayerName} - ${data.currentPlayer} to move`
+            : `${data.startingPlayerName} (${data.currentPlayer}) will start the game!`;
         if (this.roomManager) {
             Utils.showToast(message, 'success');
         }
@@ -412,9 +874,10 @@ class GameManager {
         
         // Convert server coordinates to display coordinates
         const shouldRotate = this.playerColor === 'red';
+        const lastIndex = this.gameState.board.length - 1;
         this.possibleMoves = data.moves.map(move => ({
-            row: shouldRotate ? (7 - move.row) : move.row,
-            col: shouldRotate ? (7 - move.col) : move.col
+            row: shouldRotate ? (lastIndex - move.row) : move.row,
+            col: shouldRotate ? (lastIndex - move.col) : move.col
         }));
         
         this.highlightPossibleMoves();
@@ -428,7 +891,7 @@ class GameManager {
         }
         
         // Update player color
-        const playerData = Object.entries(gameState.players).find(([id, _]) => id === this.socket.id);
+        const playerData = Object.entries(gameState.players).find(([id, _]) => id === this.playerId);
         if (playerData) {
             this.playerColor = playerData[1].color;
         }
@@ -437,8 +900,12 @@ class GameManager {
         const redPlayer = Object.values(gameState.players).find(p => p.color === 'red');
         const blackPlayer = Object.values(gameState.players).find(p => p.color === 'black');
         
-        this.redPlayerName.textContent = redPlayer ? redPlayer.name : 'Waiting...';
-        this.blackPlayerName.textContent = blackPlayer ? blackPlayer.name : 'Waiting...';
+        const describePlayer = player => player.reconnecting ? `${player.name} (reconnecting…)` : player.name;
+        this.redPlayerName.textContent = redPlayer ? describePlayer(redPlayer) : 'Waiting...';
+        this.blackPlayerName.textContent = blackPlayer ? describePlayer(blackPlayer) : 'Waiting...';
+        this.variantDisplay.textContent = gameState.rules ? gameState.rules.name : '';
+        this.updatePuzzleBanner();
+        this.updateClocks(gameState.clock);
         
         // Update turn indicator
         this.updateTurnDisplay();
@@ -460,6 +927,88 @@ class GameManager {
         }
     }
 
+    updatePuzzleBanner() {
+        const puzzle = this.gameState?.puzzle;
+        this.puzzleBanner.classList.toggle('hidden', !puzzle);
+        if (!puzzle) return;
+
+        const solverMoves = Math.ceil(puzzle.moves / 2);
+        this.puzzleTitle.textContent = `🧩 ${puzzle.title}`;
+        this.puzzleTask.textContent = `Difficulty ${puzzle.difficulty} - find the ${solverMoves}-move winning line for ${puzzle.solverColor}`;
+    }
+
+    updateClocks(clock) {
+        clearInterval(this.clockTimer);
+        this.clockTimer = null;
+        this.clock = clock ? { ...clock, receivedAt: Date.now() } : null;
+
+        Object.values(this.clockElements).forEach(element => element.classList.toggle('hidden', !clock));
+        if (!clock) {
+            clearInterval(this.clockPingTimer);
+            this.clockPingTimer = null;
+            return;
+        }
+
+        // Keep measuring the latency while the room has clocks
+        if (!this.clockPingTimer) {
+            this.pingClock();
+            this.clockPingTimer = setInterval(() => this.pingClock(), CLOCK_PING_INTERVAL);
+        }
+
+        this.renderClocks();
+        if (clock.running) {
+            this.clockTimer = setInterval(() => this.renderClocks(), CLOCK_TICK_INTERVAL);
+        }
+    }
+
+    pingClock() {
+        this.socket.emit('clock-ping', { sentAt: Date.now() });
+    }
+
+    handleClockPong(data) {
+        // Half the round trip, smoothed so one slow reply does not make the clocks jump
+        const latency = Math.max(0, Date.now() - data.sentAt) / 2;
+        this.clockLatency = this.clockLatency ? this.clockLatency * 0.7 + latency * 0.3 : latency;
+    }
+
+    getClockRemaining(color) {
+        const clock = this.clock;
+        if (clock.running !== color) {
+            return clock.remaining[color];
+        }
+
+        // The state left the server one latency ago; a delay is used up before the time itself
+        const elapsed = Date.now() - clock.receivedAt + this.clockLatency;
+        return Math.max(0, clock.remaining[color] - Math.max(0, elapsed - clock.delayLeft));
+    }
+
+    renderClocks() {
+        if (!this.clock) return;
+
+        ['red', 'black'].forEach(color => {
+            const remaining = this.getClockRemaining(color);
+            const element = this.clockElements[color];
+            element.textContent = this.formatClockTime(remaining);
+            element.classList.toggle('running', this.clock.running === color);
+            element.classList.toggle('low', remaining > 0 && remaining < CLOCK_LOW_TIME);
+            element.classList.toggle('flagged', remaining === 0);
+        });
+    }
+
+    formatClockTime(ms) {
+        // Correspondence games count in days and hours
+        if (ms >= CLOCK_LONG_TIME) {
+            return Utils.formatDuration(ms);
+        }
+
+        // Tenths of a second only matter in the last seconds
+        const totalSeconds = ms < CLOCK_LOW_TIME ? Math.floor(ms / 100) / 10 : Math.floor(ms / 1000);
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds - minutes * 60;
+        const secondsText = ms < CLOCK_LOW_TIME ? seconds.toFixed(1) : String(seconds);
+        return `${minutes}:${secondsText.padStart(ms < CLOCK_LOW_TIME ? 4 : 2, '0')}`;
+    }
+
     updateTurnDisplay() {
         if (!this.gameState) return;
         
@@ -469,7 +1018,7 @@ class GameManager {
             this.turnDisplay.textContent = 'Waiting for players...';
             turnIndicator.className = 'turn-indicator';
         } else if (this.gameState.gameState === 'turn_selection') {
-            if (this.gameState.turnOrderSelector === this.socket.id) {
+            if (this.gameState.turnOrderSelector === this.playerId) {
                 this.turnDisplay.textContent = 'Choose who starts first!';
             } else {
                 this.turnDisplay.textContent = 'Waiting for turn order selection...';
@@ -501,11 +1050,63 @@ class GameManager {
         // Update new game request status
         this.updateNewGameRequestStatus();
         this.updateNewGameButton();
+        this.updateTakebackButton();
+        this.updateGameEndButtons();
+        this.updateTrainingControls();
+        this.updateConditionalMoves();
+    }
+
+    updateTrainingControls() {
+        const training = !!this.gameState?.training;
+        const hintsUsed = this.playerColor ? this.gameState.hintsUsed[this.playerColor] : 0;
+        
+        this.hintBtn.classList.toggle('hidden', !training || !this.playerColor);
+        this.hintBtn.disabled = !this.isMyTurn || this.gameState?.gameState !== 'playing';
+        this.hintBtn.textContent = hintsUsed > 0 ? `💡 Hint (${hintsUsed} used)` : '💡 Hint';
+        
+        this.evalToggleBtn.classList.toggle('hidden', !training);
+        this.evalToggleBtn.textContent = this.evaluationEnabled ? 'Hide Eval' : 'Show Eval';
+        this.evalBar.classList.toggle('hidden', !training || !this.evaluationEnabled);
+    }
+
+    updateConditionalMoves() {
+        // Moves are planned while the opponent thinks, so only their turn allows changes
+        const correspondence = !!this.gameState?.correspondence && !!this.playerColor;
+        const isPlaying = this.gameState?.gameState === 'playing';
+        this.planMovesBtn.classList.toggle('hidden', !correspondence);
+        this.planMovesBtn.disabled = !isPlaying || this.isMyTurn || this.gameState.mustCapture;
+
+        const showLines = correspondence && isPlaying && this.conditionalLines.length > 0;
+        this.conditionalMovesDisplay.classList.toggle('hidden', !showLines);
+        this.conditionalMovesDisplay.textContent = showLines
+            ? `Conditional moves: ${this.conditionalLines.join('; ')}`
+            : '';
+    }
+
+    updateGameEndButtons() {
+        const isPlaying = this.gameState?.gameState === 'playing' && !!this.playerColor;
+        const hasOfferedDraw = this.gameState?.drawOffer === this.playerId;
+        
+        this.resignBtn.disabled = !isPlaying;
+        this.resignBtn.textContent = this.gameState?.puzzle ? 'Show Solution' : 'Resign';
+        // Puzzles are won or given up, never drawn
+        this.offerDrawBtn.classList.toggle('hidden', !!this.gameState?.puzzle);
+        this.offerDrawBtn.disabled = !isPlaying || hasOfferedDraw;
+        this.offerDrawBtn.textContent = hasOfferedDraw ? 'Draw Offered' : 'Offer Draw';
+    }
+
+    updateTakebackButton() {
+        this.hasRequestedTakeback = this.gameState?.takebackRequest === this.playerId;
+        
+        const canRequest = this.gameState?.gameState === 'playing' && this.gameState.canTakeBack;
+        this.takebackBtn.disabled = !canRequest && !this.hasRequestedTakeback;
+        this.takebackBtn.textContent = this.hasRequestedTakeback ? 'Cancel Takeback' : 'Takeback';
+        this.takebackBtn.classList.toggle('requested', this.hasRequestedTakeback);
     }
 
     updateNewGameRequestStatus() {
         if (this.gameState && this.gameState.newGameRequests) {
-            this.hasRequestedNewGame = this.gameState.newGameRequests.includes(this.socket.id);
+            this.hasRequestedNewGame = this.gameState.newGameRequests.includes(this.playerId);
         } else {
             this.hasRequestedNewGame = false;
         }
@@ -606,12 +1207,18 @@ class GameManager {
         } else {
             this.gameBoard.classList.remove('rotated-for-red');
         }
-        
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+
+        // Size the grid for the variant being played (8x8 or 10x10)
+        const boardSize = this.gameState.board.length;
+        this.gameBoard.style.gridTemplateColumns = `repeat(${boardSize}, 1fr)`;
+        this.gameBoard.style.gridTemplateRows = `repeat(${boardSize}, 1fr)`;
+        this.gameBoard.classList.toggle('large-board', boardSize > 8);
+        
+        for (let row = 0; row < boardSize; row++) {
+            for (let col = 0; col < boardSize; col++) {
                 // Calculate display position (rotate for red player)
-                const displayRow = shouldRotate ? (7 - row) : row;
-                const displayCol = shouldRotate ? (7 - col) : col;
+                const displayRow = shouldRotate ? (boardSize - 1 - row) : row;
+                const displayCol = shouldRotate ? (boardSize - 1 - col) : col;
                 
                 const square = this.createSquare(displayRow, displayCol, row, col);
                 this.gameBoard.appendChild(square);
@@ -724,57 +1331,15 @@ class GameManager {
     }
 
     hasMandatoryCaptures() {
-        if (!this.gameState || !this.gameState.board) return false;
-        
-        // Check if any of the current player's pieces can capture
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.gameState.board[row][col];
-                if (piece && piece.color === this.playerColor) {
-                    if (this.pieceHasCaptures(row, col)) {
-                        return true;
-                    }
-                }
-            }
-        }
-        return false;
+        if (!this.gameState || !this.gameState.captureSources) return false;
+        return this.gameState.captureSources.length > 0;
     }
 
     pieceHasCaptures(row, col) {
-        if (!this.gameState || !this.gameState.board) return false;
-        
-        const piece = this.gameState.board[row][col];
-        if (!piece || piece.color !== this.playerColor) return false;
-
-        // Define movement directions based on piece type
-        const directions = piece.king ? 
-            [[-1, -1], [-1, 1], [1, -1], [1, 1]] : 
-            piece.color === 'red' ? 
-                [[1, -1], [1, 1]] : 
-                [[-1, -1], [-1, 1]];
-
-        // Check each direction for possible captures
-        for (const [dRow, dCol] of directions) {
-            const captureRow = row + dRow;
-            const captureCol = col + dCol;
-            const landRow = row + 2 * dRow;
-            const landCol = col + 2 * dCol;
-
-            // Check if positions are within bounds
-            if (landRow >= 0 && landRow < 8 && landCol >= 0 && landCol < 8) {
-                const capturedPiece = this.gameState.board[captureRow][captureCol];
-                const landSquare = this.gameState.board[landRow][landCol];
-
-                // Check if there's an opponent piece to capture and landing square is empty
-                if (capturedPiece && 
-                    capturedPiece.color !== piece.color && 
-                    !landSquare) {
-                    return true;
-                }
-            }
-        }
+        if (!this.gameState || !this.gameState.captureSources) return false;
 
-        return false;
+        // The server lists every piece allowed to capture under the room's rules
+        return this.gameState.captureSources.some(source => source.row === row && source.col === col);
     }
 
     selectPiece(displayRow, displayCol, serverRow, serverCol) {
@@ -809,8 +1374,9 @@ class GameManager {
         
         // Calculate display coordinates (rotate for red player)
         const shouldRotate = this.playerColor === 'red';
-        const displayRow = shouldRotate ? (7 - serverRow) : serverRow;
-        const displayCol = shouldRotate ? (7 - serverCol) : serverCol;
+        const lastIndex = this.gameState.board.length - 1;
+        const displayRow = shouldRotate ? (lastIndex - serverRow) : serverRow;
+        const displayCol = shouldRotate ? (lastIndex - serverCol) : serverCol;
         
         // Auto-select the capturing piece
         this.selectPiece(displayRow, displayCol, serverRow, serverCol);
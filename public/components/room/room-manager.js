@@ -8,6 +8,8 @@ class RoomManager {
         this.socket = null;
         this.playerName = '';
         this.roomCode = '';
+        this.seated = false; // Whether the server has given this connection a seat in the room
+        this.rejoining = false; // Whether the pending join is taking a held seat back
         this.gameManager = null; // Will be set by main script
         
         this.initializeElements();
@@ -20,8 +22,20 @@ class RoomManager {
         this.gameContainer = document.getElementById('game-container');
         this.playerNameInput = document.getElementById('player-name');
         this.roomCodeInput = document.getElementById('room-code-input');
+        this.startFenInput = document.getElementById('start-fen-input');
+        this.variantSelect = document.getElementById('variant-select');
+        this.opponentSelect = document.getElementById('opponent-select');
+        this.ballotSelect = document.getElementById('ballot-select');
+        this.timeControlSelect = document.getElementById('time-control-select');
+        this.correspondenceSelect = document.getElementById('correspondence-select');
+        this.turnTimeoutSelect = document.getElementById('turn-timeout-select');
+        this.trainingCheckbox = document.getElementById('training-checkbox');
+        this.adjudicateCheckbox = document.getElementById('adjudicate-checkbox');
         this.createRoomBtn = document.getElementById('create-room');
         this.joinRoomBtn = document.getElementById('join-room');
+        this.solvePuzzlesBtn = document.getElementById('solve-puzzles');
+        this.showMyGamesBtn = document.getElementById('show-my-games');
+        this.myGamesList = document.getElementById('my-games-list');
         this.leaveRoomBtn = document.getElementById('leave-room');
         this.copyRoomCodeBtn = document.getElementById('copy-room-code');
         
@@ -37,6 +51,8 @@ class RoomManager {
         // Room management
         this.createRoomBtn.addEventListener('click', () => this.createRoom());
         this.joinRoomBtn.addEventListener('click', () => this.joinRoom());
+        this.solvePuzzlesBtn.addEventListener('click', () => this.startPuzzle());
+        this.showMyGamesBtn.addEventListener('click', () => this.showMyGames());
         this.leaveRoomBtn.addEventListener('click', () => this.leaveRoom());
         this.copyRoomCodeBtn.addEventListener('click', () => this.copyRoomCode());
         
@@ -68,6 +84,7 @@ class RoomManager {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.updateConnectionStatus('connected', 'Connected');
+            this.rejoinSeat();
         });
 
         this.socket.on('disconnect', () => {
@@ -84,6 +101,7 @@ class RoomManager {
         // Room-specific events
         this.socket.on('player-joined', (data) => this.handlePlayerJoined(data));
         this.socket.on('player-left', (data) => this.handlePlayerLeft(data));
+        this.socket.on('seat-assigned', (data) => this.handleSeatAssigned(data));
         this.socket.on('error', (data) => this.handleError(data));
 
         this.updateConnectionStatus('connecting', 'Connecting...');
@@ -102,13 +120,53 @@ class RoomManager {
         }
 
         try {
+            const fen = this.startFenInput.value.trim();
+            const options = { variant: this.variantSelect.value };
+            if (fen) {
+                options.fen = fen;
+            }
+            if (this.opponentSelect.value !== 'human') {
+                options.opponent = 'computer';
+                options.difficulty = this.opponentSelect.value;
+            }
+            if (this.ballotSelect.value) {
+                options.ballot = parseInt(this.ballotSelect.value, 10);
+            }
+            if (this.timeControlSelect.value) {
+                // Presets are written as mode:initial:increment, in seconds
+                const [mode, initial, increment] = this.timeControlSelect.value.split(':');
+                options.timeControl = { mode, initial: parseInt(initial, 10), increment: parseInt(increment, 10) };
+            }
+            if (this.correspondenceSelect.value) {
+                options.correspondence = true;
+                options.daysPerMove = parseInt(this.correspondenceSelect.value, 10);
+            }
+            // The turn timeout only covers live games between people without a clock
+            const untimedLiveGame = !options.opponent && !options.timeControl && !options.correspondence;
+            if (this.turnTimeoutSelect.value && untimedLiveGame) {
+                options.turnTimeout = parseInt(this.turnTimeoutSelect.value, 10);
+            }
+            if (this.trainingCheckbox.checked) {
+                options.training = true;
+            }
+            if (this.adjudicateCheckbox.checked) {
+                options.adjudicateDraws = true;
+            }
             const response = await fetch('/api/create-room', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(options)
             });
             
             const data = await response.json();
+            if (data.error) {
+                Utils.showToast(`Cannot create room: ${data.error}`, 'error');
+                return;
+            }
             if (data.roomCode) {
+                if (options.correspondence) {
+                    Utils.showToast('Correspondence game created. You can close the page and come back from My Games.', 'info', 6000);
+                }
                 this.joinRoomWithCode(data.roomCode, playerName);
             }
         } catch (error) {
@@ -137,11 +195,172 @@ class RoomManager {
     joinRoomWithCode(roomCode, playerName) {
         this.playerName = playerName;
         this.roomCode = roomCode;
-        this.socket.emit('join-room', { roomCode, playerName });
+        const savedSeat = this.getSavedSeat();
+        const reconnectToken = savedSeat && savedSeat.roomCode === roomCode ? savedSeat.reconnectToken : undefined;
+        this.socket.emit('join-room', { roomCode, playerName, userId: Utils.getUserId(), reconnectToken });
+    }
+
+    rejoinSeat() {
+        // After a dropped connection the room is still open here; after a page refresh it is in localStorage
+        const savedSeat = this.getSavedSeat();
+        const roomCode = this.seated ? this.roomCode : !this.roomCode && savedSeat ? savedSeat.roomCode : null;
+        if (!roomCode) return;
+
+        this.seated = false;
+        this.rejoining = true;
+        this.joinRoomWithCode(roomCode, this.playerName || savedSeat.playerName);
+    }
+
+    getSavedSeat() {
+        try {
+            return JSON.parse(localStorage.getItem('checkers-live-seat'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveSeat(reconnectToken) {
+        localStorage.setItem('checkers-live-seat', JSON.stringify({
+            roomCode: this.roomCode,
+            playerName: this.playerName,
+            reconnectToken
+        }));
+    }
+
+    forgetSeat() {
+        localStorage.removeItem('checkers-live-seat');
+    }
+
+    async startPuzzle() {
+        const playerName = this.playerNameInput.value.trim();
+        if (!playerName) {
+            Utils.showToast('Please enter your name', 'error');
+            return;
+        }
+
+        const roomCode = await this.createPuzzleRoom(this.variantSelect.value);
+        if (roomCode) {
+            this.joinRoomWithCode(roomCode, playerName);
+        }
+    }
+
+    async nextPuzzle(variant) {
+        const roomCode = await this.createPuzzleRoom(variant);
+        if (!roomCode) return;
+
+        // Leave the finished puzzle's room before joining the next one
+        this.socket.emit('leave-room');
+        this.forgetSeat();
+        this.socket.disconnect();
+        this.socket.connect();
+        this.clearRoomState();
+        if (this.gameManager) {
+            this.gameManager.clearGameState();
+        }
+        this.joinRoomWithCode(roomCode, this.playerName);
+    }
+
+    async createPuzzleRoom(variant) {
+        try {
+            const params = new URLSearchParams({ userId: Utils.getUserId(), variant });
+            const puzzle = await (await fetch(`/api/puzzles/next?${params}`)).json();
+            if (puzzle.error) {
+                Utils.showToast(puzzle.error, 'info');
+                return null;
+            }
+
+            const response = await fetch('/api/create-room', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ puzzleId: puzzle.id })
+            });
+            const data = await response.json();
+            if (data.error) {
+                Utils.showToast(`Cannot open puzzle: ${data.error}`, 'error');
+                return null;
+            }
+
+            const { solved, total } = puzzle.progress;
+            Utils.showToast(`Puzzle ${solved + 1} of ${total}: ${puzzle.title}`, 'info');
+            return data.roomCode;
+        } catch (error) {
+            console.error('Error opening puzzle:', error);
+            Utils.showToast('Error opening puzzle. Please try again.', 'error');
+            return null;
+        }
+    }
+
+    async showMyGames() {
+        try {
+            const params = new URLSearchParams({ userId: Utils.getUserId() });
+            const data = await (await fetch(`/api/my-games?${params}`)).json();
+            if (data.error) {
+                Utils.showToast(data.error, 'error');
+                return;
+            }
+            this.renderMyGames(data.games);
+        } catch (error) {
+            console.error('Error loading games:', error);
+            Utils.showToast('Error loading your games. Please try again.', 'error');
+        }
+    }
+
+    renderMyGames(games) {
+        this.myGamesList.innerHTML = '';
+        this.myGamesList.classList.remove('hidden');
+
+        if (games.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'my-games-empty';
+            empty.textContent = 'You have no correspondence games yet.';
+            this.myGamesList.appendChild(empty);
+            return;
+        }
+
+        games.forEach(game => {
+            const item = document.createElement('li');
+            item.className = `my-game${game.yourTurn ? ' your-turn' : ''}`;
+
+            const details = document.createElement('span');
+            details.className = 'my-game-details';
+            details.textContent = `${game.roomCode} - ${game.opponent ? `vs ${game.opponent}` : 'no opponent yet'} (${game.color}) - ${this.describeMyGame(game)}`;
+            item.appendChild(details);
+
+            const openBtn = document.createElement('button');
+            openBtn.className = 'btn btn-small btn-primary';
+            openBtn.textContent = 'Open';
+            // A returning player keeps the seat and name they joined with
+            openBtn.addEventListener('click', () => this.joinRoomWithCode(game.roomCode, this.playerNameInput.value.trim() || 'Player'));
+            item.appendChild(openBtn);
+
+            this.myGamesList.appendChild(item);
+        });
+    }
+
+    describeMyGame(game) {
+        switch (game.gameState) {
+            case 'waiting':
+                return 'waiting for an opponent to join';
+            case 'turn_selection':
+                return game.yourTurn ? 'choose who starts' : 'your opponent chooses who starts';
+            case 'finished':
+                if (!game.result || !game.result.winner) return 'drawn';
+                return game.result.winner === game.color ? 'you won' : 'you lost';
+            default: {
+                const timeLeft = game.timeLeft !== null ? `, ${Utils.formatDuration(game.timeLeft)} left` : '';
+                return `${game.yourTurn ? 'your move' : 'their move'}${timeLeft}`;
+            }
+        }
     }
 
     leaveRoom() {
-        if (confirm('Are you sure you want to leave the room?')) {
+        const playing = this.gameManager?.gameState?.gameState === 'playing' && !this.gameManager.gameState.correspondence;
+        const question = playing
+            ? 'Are you sure you want to leave? Leaving a game in progress loses it.'
+            : 'Are you sure you want to leave the room?';
+        if (confirm(question)) {
+            this.socket.emit('leave-room');
+            this.forgetSeat();
             this.socket.disconnect();
             this.socket.connect();
             this.showRoomSelection();
@@ -167,6 +386,7 @@ class RoomManager {
         this.gameContainer.classList.add('hidden');
         this.playerNameInput.value = '';
         this.roomCodeInput.value = '';
+        this.startFenInput.value = '';
     }
 
     showGameContainer() {
@@ -176,16 +396,33 @@ class RoomManager {
 
     clearRoomState() {
         this.roomCode = '';
+        this.seated = false;
+        this.rejoining = false;
         this.currentRoomCode.textContent = '-';
     }
 
     // Socket event handlers
+    handleSeatAssigned(data) {
+        this.seated = true;
+        this.rejoining = false;
+        // Only live seats have a token; correspondence seats come back through the user id
+        if (data.reconnectToken) {
+            this.saveSeat(data.reconnectToken);
+        }
+    }
+
     handlePlayerJoined(data) {
         console.log('Player joined:', data);
         if (this.gameManager) {
             this.gameManager.updateGameState(data.gameState);
         }
-        Utils.showToast(`Player joined the room`, 'info');
+        if (!data.reconnected) {
+            Utils.showToast(`Player joined the room`, 'info');
+        } else if (this.gameManager && data.playerId === this.gameManager.playerId) {
+            Utils.showToast('Reconnected to your game', 'success');
+        } else {
+            Utils.showToast('Your opponent reconnected', 'success');
+        }
         this.showGameContainer();
     }
 
@@ -194,11 +431,33 @@ class RoomManager {
         if (this.gameManager) {
             this.gameManager.updateGameState(data.gameState);
         }
+        if (data.seatKept) {
+            // The same seat closing in another tab is not news
+            if (this.gameManager && data.playerId === this.gameManager.playerId) {
+                return;
+            }
+            const message = data.graceSeconds
+                ? `Your opponent is reconnecting… The game is yours if they are not back within ${data.graceSeconds} seconds.`
+                : 'Your opponent went offline. Their seat is kept until they come back.';
+            Utils.showToast(message, 'info');
+            return;
+        }
         Utils.showToast('Player left the room', 'info');
     }
 
     handleError(data) {
         console.log('Error:', data);
+        if (this.rejoining) {
+            // The held seat is gone, so there is nothing left to come back to
+            this.forgetSeat();
+            this.clearRoomState();
+            this.showRoomSelection();
+            if (this.gameManager) {
+                this.gameManager.clearGameState();
+            }
+            Utils.showToast(`Could not get back into the game: ${data.message}`, 'error');
+            return;
+        }
         Utils.showToast(data.message, 'error');
     }
 
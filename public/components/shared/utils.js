@@ -98,6 +98,19 @@ class Utils {
         }
     }
 
+    /**
+     * Get this browser's lasting player id, creating it on first use
+     * @returns {string} Player id kept in localStorage
+     */
+    static getUserId() {
+        let userId = localStorage.getItem('checkers-user-id');
+        if (!userId) {
+            userId = `user-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 8)}`;
+            localStorage.setItem('checkers-user-id', userId);
+        }
+        return userId;
+    }
+
     /**
      * Debounce function calls
      * @param {Function} func - Function to debounce
@@ -125,8 +138,11 @@ class Utils {
         const seconds = Math.floor(milliseconds / 1000);
         const minutes = Math.floor(seconds / 60);
         const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
 
-        if (hours > 0) {
+        if (days > 0) {
+            return `${days}d ${hours % 24}h`;
+        } else if (hours > 0) {
             return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
         } else if (minutes > 0) {
             return `${minutes}m ${seconds % 60}s`;
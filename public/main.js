@@ -1,7 +1,7 @@
-// Warn user before leaving or refreshing the page to prevent accidental loss of game state
+// Warn user before leaving or refreshing the page; a refresh gets the seat back, but only for a minute
 window.addEventListener('beforeunload', function (e) {
     e.preventDefault();
-    e.returnValue = 'Are you sure you want to leave? Your game progress will be lost.';
+    e.returnValue = 'Are you sure you want to leave? Your seat is only held for a minute.';
 });
 
 /**
@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+/**
+ * Mock DXP engine
+ *
+ * A stand-in for an external draughts engine, for trying out the server's
+ * DamExchange bridge without one. It connects to the server, asks for a game
+ * of International draughts and plays it with the built-in computer opponent.
+ * The server answers with the code of the room it opened; join that room from
+ * the browser to play the engine.
+ *
+ * Usage:
+ *   DXP_PORT=27531 npm start
+ *   node scripts/dxp-engine.js [--host localhost] [--port 27531] [--name "Mock engine"] [--color white] [--difficulty easy]
+ *
+ * --color       Side the engine plays: white (moves first) or black
+ * --difficulty  Strength of the built-in search: easy, medium or hard
+ *
+ * The engine accepts takebacks, agrees to a draw when it does not stand better
+ * and disconnects once the game is over.
+ */
+
+const net = require('net');
+const CheckersGame = require('../src/game/CheckersGame');
+const dxp = require('../src/game/dxp');
+const { parseFen } = require('../src/game/fen');
+const { getRuleSet } = require('../src/game/rules');
+const { DIFFICULTIES, findBestMove, evaluatePosition } = require('../src/game/ai');
+
+const DEFAULT_PORT = 27531;
+// DXP White plays our black pieces, DXP Black our red ones
+const ENGINE_COLORS = { white: 'black', black: 'red' };
+// Player ids of the seats in the engine's own copy of the game
+const PLAYER_IDS = { red: 'engine-red', black: 'engine-black' };
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { host: 'localhost', port: DEFAULT_PORT, name: 'Mock engine', color: 'white', difficulty: 'easy' };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--host':
+                options.host = args[++i];
+                break;
+            case '--port':
+                options.port = parseInt(args[++i], 10);
+                break;
+            case '--name':
+                options.name = args[++i];
+                break;
+            case '--color':
+                options.color = args[++i];
+                break;
+            case '--difficulty':
+                options.difficulty = args[++i];
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument "${args[i]}"`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Set up the engine's own copy of the game, with both seats filled
+ * @returns {CheckersGame} Game at the initial position
+ */
+function createGame() {
+    const rules = getRuleSet('international');
+    const { board, currentPlayer } = parseFen(dxp.INITIAL_FEN, rules.boardSize);
+    const game = new CheckersGame('DXP', { rules, startPosition: { board, currentPlayer } });
+    game.addPlayer(PLAYER_IDS.red, 'Red');
+    game.addPlayer(PLAYER_IDS.black, 'Black');
+    return game;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node scripts/dxp-engine.js [--host host] [--port n] [--name name] [--color white|black] [--difficulty level]');
+        return;
+    }
+
+    const color = ENGINE_COLORS[options.color];
+    if (!color) {
+        throw new Error('--color must be white or black');
+    }
+    if (!DIFFICULTIES[options.difficulty]) {
+        throw new Error(`--difficulty must be one of ${Object.keys(DIFFICULTIES).join(', ')}`);
+    }
+    if (!Number.isInteger(options.port)) {
+        throw new Error('--port must be a number');
+    }
+
+    const game = createGame();
+    const opponentColor = color === 'red' ? 'black' : 'red';
+    let gameEndSent = false;
+    let buffer = '';
+
+    const socket = net.connect(options.port, options.host);
+    const send = message => socket.write(message + dxp.MESSAGE_TERMINATOR, 'latin1');
+
+    // GAMEEND is told from the sender's side of the board
+    const endGame = reason => {
+        gameEndSent = true;
+        send(dxp.formatGameEnd(reason, dxp.STOP_CODES.stop));
+    };
+
+    const reportIfOver = () => {
+        if (game.gameState !== 'finished' || gameEndSent) return;
+        console.log(`Game over: ${game.winner ? `${game.winner === color ? 'engine' : 'opponent'} wins` : 'draw'} (${game.result.reason})`);
+        endGame(!game.winner ? dxp.END_REASONS.draw : game.winner === color ? dxp.END_REASONS.win : dxp.END_REASONS.loss);
+    };
+
+    const playIfOnTurn = () => {
+        if (game.gameState !== 'playing' || game.currentPlayer !== color) return;
+
+        const started = Date.now();
+        const choice = findBestMove(game, { difficulty: options.difficulty });
+        game.makeMovePath(choice.path, PLAYER_IDS[color]);
+        const move = game.moveHistory[game.moveHistory.length - 1];
+        send(dxp.formatMoveMessage(dxp.describeTurn(move, game.boardSize), (Date.now() - started) / 1000));
+        console.log(`Engine played ${move.notation}`);
+        reportIfOver();
+    };
+
+    const handleMessage = message => {
+        switch (message.type) {
+            case 'GAMEACC':
+                if (message.code !== dxp.ACCEPT_CODES.accepted) {
+                    console.log(`Game refused (code ${message.code})`);
+                    socket.end();
+                    return;
+                }
+                console.log(`Game accepted by ${message.name}`);
+                playIfOnTurn();
+                break;
+            case 'MOVE': {
+                const path = game.currentPlayer === opponentColor ? dxp.findTurn(game, message) : null;
+                if (!path) {
+                    console.error(`Illegal move received: ${message.from}-${message.to}`);
+                    return;
+                }
+                game.makeMovePath(path, PLAYER_IDS[opponentColor]);
+                console.log(`Opponent played ${game.moveHistory[game.moveHistory.length - 1].notation}`);
+                reportIfOver();
+                playIfOnTurn();
+                break;
+            }
+            case 'GAMEEND':
+                if (!gameEndSent) {
+                    if (message.reason === dxp.END_REASONS.draw && game.gameState === 'playing'
+                        && evaluatePosition(game, color) > 0) {
+                        console.log('Draw offer declined');
+                        playIfOnTurn();
+                        return;
+                    }
+                    // The opponent resigned, agreed a draw or saw the end first
+                    const reason = message.reason === dxp.END_REASONS.loss ? dxp.END_REASONS.win
+                        : message.reason === dxp.END_REASONS.win ? dxp.END_REASONS.loss
+                            : dxp.END_REASONS.draw;
+                    console.log(`Game over: ${reason === dxp.END_REASONS.win ? 'engine wins' : reason === dxp.END_REASONS.loss ? 'opponent wins' : 'draw'}`);
+                    endGame(reason);
+                }
+                socket.end();
+                break;
+            case 'BACKREQ': {
+                const last = game.moveHistory[game.moveHistory.length - 1];
+                if (!last || last.number !== message.moveNumber || last.color !== message.color) {
+                    send(dxp.formatBackAccept(dxp.BACK_CODES.unsupported));
+                    return;
+                }
+                game.undoLastTurn();
+                send(dxp.formatBackAccept(dxp.BACK_CODES.accepted));
+                console.log(`Took back ${last.notation}`);
+                playIfOnTurn();
+                break;
+            }
+            case 'CHAT':
+                console.log(`Server: ${message.text}`);
+                break;
+            default:
+                console.log(`Ignored ${message.type}`);
+        }
+    };
+
+    socket.setEncoding('latin1');
+    socket.on('connect', () => {
+        console.log(`Connected to ${options.host}:${options.port}, playing ${options.color}`);
+        send(dxp.formatGameRequest({ name: options.name, followerColor: opponentColor }));
+    });
+    socket.on('data', data => {
+        const { messages, rest } = dxp.splitMessages(buffer + data);
+        buffer = rest;
+        messages.forEach(text => {
+            const message = dxp.parseMessage(text);
+            if (message.valid) {
+                handleMessage(message);
+            } else {
+                console.error(message.reason);
+            }
+        });
+    });
+    socket.on('close', () => console.log('Disconnected'));
+    socket.on('error', error => {
+        console.error(error.message);
+        process.exitCode = 1;
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Puzzle mining CLI
+ *
+ * Reads archived games from PDN files and looks for combinations to turn into
+ * puzzles. The server already mines every game finished in its rooms; this
+ * is for games played elsewhere or before the server kept them.
+ *
+ * Usage:
+ *   node scripts/mine-puzzles.js [--save] games.pdn [more.pdn ...]
+ *
+ * --save   Add the puzzles found to data/mined-puzzles.json; without it they are only listed
+ *
+ * A file may hold any number of games. Restart the server after saving so it
+ * picks the new puzzles up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PuzzleStore = require('../src/game/PuzzleStore');
+const { importPdn } = require('../src/game/pdn');
+const { minePuzzles } = require('../src/game/puzzleMiner');
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { save: false, files: [] };
+
+    for (const arg of args) {
+        switch (arg) {
+            case '--save':
+                options.save = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown argument "${arg}"`);
+                }
+                options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Split a PDN file into its games
+ * @param {string} text - PDN text
+ * @returns {Array<string>} PDN text of each game
+ */
+function splitGames(text) {
+    // Every game starts with its tag pairs after a blank line
+    return text.split(/\r?\n\s*\r?\n(?=\s*\[)/).filter(game => game.trim() !== '');
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || options.files.length === 0) {
+        console.log('Usage: node scripts/mine-puzzles.js [--save] games.pdn [more.pdn ...]');
+        return;
+    }
+
+    const store = new PuzzleStore();
+    let found = 0;
+    let added = 0;
+
+    for (const file of options.files) {
+        const games = splitGames(fs.readFileSync(file, 'utf8'));
+        for (let index = 0; index < games.length; index++) {
+            const source = `${path.basename(file)}, game ${index + 1}`;
+            const imported = importPdn(games[index]);
+            if (!imported.valid) {
+                console.warn(`${source}: skipped, ${imported.reason}`);
+                continue;
+            }
+
+            for (const puzzle of await minePuzzles(imported.game)) {
+                found++;
+                const result = store.add({ ...puzzle, source: `${source}, move ${puzzle.moveNumber}` });
+                const status = result.added ? `added as ${result.puzzle.id}` : result.reason;
+                console.log(`${source}, move ${puzzle.moveNumber}: ${puzzle.title} (difficulty ${puzzle.difficulty})`);
+                console.log(`  ${puzzle.fen}  ${puzzle.solution.join(' ')}  [${status}]`);
+                if (result.added) {
+                    added++;
+                }
+            }
+        }
+    }
+
+    if (options.save && added > 0) {
+        store.save();
+    }
+    console.log(`Found ${found} puzzle(s), ${added} new${options.save ? ', saved' : ' (not saved, use --save)'}`);
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Perft CLI
+ *
+ * Counts the leaf nodes of the move tree so move generation can be checked
+ * against published reference numbers for each variant.
+ *
+ * Usage:
+ *   node scripts/perft.js [--variant american] [--fen "B:W21-32:B1-12"] [--depth 6] [--divide] [--engine bitboard|game]
+ *
+ * --depth    Deepest depth to count; every depth from 1 up is printed
+ * --divide   Print the node count below each root move at the given depth
+ * --engine   'bitboard' (default, fast) or 'game' to play every move through
+ *            CheckersGame.makeMovePath and verify the rules players are held to
+ */
+
+const CheckersGame = require('../src/game/CheckersGame');
+const bitboard = require('../src/game/bitboard');
+const { parseFen } = require('../src/game/fen');
+const { formatMove } = require('../src/game/notation');
+const { getRuleSet, listRuleSets } = require('../src/game/rules');
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { variant: 'american', fen: null, depth: 6, divide: false, engine: 'bitboard' };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--variant':
+                options.variant = args[++i];
+                break;
+            case '--fen':
+                options.fen = args[++i];
+                break;
+            case '--depth':
+                options.depth = parseInt(args[++i], 10);
+                break;
+            case '--divide':
+                options.divide = true;
+                break;
+            case '--engine':
+                options.engine = args[++i];
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument "${args[i]}"`);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Create the game whose position is counted
+ * @param {Object} rules - Rule set
+ * @param {string|null} fen - Optional FEN, otherwise the standard start with red to move
+ * @returns {CheckersGame} Game set to the position
+ */
+function createGame(rules, fen) {
+    let startPosition = null;
+    if (fen) {
+        const position = parseFen(fen, rules.boardSize);
+        if (!position.valid) {
+            throw new Error(`Invalid FEN: ${position.reason}`);
+        }
+        startPosition = { board: position.board, currentPlayer: position.currentPlayer };
+    }
+    return new CheckersGame('PERFT', { rules, startPosition });
+}
+
+/**
+ * Per-root-move counts as { notation, nodes }
+ * @param {CheckersGame} game - Game set to the position
+ * @param {string} engine - 'bitboard' or 'game'
+ * @param {number} depth - Depth to count
+ * @returns {Array<Object>} Divide entries
+ */
+function divide(game, engine, depth) {
+    if (engine === 'game') {
+        return game.divide(depth);
+    }
+
+    const position = bitboard.fromBoard(game.board, game.currentPlayer);
+    return bitboard.divide(position, game.rules, depth).map(({ move, nodes }) => ({
+        notation: formatMove(move.path.map(square => square + 1), move.captured.length > 0),
+        nodes
+    }));
+}
+
+/**
+ * Count leaf nodes at one depth
+ * @param {CheckersGame} game - Game set to the position
+ * @param {string} engine - 'bitboard' or 'game'
+ * @param {number} depth - Depth to count
+ * @returns {number} Leaf node count
+ */
+function perft(game, engine, depth) {
+    if (engine === 'game') {
+        return game.perft(depth);
+    }
+    return bitboard.perft(bitboard.fromBoard(game.board, game.currentPlayer), game.rules, depth);
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node scripts/perft.js [--variant id] [--fen FEN] [--depth n] [--divide] [--engine bitboard|game]');
+        console.log(`Variants: ${listRuleSets().map(rules => rules.id).join(', ')}`);
+        return;
+    }
+
+    const rules = getRuleSet(options.variant);
+    if (!rules) {
+        throw new Error(`Unknown variant "${options.variant}"`);
+    }
+    if (!Number.isInteger(options.depth) || options.depth < 1) {
+        throw new Error('--depth must be a positive whole number');
+    }
+    if (options.engine !== 'bitboard' && options.engine !== 'game') {
+        throw new Error('--engine must be "bitboard" or "game"');
+    }
+
+    const game = createGame(rules, options.fen);
+    console.log(`${rules.name}, ${options.engine} engine, ${game.currentPlayer} to move`);
+
+    if (options.divide) {
+        const started = Date.now();
+        const entries = divide(game, options.engine, options.depth);
+        for (const entry of entries) {
+            console.log(`${entry.notation.padEnd(16)} ${entry.nodes}`);
+        }
+        const total = entries.reduce((sum, entry) => sum + entry.nodes, 0);
+        console.log(`\nMoves: ${entries.length}`);
+        console.log(`Nodes: ${total} (${Date.now() - started} ms)`);
+        return;
+    }
+
+    for (let depth = 1; depth <= options.depth; depth++) {
+        const started = Date.now();
+        const nodes = perft(game, options.engine, depth);
+        console.log(`perft(${depth}) = ${nodes} (${Date.now() - started} ms)`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Tablebase CLI
+ *
+ * Solves every endgame with up to a given number of pieces for one variant
+ * and writes the tablebase the server loads for the computer opponent, the
+ * post-game analysis and draw adjudication.
+ *
+ * Usage:
+ *   node scripts/tablebase.js [--variant american] [--pieces 4] [--out data/tablebases/american.cktb]
+ *
+ * --pieces   Largest total number of pieces (both sides together) to solve
+ * --out      Output file; defaults to the file the server looks for
+ *
+ * Restart the server after generating so it picks the new file up.
+ */
+
+const { generateTablebase, saveTablebase, getTablebasePath } = require('../src/game/tablebase');
+const { getRuleSet, listRuleSets } = require('../src/game/rules');
+
+/**
+ * Parse command line flags
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+function parseArgs(args) {
+    const options = { variant: 'american', pieces: 4, out: null };
+
+    for (let i = 0; i < args.length; i++) {
+        switch (args[i]) {
+            case '--variant':
+                options.variant = args[++i];
+                break;
+            case '--pieces':
+                options.pieces = parseInt(args[++i], 10);
+                break;
+            case '--out':
+                options.out = args[++i];
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown argument "${args[i]}"`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node scripts/tablebase.js [--variant id] [--pieces n] [--out file]');
+        console.log(`Variants: ${listRuleSets().map(rules => rules.id).join(', ')}`);
+        return;
+    }
+
+    const rules = getRuleSet(options.variant);
+    if (!rules) {
+        throw new Error(`Unknown variant "${options.variant}"`);
+    }
+    if (!Number.isInteger(options.pieces) || options.pieces < 2) {
+        throw new Error('--pieces must be a whole number of at least 2');
+    }
+
+    const file = options.out || getTablebasePath(rules);
+    console.log(`${rules.name}, up to ${options.pieces} pieces`);
+
+    const started = Date.now();
+    let positions = 0;
+    const tablebase = generateTablebase(rules, options.pieces, {
+        onSlice: (slice, values, elapsed) => {
+            const decided = values.reduce((count, value) => count + (value ? 1 : 0), 0);
+            const longest = values.reduce((max, value) => Math.max(max, value), 0) - 1;
+            positions += slice.size;
+            console.log(`${slice.key.padEnd(10)} ${String(slice.size).padStart(10)} positions, ` +
+                `${decided} decided, longest ${Math.max(longest, 0)} plies (${elapsed} ms)`);
+        }
+    });
+
+    saveTablebase(tablebase, file);
+    console.log(`\n${positions} positions in ${Math.round((Date.now() - started) / 1000)} s, written to ${file}`);
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
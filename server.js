@@ -23,6 +23,7 @@ const path = require('path');
 // Import our modularized components
 const GameController = require('./src/controllers/GameController');
 const SocketController = require('./src/controllers/SocketController');
+const DxpController = require('./src/controllers/DxpController');
 const createApiRoutes = require('./src/routes/api');
 const { cleanupOldRooms } = require('./src/utils/gameUtils');
 
@@ -42,6 +43,8 @@ app.use(express.json());
 // Initialize controllers
 const gameController = new GameController();
 const socketController = new SocketController(io, gameController);
+const dxpController = new DxpController(gameController, socketController);
+socketController.setEngineBridge(dxpController);
 
 // Setup routes
 const apiRoutes = createApiRoutes(gameController);
@@ -60,3 +63,11 @@ server.listen(PORT, () => {
     console.log(`Checkers game server running on port ${PORT}`);
     console.log(`Open http://localhost:${PORT} to play`);
 });
+
+// External draughts engines connect over the DamExchange protocol when a port is set
+const DXP_PORT = process.env.DXP_PORT;
+if (DXP_PORT) {
+    dxpController.listen(DXP_PORT, () => {
+        console.log(`DXP engine server listening on port ${DXP_PORT}`);
+    });
+}
@@ -0,0 +1,480 @@
+/**
+ * DXP Controller
+ * Runs a DamExchange (DXP) server so external draughts engines can take a
+ * seat in a room. An engine connects over TCP and asks for a game; it gets a
+ * room of its own, announced back to it as a chat message, and the game is
+ * accepted as soon as a human joins that room from the browser. From then on
+ * the engine is just another player: its moves go through CheckersGame and
+ * are broadcast like anyone else's, and SocketController reports the room's
+ * events back here so they can be forwarded to the engine.
+ */
+
+const net = require('net');
+const dxp = require('../game/dxp');
+
+// DXP is played on the International draughts board
+const DXP_VARIANT = 'international';
+// Follower name sent when a game request is refused
+const SERVER_NAME = 'Online Checkers';
+// Longest unterminated input kept from an engine; DXP messages are well under this
+const MAX_BUFFER_LENGTH = 4096;
+
+class DxpController {
+    constructor(gameController, socketController) {
+        this.gameController = gameController;
+        this.socketController = socketController;
+        this.sessions = new Map(); // Room code -> session of the engine seated there
+        this.server = null;
+        this.nextSessionId = 1;
+    }
+
+    /**
+     * Start accepting engine connections
+     * @param {number} port - TCP port to listen on
+     * @param {Function} callback - Called once the server is listening
+     * @returns {net.Server} The TCP server
+     */
+    listen(port, callback) {
+        this.server = net.createServer(connection => this.handleConnection(connection));
+        this.server.listen(port, callback);
+        return this.server;
+    }
+
+    /**
+     * Set up a new engine connection
+     */
+    handleConnection(connection) {
+        const session = {
+            id: `dxp-${this.nextSessionId++}`,
+            connection,
+            name: null,
+            roomCode: null,
+            color: null,
+            accepted: false, // GAMEACC sent, the game is under way
+            knownMoves: 0, // Turns of the move history the engine already knows about
+            lastMoveAt: null,
+            takebackRequested: false, // The engine is waiting for an answer to its BACKREQ
+            drawProposed: false, // A player's draw offer was sent to the engine as GAMEEND
+            gameEndSent: false
+        };
+
+        let buffer = '';
+        connection.setEncoding('latin1');
+        connection.on('data', data => {
+            const { messages, rest } = dxp.splitMessages(buffer + data);
+            if (rest.length > MAX_BUFFER_LENGTH) {
+                console.error(`DXP connection ${session.id} sent an overlong message, closing it`);
+                buffer = '';
+                connection.destroy();
+                return;
+            }
+            buffer = rest;
+            messages.forEach(text => {
+                try {
+                    this.handleMessage(session, text);
+                } catch (error) {
+                    console.error(`DXP message from ${session.id} failed:`, error);
+                }
+            });
+        });
+        connection.on('close', () => this.handleClose(session));
+        connection.on('error', error => {
+            console.error(`DXP connection ${session.id} failed:`, error.message);
+        });
+
+        console.log(`DXP engine connected: ${session.id}`);
+    }
+
+    /**
+     * Send one message to an engine
+     */
+    send(session, message) {
+        if (!session.connection.destroyed) {
+            session.connection.write(message + dxp.MESSAGE_TERMINATOR, 'latin1');
+        }
+    }
+
+    /**
+     * Emit a Socket.IO event to the browsers in a room
+     */
+    broadcast(roomCode, event, data) {
+        this.socketController.io.to(roomCode).emit(event, data);
+    }
+
+    /**
+     * Get the game of the room an engine is seated in
+     */
+    getSessionGame(session) {
+        return session.roomCode ? this.gameController.getGame(session.roomCode) : null;
+    }
+
+    /**
+     * Dispatch a message received from an engine
+     */
+    handleMessage(session, text) {
+        const message = dxp.parseMessage(text);
+        if (!message.valid) {
+            this.send(session, dxp.formatChat(`Ignored message: ${message.reason}`));
+            return;
+        }
+
+        switch (message.type) {
+            case 'GAMEREQ':
+                this.handleGameRequest(session, message);
+                break;
+            case 'MOVE':
+                this.handleEngineMove(session, message);
+                break;
+            case 'GAMEEND':
+                this.handleEngineGameEnd(session, message);
+                break;
+            case 'BACKREQ':
+                this.handleEngineBackRequest(session, message);
+                break;
+            case 'BACKACC':
+                this.handleEngineBackAccept(session, message);
+                break;
+            case 'CHAT':
+                if (session.roomCode) {
+                    this.broadcast(session.roomCode, 'engine-chat', { name: session.name, message: message.text });
+                }
+                break;
+            default:
+                // GAMEACC only ever goes from us to the engine
+                this.send(session, dxp.formatChat(`Ignored unexpected ${message.type}`));
+        }
+    }
+
+    /**
+     * Handle GAMEREQ: open a room with the engine seated at its color
+     */
+    handleGameRequest(session, request) {
+        const refuse = (code, reason) => {
+            this.send(session, dxp.formatGameAccept(SERVER_NAME, code));
+            this.send(session, dxp.formatChat(reason));
+        };
+
+        const current = this.getSessionGame(session);
+        if (current && current.gameState !== 'finished') {
+            refuse(dxp.ACCEPT_CODES.refused, 'Finish the current game first');
+            return;
+        }
+        if (request.version !== dxp.PROTOCOL_VERSION) {
+            refuse(dxp.ACCEPT_CODES.refused, `Unsupported DXP version ${request.version}`);
+            return;
+        }
+
+        // Every game gets a new room, so leave the last one to its human player
+        this.leaveRoom(session);
+
+        const result = this.gameController.createRoom({ fen: request.fen, variant: DXP_VARIANT });
+        if (result.error) {
+            refuse(dxp.ACCEPT_CODES.position, result.error);
+            return;
+        }
+
+        const game = this.gameController.getGame(result.roomCode);
+        const color = request.followerColor === 'red' ? 'black' : 'red';
+        const name = request.name || 'DXP engine';
+        game.addEngine(session.id, name, color);
+
+        Object.assign(session, {
+            name,
+            roomCode: result.roomCode,
+            color,
+            accepted: false,
+            knownMoves: 0,
+            lastMoveAt: null,
+            takebackRequested: false,
+            drawProposed: false,
+            gameEndSent: false
+        });
+        this.sessions.set(result.roomCode, session);
+
+        this.send(session, dxp.formatChat(`Room ${result.roomCode} is waiting for an opponent`));
+        console.log(`DXP engine ${name} opened room ${result.roomCode} playing ${color}`);
+    }
+
+    /**
+     * Handle MOVE: play the engine's turn in its room
+     */
+    handleEngineMove(session, move) {
+        const game = this.getSessionGame(session);
+        if (!game || !session.accepted || game.gameState !== 'playing' || game.currentPlayer !== session.color) {
+            this.send(session, dxp.formatChat('Move ignored: it is not your turn'));
+            return;
+        }
+
+        const path = dxp.findTurn(game, move);
+        if (!path) {
+            this.send(session, dxp.formatChat(`Move ${move.from}-${move.to} is not legal in this position`));
+            return;
+        }
+
+        const result = game.makeMovePath(path, session.id);
+        if (!result.success) {
+            this.send(session, dxp.formatChat(`Move rejected: ${result.reason}`));
+            return;
+        }
+
+        // Playing on declines a draw offer sent as GAMEEND and withdraws a takeback request
+        session.drawProposed = false;
+        session.takebackRequested = false;
+        session.knownMoves = game.moveHistory.length;
+        session.lastMoveAt = Date.now();
+        this.socketController.emitPathMove(session.roomCode, game, path, result);
+    }
+
+    /**
+     * Handle GAMEEND: a resignation, a draw offer or the confirmation of a result
+     */
+    handleEngineGameEnd(session, { reason }) {
+        const game = this.getSessionGame(session);
+        if (!game) return;
+
+        // Withdrawn before anybody joined
+        if (!session.accepted) {
+            this.leaveRoom(session);
+            return;
+        }
+
+        if (game.gameState === 'finished') {
+            // The engine saw the end first, or is confirming ours
+            this.handleRoomGameOver(session.roomCode, game);
+            return;
+        }
+
+        if (reason === dxp.END_REASONS.loss) {
+            game.resign(session.id);
+            this.socketController.emitGameOver(session.roomCode, game);
+            console.log(`DXP engine ${session.name} resigned in room ${session.roomCode}`);
+        } else if (reason === dxp.END_REASONS.draw) {
+            const result = game.offerDraw(session.id);
+            if (!result.success) {
+                this.send(session, dxp.formatChat(result.reason));
+            } else if (result.agreed) {
+                this.socketController.emitGameOver(session.roomCode, game);
+            } else {
+                this.broadcast(session.roomCode, 'draw-offered', {
+                    offererName: session.name,
+                    offererId: session.id,
+                    gameState: game.getGameState()
+                });
+            }
+        } else {
+            this.send(session, dxp.formatChat('The game is not over, play on or resign'));
+        }
+    }
+
+    /**
+     * Handle BACKREQ: ask the human to take back the last turn
+     */
+    handleEngineBackRequest(session, { moveNumber, color }) {
+        const game = this.getSessionGame(session);
+        const last = game ? game.moveHistory[game.moveHistory.length - 1] : null;
+
+        // Rooms only take back one turn, so the engine must ask for the position before the last one
+        if (!session.accepted || !last || last.number !== moveNumber || last.color !== color) {
+            this.send(session, dxp.formatBackAccept(dxp.BACK_CODES.unsupported));
+            return;
+        }
+
+        const result = game.requestTakeback(session.id);
+        if (result.approved) {
+            this.send(session, dxp.formatBackAccept(dxp.BACK_CODES.accepted));
+            this.applyTakeback(session, game, 'Both players agreed to take back the last move.');
+        } else if (result.waitingForOther) {
+            session.takebackRequested = true;
+            this.broadcast(session.roomCode, 'takeback-requested', {
+                requesterName: session.name,
+                requesterId: session.id,
+                gameState: game.getGameState()
+            });
+        } else {
+            this.send(session, dxp.formatBackAccept(dxp.BACK_CODES.declined));
+            this.send(session, dxp.formatChat(result.reason));
+        }
+    }
+
+    /**
+     * Handle BACKACC: the engine's answer to a player's takeback request
+     */
+    handleEngineBackAccept(session, { code }) {
+        const game = this.getSessionGame(session);
+        // The request may have been cancelled in the meantime
+        if (!game || !game.takebackRequest || game.takebackRequest === session.id) return;
+
+        const result = game.respondToTakeback(session.id, code === dxp.BACK_CODES.accepted);
+        if (!result.success) return;
+
+        if (result.accepted) {
+            this.applyTakeback(session, game, `${session.name} accepted the takeback.`);
+        } else {
+            this.broadcast(session.roomCode, 'takeback-declined', {
+                responderName: session.name,
+                gameState: game.getGameState()
+            });
+        }
+    }
+
+    /**
+     * Announce a takeback that has been applied
+     */
+    applyTakeback(session, game, message) {
+        session.knownMoves = game.moveHistory.length;
+        session.lastMoveAt = Date.now();
+        this.broadcast(session.roomCode, 'takeback-accepted', { gameState: game.getGameState(), message });
+        this.socketController.emitEvaluation(session.roomCode);
+    }
+
+    /**
+     * Handle the engine going away: free its seat
+     */
+    handleClose(session) {
+        console.log(`DXP engine disconnected: ${session.id}`);
+        this.leaveRoom(session);
+    }
+
+    /**
+     * Take an engine out of its room. Walking out on a game in progress loses
+     * it when the human opponent is still there.
+     */
+    leaveRoom(session) {
+        const roomCode = session.roomCode;
+        if (!roomCode) return;
+
+        this.sessions.delete(roomCode);
+        session.roomCode = null;
+
+        const game = this.gameController.getGame(roomCode);
+        if (!game) return;
+
+        if (this.socketController.isOpponentSeated(game, session.id) && game.abandon(session.id).success) {
+            this.socketController.emitGameOver(roomCode, game);
+            console.log(`DXP engine ${session.name} abandoned the game in room ${roomCode}`);
+        }
+
+        game.removePlayer(session.id);
+        this.broadcast(roomCode, 'player-left', {
+            players: game.players,
+            gameState: game.getGameState()
+        });
+        this.gameController.cleanupRoom(roomCode);
+    }
+
+    /**
+     * A player joined a room: accept the engine's game once its opponent is seated
+     */
+    handleRoomJoined(roomCode, game) {
+        const session = this.sessions.get(roomCode);
+        if (!session || session.accepted || game.gameState !== 'playing') return;
+
+        const opponent = Object.values(game.players).find(player => !player.isEngine);
+        session.accepted = true;
+        session.knownMoves = game.moveHistory.length;
+        session.lastMoveAt = Date.now();
+        this.send(session, dxp.formatGameAccept(opponent.name, dxp.ACCEPT_CODES.accepted));
+        console.log(`DXP game accepted in room ${roomCode}: ${session.name} vs ${opponent.name}`);
+    }
+
+    /**
+     * A move was made in a room: send the opponent's completed turns to the engine
+     */
+    handleRoomMove(roomCode, game) {
+        const session = this.sessions.get(roomCode);
+        // A multi-jump played leg by leg is sent once the turn is complete
+        if (!session || !session.accepted || game.mustCapture) return;
+
+        const turns = game.moveHistory.slice(session.knownMoves);
+        session.knownMoves = game.moveHistory.length;
+        turns.filter(turn => turn.color !== session.color).forEach(turn => {
+            const seconds = (Date.now() - session.lastMoveAt) / 1000;
+            this.send(session, dxp.formatMoveMessage(dxp.describeTurn(turn, game.boardSize), seconds));
+            session.lastMoveAt = Date.now();
+        });
+    }
+
+    /**
+     * A game ended in a room: tell the engine the result
+     */
+    handleRoomGameOver(roomCode, game) {
+        const session = this.sessions.get(roomCode);
+        if (!session || !session.accepted || session.gameEndSent) return;
+
+        session.gameEndSent = true;
+        // An agreed draw the engine accepted was already announced with the offer
+        if (session.drawProposed && !game.winner) return;
+
+        // GAMEEND is told from the sender's side, and we speak for the engine's opponent
+        const reason = !game.winner
+            ? dxp.END_REASONS.draw
+            : game.winner === session.color ? dxp.END_REASONS.loss : dxp.END_REASONS.win;
+        this.send(session, dxp.formatGameEnd(reason));
+    }
+
+    /**
+     * The last person left an engine's room and the room was removed
+     */
+    handleRoomRemoved(roomCode) {
+        const session = this.sessions.get(roomCode);
+        if (!session) return;
+
+        this.sessions.delete(roomCode);
+        session.roomCode = null;
+        // A game request nobody took up is refused; a game under way already got its GAMEEND
+        if (!session.accepted) {
+            this.send(session, dxp.formatGameAccept(SERVER_NAME, dxp.ACCEPT_CODES.refused));
+        }
+        this.send(session, dxp.formatChat(`Your opponent left and room ${roomCode} was closed; send GAMEREQ for a new game`));
+        console.log(`DXP engine ${session.name} lost room ${roomCode}: its opponent left`);
+    }
+
+    /**
+     * A player offered a draw: DXP proposes draws with GAMEEND
+     */
+    handleDrawOffered(roomCode, game) {
+        const session = this.sessions.get(roomCode);
+        if (!session || !session.accepted || game.drawOffer === session.id) return;
+
+        session.drawProposed = true;
+        this.send(session, dxp.formatGameEnd(dxp.END_REASONS.draw));
+    }
+
+    /**
+     * A player declined the engine's draw offer
+     */
+    handleDrawDeclined(roomCode, game) {
+        const session = this.sessions.get(roomCode);
+        if (!session || !session.accepted) return;
+
+        this.send(session, dxp.formatChat('Draw declined, play on'));
+    }
+
+    /**
+     * A player asked to take back the last turn
+     */
+    handleTakebackRequested(roomCode, game) {
+        const session = this.sessions.get(roomCode);
+        const last = game.moveHistory[game.moveHistory.length - 1];
+        if (!session || !session.accepted || !last || game.takebackRequest === session.id) return;
+
+        // BACKREQ names the position to return to: the one before the last turn
+        this.send(session, dxp.formatBackRequest(last.number, last.color));
+    }
+
+    /**
+     * A player answered the engine's takeback request
+     */
+    handleTakebackAnswered(roomCode, game, accepted) {
+        const session = this.sessions.get(roomCode);
+        if (!session || !session.takebackRequested) return;
+
+        session.takebackRequested = false;
+        if (accepted) {
+            session.knownMoves = game.moveHistory.length;
+        }
+        this.send(session, dxp.formatBackAccept(accepted ? dxp.BACK_CODES.accepted : dxp.BACK_CODES.declined));
+    }
+}
+
+module.exports = DxpController;
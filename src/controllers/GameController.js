@@ -4,28 +4,369 @@
  */
 
 const CheckersGame = require('../game/CheckersGame');
-const { generateRoomCode } = require('../utils/gameUtils');
+const PuzzleStore = require('../game/PuzzleStore');
+const SearchWorker = require('../game/SearchWorker');
+const GameClock = require('../game/GameClock');
+const { parseFen } = require('../game/fen');
+const { exportPdn, importPdn } = require('../game/pdn');
+const { getRuleSet } = require('../game/rules');
+const { getTablebase } = require('../game/tablebase');
+const { DIFFICULTIES } = require('../game/ai');
+const { BALLOT_LENGTHS } = require('../game/openings');
+const { generateRoomCode, generatePlayerId, generateReconnectToken } = require('../utils/gameUtils');
+
+// Longest time per move a correspondence game may give (days)
+const MAX_DAYS_PER_MOVE = 14;
+const SECONDS_PER_DAY = 24 * 60 * 60;
+// Seconds a player in a live game between two people may take over a move
+// when the room has no clock, and the range a room may choose from
+const MIN_TURN_TIMEOUT = 60;
+const MAX_TURN_TIMEOUT = 60 * 60;
 
 class GameController {
     constructor() {
         this.games = new Map();
         this.rooms = new Map();
+        this.puzzles = new PuzzleStore();
+        this.searchWorker = new SearchWorker(); // Engine searches, off the event loop
     }
 
     /**
      * Create a new game room
-     * @returns {Object} Object containing the room code
+     * @param {Object} options - Room options
+     * @param {string} options.fen - Optional FEN to start from instead of the standard layout
+     * @param {number} options.drawMoveLimit - Optional moves per player without progress before a draw
+     * @param {string} options.variant - Optional rule set id (default: American checkers)
+     * @param {string} options.opponent - 'human' (default) or 'computer' to fill the second seat with a bot
+     * @param {string} options.difficulty - Bot strength: 'easy', 'medium' (default) or 'hard'
+     * @param {boolean} options.training - Allow engine hints and the evaluation bar
+     * @param {boolean} options.adjudicateDraws - End endgames the tablebase proves drawn
+     * @param {number} options.ballot - Start every game from a random 2- or 3-move ballot opening
+     * @param {string} options.puzzleId - Open a solo room for this puzzle instead of a game
+     * @param {Object} options.timeControl - Optional clocks as { mode, initial, increment } in seconds; mode is 'sudden_death', 'fischer', 'bronstein' or 'delay'
+     * @param {boolean} options.correspondence - Play over days: seats are kept for the players' user ids while they are away
+     * @param {number} options.daysPerMove - Days each side has for a move in a correspondence game (default: 3)
+     * @param {number} options.turnTimeout - Seconds a player may take over a move before the game counts as abandoned (default: none, 0 also means none); live games between two people without a clock only
+     * @returns {Object} Object containing the room code, or an error for invalid options
      */
-    createRoom() {
+    createRoom({ fen, drawMoveLimit, variant, opponent = 'human', difficulty = 'medium', training = false, adjudicateDraws = false, ballot, puzzleId, timeControl, correspondence = false, daysPerMove = 3, turnTimeout } = {}) {
+        if (puzzleId !== undefined && puzzleId !== null) {
+            if (fen || ballot || timeControl || correspondence) {
+                return { error: 'A puzzle room cannot be combined with a starting position, ballot, time control or correspondence' };
+            }
+            return this.createPuzzleRoom(puzzleId);
+        }
+
+        const rules = getRuleSet(variant);
+        if (!rules) {
+            return { error: `Unknown variant "${variant}"` };
+        }
+
+        if (opponent !== 'human' && opponent !== 'computer') {
+            return { error: 'opponent must be "human" or "computer"' };
+        }
+        if (opponent === 'computer' && !DIFFICULTIES[difficulty]) {
+            return { error: `Unknown difficulty "${difficulty}"` };
+        }
+
+        if (drawMoveLimit !== undefined && (!Number.isInteger(drawMoveLimit) || drawMoveLimit < 1)) {
+            return { error: 'drawMoveLimit must be a positive whole number' };
+        }
+
+        if (ballot !== undefined && ballot !== null) {
+            if (!BALLOT_LENGTHS.includes(ballot)) {
+                return { error: `ballot must be one of ${BALLOT_LENGTHS.join(', ')}` };
+            }
+            if (fen) {
+                return { error: 'A ballot opening cannot be combined with a starting position' };
+            }
+        }
+
+        if (timeControl !== undefined && timeControl !== null) {
+            const check = GameClock.validate(timeControl);
+            if (!check.valid) {
+                return { error: check.reason };
+            }
+        }
+
+        if (correspondence === true) {
+            if (opponent !== 'human') {
+                return { error: 'Correspondence games are played between two people' };
+            }
+            if (timeControl) {
+                return { error: 'A correspondence game has days per move instead of a time control' };
+            }
+            if (!Number.isInteger(daysPerMove) || daysPerMove < 1 || daysPerMove > MAX_DAYS_PER_MOVE) {
+                return { error: `daysPerMove must be a whole number from 1 to ${MAX_DAYS_PER_MOVE}` };
+            }
+        }
+
+        const liveWithoutClock = opponent === 'human' && !timeControl && correspondence !== true;
+        if (turnTimeout !== undefined && turnTimeout !== null && turnTimeout !== 0) {
+            if (!Number.isInteger(turnTimeout) || turnTimeout < MIN_TURN_TIMEOUT || turnTimeout > MAX_TURN_TIMEOUT) {
+                return { error: `turnTimeout must be 0 (off) or a whole number of seconds from ${MIN_TURN_TIMEOUT} to ${MAX_TURN_TIMEOUT}` };
+            }
+            if (!liveWithoutClock) {
+                return { error: 'A turn timeout is only for live games between two people without a time control' };
+            }
+        }
+
+        if (adjudicateDraws === true && !getTablebase(rules)) {
+            return { error: `No endgame tablebase has been generated for ${rules.name}` };
+        }
+
+        let startPosition = null;
+        if (fen) {
+            const position = parseFen(fen, rules.boardSize);
+            if (!position.valid) {
+                return { error: position.reason };
+            }
+            startPosition = { board: position.board, currentPlayer: position.currentPlayer };
+        }
+
         const roomCode = generateRoomCode();
-        const game = new CheckersGame(roomCode);
+        const game = new CheckersGame(roomCode, {
+            startPosition,
+            drawMoveLimit,
+            rules,
+            training: training === true,
+            adjudicateDraws: adjudicateDraws === true,
+            ballot: ballot || null,
+            timeControl: correspondence === true
+                ? { mode: 'per_move', initial: daysPerMove * SECONDS_PER_DAY }
+                : timeControl || null,
+            correspondence: correspondence === true ? { daysPerMove } : null,
+            turnTimeout: liveWithoutClock && turnTimeout ? turnTimeout : null
+        });
+        
+        // A position that is already decided cannot be played from
+        const gameOver = startPosition && game.checkGameOver();
+        if (gameOver) {
+            return {
+                error: gameOver.reason === 'tablebase_draw'
+                    ? 'The endgame tablebase shows this position is a dead draw'
+                    : 'The side to move has no pieces or no legal moves'
+            };
+        }
+
+        if (opponent === 'computer') {
+            game.addBot(difficulty, DIFFICULTIES[difficulty].name);
+        }
         
         this.games.set(roomCode, game);
-        this.rooms.set(roomCode, { playerCount: 0, created: new Date() });
+        this.rooms.set(roomCode, {
+            playerCount: 0,
+            created: new Date(),
+            correspondence: correspondence === true,
+            seats: new Map(), // User id -> player id, for correspondence seats
+            reconnectTokens: new Map() // Reconnect token -> player id, for live seats
+        });
+        
+        // Start on the ballot decks now, so they are usually ready by the time the turn order is chosen
+        this.prepareBallot(roomCode);
         
         return { roomCode };
     }
 
+    /**
+     * Have the ballot decks of a room's game built on the search worker, so
+     * drawing its opening takes no search on the main thread
+     * @param {string} roomCode - The room code
+     * @returns {Promise<void>} Settles once the decks are cached; a deck that failed to build is left to drawBallot
+     */
+    prepareBallot(roomCode) {
+        const game = this.games.get(roomCode);
+        if (!game || !game.ballot) {
+            return Promise.resolve();
+        }
+
+        return this.searchWorker.prepareBallotDecks(game).catch(error => {
+            console.error(`Ballot decks for room ${roomCode} could not be built:`, error.message);
+        });
+    }
+
+    /**
+     * Seat a player in a correspondence room, or give them back the seat they
+     * already hold there
+     * @param {string} roomCode - The room code
+     * @param {string} userId - Player id kept by the client
+     * @param {string} playerName - Name to sit down with; a returning player keeps their first name
+     * @returns {Object} { playerId, returning } for the seat, or an error
+     */
+    takeCorrespondenceSeat(roomCode, userId, playerName) {
+        const game = this.games.get(roomCode);
+        const room = this.rooms.get(roomCode);
+        if (!game || !room || !room.correspondence) {
+            return { error: 'Room not found' };
+        }
+        if (!userId) {
+            return { error: 'Correspondence games need a player id' };
+        }
+
+        if (room.seats.has(userId)) {
+            return { playerId: room.seats.get(userId), returning: true };
+        }
+
+        const playerId = generatePlayerId();
+        if (!game.addPlayer(playerId, playerName)) {
+            return { error: 'Room is full' };
+        }
+        room.seats.set(userId, playerId);
+        return { playerId, returning: false };
+    }
+
+    /**
+     * Seat a player in a live room. A reconnect token handed out earlier in
+     * the room gives its holder back the seat they still hold there.
+     * @param {string} roomCode - The room code
+     * @param {string} connectionId - Socket id, which becomes the id of a new seat
+     * @param {string} playerName - Name to sit down with; a returning player keeps their first name
+     * @param {string} reconnectToken - Token the client kept from an earlier join, if any
+     * @returns {Object} { playerId, reconnectToken, returning } for the seat, or an error
+     */
+    takeLiveSeat(roomCode, connectionId, playerName, reconnectToken) {
+        const game = this.games.get(roomCode);
+        const room = this.rooms.get(roomCode);
+        if (!game || !room || room.correspondence) {
+            return { error: 'Room not found' };
+        }
+
+        const heldSeat = reconnectToken ? room.reconnectTokens.get(reconnectToken) : null;
+        if (heldSeat && game.players[heldSeat]) {
+            return { playerId: heldSeat, reconnectToken, returning: true };
+        }
+
+        if (!game.addPlayer(connectionId, playerName)) {
+            return { error: 'Room is full' };
+        }
+        const token = generateReconnectToken();
+        room.reconnectTokens.set(token, connectionId);
+        return { playerId: connectionId, reconnectToken: token, returning: false };
+    }
+
+    /**
+     * Forget the reconnect token of a live seat that has been released, so it
+     * cannot be used to take the seat id back later
+     * @param {string} roomCode - The room code
+     * @param {string} playerId - Id of the released seat
+     */
+    forgetReconnectToken(roomCode, playerId) {
+        const room = this.rooms.get(roomCode);
+        if (!room || !room.reconnectTokens) return;
+
+        for (const [token, seatId] of room.reconnectTokens.entries()) {
+            if (seatId === playerId) {
+                room.reconnectTokens.delete(token);
+            }
+        }
+    }
+
+    /**
+     * List a player's correspondence games, the ones waiting for their move first
+     * @param {string} userId - Player id kept by the client
+     * @returns {Array<Object>} Games as { roomCode, variant, color, opponent, yourTurn, gameState, result, moves, daysPerMove, timeLeft }
+     */
+    getUserGames(userId) {
+        const games = [];
+        for (const [roomCode, room] of this.rooms.entries()) {
+            const playerId = room.correspondence && userId ? room.seats.get(userId) : null;
+            const game = playerId ? this.games.get(roomCode) : null;
+            if (!game || !game.players[playerId]) continue;
+
+            const { color } = game.players[playerId];
+            const opponent = Object.values(game.players).find(player => player.color !== color);
+            // Before the turn order is chosen, the player who chooses it is the one holding the game up
+            const yourTurn = game.gameState === 'playing'
+                ? game.currentPlayer === color
+                : game.gameState === 'turn_selection' && game.turnOrderSelector === playerId;
+            games.push({
+                roomCode,
+                variant: game.rules.id,
+                color,
+                opponent: opponent ? opponent.name : null,
+                yourTurn,
+                gameState: game.gameState,
+                result: game.result,
+                moves: game.moveHistory.length,
+                daysPerMove: game.correspondence.daysPerMove,
+                timeLeft: game.clock && game.clock.running ? game.clock.getRemaining(game.clock.running) : null
+            });
+        }
+
+        return games.sort((a, b) => Number(b.yourTurn) - Number(a.yourTurn)
+            || (a.timeLeft === null) - (b.timeLeft === null)
+            || a.timeLeft - b.timeLeft);
+    }
+
+    /**
+     * Create a solo room where the player solves a puzzle against its scripted replies
+     * @param {string} puzzleId - Puzzle id
+     * @returns {Object} Object containing the room code, or an error for an unknown puzzle
+     */
+    createPuzzleRoom(puzzleId) {
+        const puzzle = this.puzzles.get(puzzleId);
+        if (!puzzle) {
+            return { error: `Unknown puzzle "${puzzleId}"` };
+        }
+
+        const rules = getRuleSet(puzzle.variant);
+        const { board, currentPlayer } = parseFen(puzzle.fen, rules.boardSize);
+        const roomCode = generateRoomCode();
+        const game = new CheckersGame(roomCode, { startPosition: { board, currentPlayer }, rules, puzzle });
+        game.addPuzzleOpponent();
+
+        this.games.set(roomCode, game);
+        this.rooms.set(roomCode, { playerCount: 0, created: new Date(), reconnectTokens: new Map() });
+
+        return { roomCode };
+    }
+
+    /**
+     * Find the next puzzle for a player, without giving its solution away
+     * @param {Object} options - Lookup options
+     * @param {string} options.userId - Player id kept by the client
+     * @param {string} options.variant - Optional rule set id (default: American checkers)
+     * @returns {Object|null} Puzzle with the player's progress, null when every puzzle is solved, or an error when the variant has no puzzles
+     */
+    getNextPuzzle({ userId, variant } = {}) {
+        const rules = getRuleSet(variant);
+        if (!rules) {
+            return { error: `Unknown variant "${variant}"` };
+        }
+
+        const progress = this.puzzles.getProgress(userId, rules.id);
+        if (progress.total === 0) {
+            return { error: `There are no puzzles for ${rules.name} yet` };
+        }
+
+        const puzzle = this.puzzles.getNext(userId, rules.id);
+        if (!puzzle) {
+            return null;
+        }
+
+        const { id, title, fen, difficulty, solution } = puzzle;
+        return {
+            id,
+            variant: rules.id,
+            title,
+            fen,
+            difficulty,
+            moves: solution.length,
+            progress
+        };
+    }
+
+    /**
+     * Record that a player solved a puzzle room's puzzle
+     * @param {string} userId - Player id kept by the client
+     * @param {CheckersGame} game - Puzzle room's game, finished with reason 'puzzle_solved'
+     * @returns {Object} The player's progress as { solved, total }
+     */
+    recordPuzzleSolved(userId, game) {
+        this.puzzles.markSolved(userId, game.puzzle.id);
+        return this.puzzles.getProgress(userId, game.rules.id);
+    }
+
     /**
      * Get room information
      * @param {string} roomCode - The room code to look up
@@ -41,7 +382,8 @@ class GameController {
         return {
             roomCode,
             playerCount: Object.keys(game.players).length,
-            gameState: game.gameState
+            gameState: game.gameState,
+            variant: game.rules.id
         };
     }
 
@@ -54,17 +396,135 @@ class GameController {
         return this.games.get(roomCode) || null;
     }
 
+    /**
+     * Export a room's game as PDN text
+     * @param {string} roomCode - The room code
+     * @returns {string|null} PDN text or null if the room was not found
+     */
+    getRoomPdn(roomCode) {
+        const game = this.games.get(roomCode);
+        
+        if (!game) {
+            return null;
+        }
+        
+        const room = this.rooms.get(roomCode);
+        return exportPdn(game, { date: room ? room.created : new Date() });
+    }
+
+    /**
+     * Analyse a room's finished game. Nothing is searched until the report is
+     * first asked for; it is then computed once per game and kept with the
+     * room, so repeated requests share the same search.
+     * @param {string} roomCode - The room code
+     * @returns {Promise<Object|null>} Analysis report, { error } while the game is unfinished, or null if the room was not found
+     */
+    async getRoomAnalysis(roomCode) {
+        const game = this.games.get(roomCode);
+        const room = this.rooms.get(roomCode);
+        
+        if (!game || !room) {
+            return null;
+        }
+        
+        if (game.gameState !== 'finished') {
+            return { error: 'Analysis is available once the game has finished' };
+        }
+        
+        // A new game or a takeback after the end changes the moves and the result
+        const key = JSON.stringify([game.moveHistory.map(move => move.notation), game.result]);
+        if (!room.analysis || room.analysis.key !== key) {
+            const report = this.searchWorker.analyzeGame(game);
+            room.analysis = { key, report };
+            report.catch(() => {
+                if (room.analysis && room.analysis.report === report) {
+                    room.analysis = null;
+                }
+            });
+        }
+        
+        const { moves, summary } = await room.analysis.report;
+        return {
+            roomCode,
+            variant: game.rules.id,
+            result: game.result,
+            moves,
+            summary
+        };
+    }
+
+    /**
+     * Turn the combinations of a room's finished game into puzzles. Each game
+     * is mined once on the search worker, and new puzzles are saved with the
+     * other mined ones.
+     * @param {string} roomCode - The room code
+     * @returns {Promise<Array<Object>|null>} Puzzles added to the store, or null if the room was not found
+     */
+    async minePuzzles(roomCode) {
+        const game = this.games.get(roomCode);
+        const room = this.rooms.get(roomCode);
+        
+        if (!game || !room) {
+            return null;
+        }
+        
+        // Puzzle rooms only replay a known line, engine games are the engines' business,
+        // and unfinished games may still change
+        const key = JSON.stringify(game.moveHistory.map(move => move.notation));
+        const engineGame = Object.values(game.players).some(player => player.isEngine);
+        if (game.puzzle || engineGame || game.gameState !== 'finished' || room.minedKey === key) {
+            return [];
+        }
+        room.minedKey = key;
+        
+        const added = (await this.searchWorker.minePuzzles(game))
+            .map(puzzle => this.puzzles.add({ ...puzzle, source: `Room ${roomCode}, move ${puzzle.moveNumber}` }))
+            .filter(result => result.added)
+            .map(result => result.puzzle);
+        if (added.length > 0) {
+            this.puzzles.save();
+            console.log(`Mined ${added.length} puzzle(s) from room ${roomCode}`);
+        }
+        return added;
+    }
+
+    /**
+     * Validate a PDN game by replaying it
+     * @param {string} pdn - PDN text of a single game
+     * @returns {Object} Import result with tags, moves and final game state, or the reason it failed
+     */
+    importPdn(pdn) {
+        const result = importPdn(pdn);
+        
+        if (!result.valid) {
+            return result;
+        }
+        
+        return {
+            valid: true,
+            tags: result.tags,
+            moves: result.moves,
+            result: result.result,
+            gameState: result.game.getGameState()
+        };
+    }
+
     /**
      * Clean up empty rooms
      * @param {string} roomCode - The room code to potentially clean up
+     * @returns {boolean} True if the room was removed
      */
     cleanupRoom(roomCode) {
         const game = this.games.get(roomCode);
-        if (game && Object.keys(game.players).length === 0) {
-            this.games.delete(roomCode);
-            this.rooms.delete(roomCode);
-            console.log(`Removed empty room ${roomCode}`);
+        // Neither a bot nor an external engine can keep a room alive on its own
+        if (!game || !Object.values(game.players).every(player => player.isBot || player.isEngine)) {
+            return false;
         }
+
+        this.games.delete(roomCode);
+        this.rooms.delete(roomCode);
+        console.log(`Removed empty room ${roomCode}`);
+        return true;
     }
 
     /**
@@ -3,10 +3,44 @@
  * Handles all Socket.IO events and game interactions
  */
 
+const { evaluatePosition, WIN_SCORE } = require('../game/ai');
+const { getBookMove } = require('../game/openings');
+const { toSquareNumber, formatMove } = require('../game/notation');
+
+// Pause before the computer replies so its moves are easy to follow
+const BOT_MOVE_DELAY = 600;
+// Search budgets (ms) for training hints and the evaluation bar
+const HINT_TIME_LIMIT = 1000;
+const EVALUATION_TIME_LIMIT = 300;
+// Wait (ms) a player must leave between two hints, so hint requests cannot pile up searches
+const HINT_COOLDOWN = 3000;
+// Extra wait (ms) after a flag is due, so the check never runs a moment too early
+const FLAG_CHECK_MARGIN = 50;
+// Warning (ms) a player gets before their turn timeout ends the game
+const TURN_TIMEOUT_WARNING = 30 * 1000;
+// How long (ms) a player who drops out of a live game keeps their seat before forfeiting
+const DISCONNECT_GRACE_PERIOD = 60 * 1000;
+
 class SocketController {
     constructor(io, gameController) {
         this.io = io;
         this.gameController = gameController;
+        this.botTimers = new Map();
+        this.botSearches = new Set(); // Room codes where the computer is thinking
+        this.hintCooldowns = new Map(); // Player id -> timer that lets the player ask for a hint again
+        this.evaluationSearches = new Map(); // Room code -> whether the position changed during the running evaluation
+        this.flagTimers = new Map(); // Room code -> timer that ends the game when a flag falls
+        this.inactivityTimers = new Map(); // Room code -> timer that warns or forfeits an idle player
+        this.graceTimers = new Map(); // Player id -> timer that forfeits a disconnected player's game
+        this.engineBridge = null; // Forwards room events to external engines (DXP)
+    }
+
+    /**
+     * Connect the bridge that seats external engines in rooms
+     * @param {DxpController} bridge - Receives room events for rooms with an engine
+     */
+    setEngineBridge(bridge) {
+        this.engineBridge = bridge;
     }
 
     /**
@@ -16,14 +50,24 @@ class SocketController {
         this.io.on('connection', (socket) => {
             console.log('User connected:', socket.id);
 
-            // Join room
-            socket.on('join-room', ({ roomCode, playerName }) => {
-                this.handleJoinRoom(socket, roomCode, playerName);
+            // Join room; userId is the client's lasting id, used to track solved puzzles,
+            // and reconnectToken takes back a live seat held since a lost connection
+            socket.on('join-room', ({ roomCode, playerName, userId, reconnectToken }) => {
+                this.handleJoinRoom(socket, roomCode, playerName, userId, reconnectToken);
             });
 
-            // Handle move
-            socket.on('make-move', ({ fromRow, fromCol, toRow, toCol }) => {
-                this.handleMakeMove(socket, fromRow, fromCol, toRow, toCol);
+            // Give up the seat for good instead of holding it for a reconnect
+            socket.on('leave-room', () => {
+                this.handleLeaveRoom(socket);
+            });
+
+            // Handle move: either a single leg or a whole path of [row, col] squares
+            socket.on('make-move', ({ fromRow, fromCol, toRow, toCol, path } = {}) => {
+                if (path !== undefined) {
+                    this.handleMakeMovePath(socket, path);
+                } else {
+                    this.handleMakeMove(socket, fromRow, fromCol, toRow, toCol);
+                }
             });
 
             // Handle turn order selection
@@ -41,11 +85,64 @@ class SocketController {
                 this.handleCancelNewGameRequest(socket);
             });
 
+            // Request to take back the last turn
+            socket.on('request-takeback', () => {
+                this.handleRequestTakeback(socket);
+            });
+
+            // Cancel takeback request
+            socket.on('cancel-takeback-request', () => {
+                this.handleCancelTakebackRequest(socket);
+            });
+
+            // Accept or decline the opponent's takeback request
+            socket.on('respond-takeback', ({ accept }) => {
+                this.handleRespondTakeback(socket, accept);
+            });
+
+            // Resign the current game
+            socket.on('resign', () => {
+                this.handleResign(socket);
+            });
+
+            // Offer, accept or decline a draw
+            socket.on('offer-draw', () => {
+                this.handleOfferDraw(socket);
+            });
+
+            socket.on('accept-draw', () => {
+                this.handleAcceptDraw(socket);
+            });
+
+            socket.on('decline-draw', () => {
+                this.handleDeclineDraw(socket);
+            });
+
             // Legacy reset game handler
             socket.on('reset-game', () => {
                 this.handleRequestNewGame(socket);
             });
 
+            // Ask the engine for the best move (training rooms only)
+            socket.on('request-hint', () => {
+                this.handleRequestHint(socket);
+            });
+
+            // Turn the live evaluation stream on or off
+            socket.on('subscribe-evaluation', ({ enabled } = {}) => {
+                this.handleSubscribeEvaluation(socket, enabled);
+            });
+
+            // Echo a client's timestamp so it can measure its latency for the clocks
+            socket.on('clock-ping', ({ sentAt } = {}) => {
+                socket.emit('clock-pong', { sentAt });
+            });
+
+            // Queue replies to the opponent's moves (correspondence rooms only)
+            socket.on('set-conditional-moves', ({ lines } = {}) => {
+                this.handleSetConditionalMoves(socket, lines);
+            });
+
             // Get possible moves for a piece
             socket.on('get-possible-moves', ({ row, col }) => {
                 this.handleGetPossibleMoves(socket, row, col);
@@ -61,7 +158,7 @@ class SocketController {
     /**
      * Handle player joining a room
      */
-    handleJoinRoom(socket, roomCode, playerName) {
+    handleJoinRoom(socket, roomCode, playerName, userId, reconnectToken) {
         const game = this.gameController.getGame(roomCode);
         
         if (!game) {
@@ -69,39 +166,64 @@ class SocketController {
             return;
         }
 
-        const success = game.addPlayer(socket.id, playerName);
-        
-        if (!success) {
-            socket.emit('error', { message: 'Room is full' });
+        socket.userId = typeof userId === 'string' && userId ? userId : null;
+
+        // Correspondence seats belong to the user, whichever connection they come back on;
+        // live seats go back to whoever shows the seat's reconnect token
+        const seat = game.correspondence
+            ? this.gameController.takeCorrespondenceSeat(roomCode, socket.userId, playerName)
+            : this.gameController.takeLiveSeat(roomCode, socket.id, playerName, reconnectToken);
+        if (seat.error) {
+            socket.emit('error', { message: seat.error });
             return;
         }
+        const playerId = seat.playerId;
+        const reconnected = !game.correspondence && seat.returning;
+        if (reconnected) {
+            clearTimeout(this.graceTimers.get(playerId));
+            this.graceTimers.delete(playerId);
+            game.setReconnecting(playerId, false);
+        }
 
         socket.join(roomCode);
         socket.roomCode = roomCode;
+        socket.playerId = playerId;
+        socket.emit('seat-assigned', { playerId, reconnectToken: seat.reconnectToken || null });
 
         this.io.to(roomCode).emit('player-joined', {
             players: game.players,
-            gameState: game.getGameState()
+            gameState: game.getGameState(),
+            playerId,
+            reconnected
         });
 
         socket.emit('game-state', game.getGameState());
+        if (game.correspondence) {
+            socket.emit('conditional-moves', { lines: game.getConditionalLines(game.players[playerId].color) });
+        }
         
         if (game.waitingForTurnOrderSelection) {
-            if (game.turnOrderSelector === socket.id) {
+            if (game.turnOrderSelector === socket.playerId) {
                 socket.emit('show-turn-order-selection', { canChoose: true });
             } else {
                 socket.emit('game-state', game.getGameState());
             }
             
-            if (game.turnOrderSelector && game.turnOrderSelector !== socket.id) {
-                const selectorSocket = this.io.sockets.sockets.get(game.turnOrderSelector);
-                if (selectorSocket) {
-                    selectorSocket.emit('show-turn-order-selection', { canChoose: true });
-                }
+            if (game.turnOrderSelector && game.turnOrderSelector !== socket.playerId) {
+                this.getPlayerSockets(roomCode, game.turnOrderSelector)
+                    .forEach(selectorSocket => selectorSocket.emit('show-turn-order-selection', { canChoose: true }));
             }
         }
         
-        console.log(`Player ${playerName} joined room ${roomCode}`);
+        console.log(`Player ${game.players[playerId].name} ${reconnected ? 'reconnected to' : 'joined'} room ${roomCode}`);
+
+        if (this.engineBridge) {
+            this.engineBridge.handleRoomJoined(roomCode, game);
+        }
+
+        // Rooms started from a position may have the computer to move
+        this.scheduleBotMove(roomCode);
+        this.scheduleTurnTimers(roomCode);
     }
 
     /**
@@ -113,7 +235,7 @@ class SocketController {
         const game = this.gameController.getGame(socket.roomCode);
         if (!game) return;
 
-        const result = game.makeMove(fromRow, fromCol, toRow, toCol, socket.id);
+        const result = game.makeMove(fromRow, fromCol, toRow, toCol, socket.playerId);
         
         if (result.success) {
             this.io.to(socket.roomCode).emit('move-made', {
@@ -123,40 +245,526 @@ class SocketController {
                 toCol,
                 capturedPiece: result.capturedPiece,
                 promoted: result.promoted,
+                move: result.move,
                 gameState: game.getGameState()
             });
 
-            if (result.winner) {
-                this.io.to(socket.roomCode).emit('game-over', {
-                    winner: result.winner,
-                    gameState: game.getGameState()
-                });
-            }
+            this.emitMoveSideEffects(socket.roomCode, game, result);
+            this.scheduleBotMove(socket.roomCode);
+        } else {
+            this.emitMoveError(socket, game, result);
+        }
+    }
+
+    /**
+     * Handle a whole move submitted as a path of [row, col] squares,
+     * validated and applied atomically
+     */
+    handleMakeMovePath(socket, path) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.makeMovePath(path, socket.playerId);
+
+        if (result.success) {
+            this.emitPathMove(socket.roomCode, game, path, result);
+            this.scheduleBotMove(socket.roomCode);
+        } else {
+            this.emitMoveError(socket, game, result);
+        }
+    }
+
+    /**
+     * Tell a player why their move was refused. A move that came in after
+     * the flag fell ends the game for the whole room instead.
+     */
+    emitMoveError(socket, game, result) {
+        if (result.flagFell) {
+            this.emitGameOver(socket.roomCode, game);
+            return;
+        }
+        socket.emit('move-error', { message: result.reason });
+    }
+
+    /**
+     * Broadcast a whole move applied from a path
+     */
+    emitPathMove(roomCode, game, path, result, conditional = false) {
+        const [fromRow, fromCol] = path[0];
+        const [toRow, toCol] = path[path.length - 1];
+        this.io.to(roomCode).emit('move-made', {
+            fromRow,
+            fromCol,
+            toRow,
+            toCol,
+            path,
+            capturedPiece: result.capturedPiece,
+            capturedPieces: result.capturedPieces,
+            promoted: result.promoted,
+            move: result.move,
+            conditional,
+            gameState: game.getGameState()
+        });
+
+        this.emitMoveSideEffects(roomCode, game, result);
+    }
+
+    /**
+     * Let the computer play if it is its turn. The search runs after a short
+     * delay so the player's own move is broadcast first.
+     */
+    scheduleBotMove(roomCode) {
+        const game = this.gameController.getGame(roomCode);
+        if (!game || !game.isBotTurn() || this.botTimers.has(roomCode) || this.botSearches.has(roomCode)) return;
+
+        const timer = setTimeout(() => {
+            this.botTimers.delete(roomCode);
+            this.playBotMove(roomCode);
+        }, BOT_MOVE_DELAY);
+        this.botTimers.set(roomCode, timer);
+    }
+
+    /**
+     * Search and play the computer's move
+     */
+    async playBotMove(roomCode) {
+        const game = this.gameController.getGame(roomCode);
+        // The position may have changed (takeback, new game, resignation) while waiting
+        if (!game || !game.isBotTurn()) return;
+
+        const botId = game.getBotPlayerId();
+        let choice;
+        if (game.puzzle) {
+            // A puzzle's defender plays the replies of the solution
+            const replyPath = game.getPuzzleReply();
+            choice = replyPath ? { path: replyPath } : null;
+        } else {
+            // Stay in the opening book while the game follows one of its lines
+            const bookPath = getBookMove(game);
+            choice = bookPath ? { path: bookPath } : await this.searchBotMove(roomCode, game, botId);
+        }
+        if (!choice) return;
+
+        const result = game.makeMovePath(choice.path, botId);
+        if (result.flagFell) {
+            this.emitGameOver(roomCode, game);
+            return;
+        }
+        if (!result.success) {
+            console.error(`Computer move failed in room ${roomCode}: ${result.reason}`);
+            return;
+        }
+
+        this.emitPathMove(roomCode, game, choice.path, result);
+        this.scheduleBotMove(roomCode);
+    }
+
+    /**
+     * Think of the computer's move on the search worker. The room can change
+     * while the computer is thinking; a move found for a position that is
+     * gone is dropped, and the computer thinks again if it is still to move.
+     * @returns {Promise<Object|null>} The search result, or null when there is nothing to play
+     */
+    async searchBotMove(roomCode, game, botId) {
+        const position = game.getPositionKey();
+        this.botSearches.add(roomCode);
+        let choice;
+        try {
+            choice = await this.gameController.searchWorker.findBestMove(game, { difficulty: game.players[botId].difficulty });
+        } catch (error) {
+            console.error(`Computer search failed in room ${roomCode}:`, error);
+            return null;
+        } finally {
+            this.botSearches.delete(roomCode);
+        }
+
+        if (this.gameController.getGame(roomCode) !== game || !game.isBotTurn() || game.getPositionKey() !== position) {
+            this.scheduleBotMove(roomCode);
+            return null;
+        }
+        return choice;
+    }
+
+    /**
+     * Let the computer answer a draw offer: it only agrees when it stands worse
+     */
+    respondToDrawAsBot(roomCode, game) {
+        const botId = game.getBotPlayerId();
+        if (!botId || !game.drawOffer || game.drawOffer === botId) return;
+
+        if (evaluatePosition(game, game.players[botId].color) < 0) {
+            game.acceptDraw(botId);
+            this.emitGameOver(roomCode, game);
+        } else {
+            game.declineDraw(botId);
+            this.io.to(roomCode).emit('draw-declined', {
+                responderName: game.players[botId].name,
+                gameState: game.getGameState()
+            });
+        }
+    }
+
+    /**
+     * Announce what a successful move cancelled or decided
+     */
+    emitMoveSideEffects(roomCode, game, result) {
+        // An engine hears about the move before it hears about the end of the game
+        if (this.engineBridge) {
+            this.engineBridge.handleRoomMove(roomCode, game);
+        }
+
+        if (result.takebackCancelled) {
+            this.io.to(roomCode).emit('takeback-request-cancelled', {
+                reason: 'move_made',
+                gameState: game.getGameState()
+            });
+        }
+
+        if (result.drawOfferCancelled) {
+            this.io.to(roomCode).emit('draw-declined', {
+                reason: 'move_made',
+                gameState: game.getGameState()
+            });
+        }
+
+        if (game.correspondence) {
+            this.emitConditionalMoves(game);
+        }
+
+        if (result.gameState === 'finished') {
+            this.emitGameOver(roomCode, game);
         } else {
+            this.scheduleTurnTimers(roomCode);
+        }
+
+        this.emitEvaluation(roomCode);
+
+        if (result.gameState !== 'finished') {
+            this.playConditionalMove(roomCode, game);
+        }
+    }
+
+    /**
+     * Play the side to move's queued reply once the opponent's move matched it
+     */
+    playConditionalMove(roomCode, game) {
+        const path = game.getConditionalReply();
+        if (!path) return;
+
+        const playerId = game.getPlayerIdByColor(game.currentPlayer);
+        const result = game.makeMovePath(path, playerId);
+        if (result.flagFell) {
+            this.emitGameOver(roomCode, game);
+            return;
+        }
+        if (!result.success) {
+            console.error(`Conditional move failed in room ${roomCode}: ${result.reason}`);
+            return;
+        }
+
+        console.log(`Conditional move ${result.move.notation} played for ${game.players[playerId].name} in room ${roomCode}`);
+        this.emitPathMove(roomCode, game, path, result, true);
+    }
+
+    /**
+     * Send each player the conditional moves they still have queued. Nobody
+     * else sees them, so the opponent cannot read the plan.
+     */
+    emitConditionalMoves(game) {
+        game.getHumanPlayerIds().forEach(playerId => {
+            const lines = game.getConditionalLines(game.players[playerId].color);
+            this.getPlayerSockets(game.roomCode, playerId)
+                .forEach(socket => socket.emit('conditional-moves', { lines }));
+        });
+    }
+
+    /**
+     * Handle a player queueing replies to their opponent's possible moves
+     */
+    handleSetConditionalMoves(socket, lines) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.setConditionalMoves(socket.playerId, lines);
+        if (!result.success) {
             socket.emit('move-error', { message: result.reason });
+            return;
         }
+
+        // Other tabs of the same seat follow along; only the one that asked confirms it
+        this.getPlayerSockets(socket.roomCode, socket.playerId).forEach(seatSocket => {
+            seatSocket.emit('conditional-moves', { lines: result.lines, saved: seatSocket === socket });
+        });
+        console.log(`${game.players[socket.playerId].name} queued ${result.lines.length} conditional line(s) in room ${socket.roomCode}`);
     }
 
     /**
-     * Handle turn order selection
+     * Wait for the flag of the side to move, replacing any earlier wait.
+     * Nothing is scheduled while the room has no running clock.
+     */
+    scheduleFlagCheck(roomCode) {
+        clearTimeout(this.flagTimers.get(roomCode));
+        this.flagTimers.delete(roomCode);
+
+        const game = this.gameController.getGame(roomCode);
+        const timeToFlag = game && game.gameState === 'playing' && game.clock ? game.clock.getTimeToFlag() : null;
+        if (timeToFlag === null) return;
+
+        const timer = setTimeout(() => {
+            this.flagTimers.delete(roomCode);
+            this.checkFlag(roomCode);
+        }, timeToFlag + FLAG_CHECK_MARGIN);
+        this.flagTimers.set(roomCode, timer);
+    }
+
+    /**
+     * End the game if the side to move has run out of time
+     */
+    checkFlag(roomCode) {
+        const game = this.gameController.getGame(roomCode);
+        if (!game) return;
+
+        if (game.checkFlag()) {
+            this.emitGameOver(roomCode, game);
+            console.log(`${game.result.winner === 'red' ? 'Black' : 'Red'} ran out of time in room ${roomCode}`);
+        } else {
+            this.scheduleFlagCheck(roomCode);
+        }
+    }
+
+    /**
+     * Restart the waits that follow the side to move: its clock and its turn timeout
      */
-    handleSelectTurnOrder(socket, choice) {
+    scheduleTurnTimers(roomCode) {
+        this.scheduleFlagCheck(roomCode);
+        this.scheduleInactivityCheck(roomCode);
+    }
+
+    /**
+     * Wait for the side to move's turn timeout, warning the player first.
+     * Nothing is scheduled while the room has no turn timeout running.
+     */
+    scheduleInactivityCheck(roomCode) {
+        clearTimeout(this.inactivityTimers.get(roomCode));
+        this.inactivityTimers.delete(roomCode);
+
+        const game = this.gameController.getGame(roomCode);
+        const deadline = game ? game.getTurnDeadline() : null;
+        if (deadline === null) return;
+
+        const now = Date.now();
+        const warnAt = deadline - TURN_TIMEOUT_WARNING;
+        const timer = warnAt > now
+            ? setTimeout(() => {
+                this.inactivityTimers.delete(roomCode);
+                this.warnInactivePlayer(roomCode);
+            }, warnAt - now)
+            : setTimeout(() => {
+                this.inactivityTimers.delete(roomCode);
+                this.checkTurnTimeout(roomCode);
+            }, Math.max(0, deadline - now) + FLAG_CHECK_MARGIN);
+        this.inactivityTimers.set(roomCode, timer);
+    }
+
+    /**
+     * Tell the room that the side to move will lose unless it moves soon
+     */
+    warnInactivePlayer(roomCode) {
+        const game = this.gameController.getGame(roomCode);
+        const deadline = game ? game.getTurnDeadline() : null;
+        if (deadline === null) return;
+
+        this.io.to(roomCode).emit('inactivity-warning', {
+            color: game.currentPlayer,
+            playerId: game.getPlayerIdByColor(game.currentPlayer),
+            secondsLeft: Math.max(0, Math.round((deadline - Date.now()) / 1000))
+        });
+        this.scheduleInactivityCheck(roomCode);
+    }
+
+    /**
+     * End the game once the side to move has let its turn time out
+     */
+    checkTurnTimeout(roomCode) {
+        const game = this.gameController.getGame(roomCode);
+        if (!game) return;
+
+        if (game.checkTurnTimeout()) {
+            this.emitGameOver(roomCode, game);
+            console.log(`${game.result.winner === 'red' ? 'Black' : 'Red'} let the turn time out in room ${roomCode}`);
+        } else {
+            this.scheduleInactivityCheck(roomCode);
+        }
+    }
+
+    /**
+     * Handle a hint request: search the position and send the best move to
+     * the requesting player only
+     */
+    async handleRequestHint(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const playerId = socket.playerId;
+        if (this.hintCooldowns.has(playerId)) {
+            socket.emit('move-error', { message: 'Wait a moment before asking for another hint' });
+            return;
+        }
+
+        const result = game.useHint(playerId);
+        if (!result.success) {
+            socket.emit('move-error', { message: result.reason });
+            return;
+        }
+
+        this.hintCooldowns.set(playerId, setTimeout(() => this.hintCooldowns.delete(playerId), HINT_COOLDOWN));
+        const position = game.getPositionKey();
+        let hint;
+        try {
+            hint = await this.gameController.searchWorker.findBestMove(game, { difficulty: 'hard', timeLimit: HINT_TIME_LIMIT, analysis: true });
+        } catch (error) {
+            console.error(`Hint search failed in room ${socket.roomCode}:`, error);
+            return;
+        }
+        if (!hint) return;
+
+        // The player may have moved or taken back while the engine was thinking
+        if (game.getPositionKey() !== position) {
+            socket.emit('move-error', { message: 'The position changed before the hint was ready' });
+            return;
+        }
+
+        socket.emit('hint', {
+            path: hint.path,
+            notation: formatMove(hint.path.map(([row, col]) => toSquareNumber(row, col, game.boardSize)), hint.capture),
+            score: hint.score,
+            depth: hint.depth,
+            hintsUsed: result.hintsUsed,
+            gameState: game.getGameState()
+        });
+        console.log(`Hint ${result.hintsUsed} used by ${game.players[playerId].name} in room ${socket.roomCode}`);
+    }
+
+    /**
+     * Handle turning the evaluation stream on or off for one socket
+     */
+    handleSubscribeEvaluation(socket, enabled) {
         if (!socket.roomCode) return;
 
         const game = this.gameController.getGame(socket.roomCode);
         if (!game) return;
 
-        const result = game.selectTurnOrder(socket.id, choice);
+        if (!game.training) {
+            socket.emit('move-error', { message: 'Evaluation is only available in training rooms' });
+            return;
+        }
+
+        socket.evaluationEnabled = enabled === true;
+        if (socket.evaluationEnabled) {
+            this.emitEvaluation(socket.roomCode);
+        }
+    }
+
+    /**
+     * Send the engine's view of the position to every subscribed socket in a
+     * training room. Scores are from red's point of view. A room runs one
+     * evaluation search at a time; a position reached meanwhile is evaluated
+     * once it ends.
+     */
+    async emitEvaluation(roomCode) {
+        const game = this.gameController.getGame(roomCode);
+        if (!game || !game.training || this.getEvaluationSubscribers(roomCode).length === 0) return;
+
+        if (game.gameState === 'finished') {
+            const score = !game.winner ? 0 : game.winner === 'red' ? WIN_SCORE : -WIN_SCORE;
+            this.sendEvaluation(roomCode, { score, decisive: score !== 0, depth: 0, bestMove: null });
+            return;
+        }
+        if (game.gameState !== 'playing') return;
+
+        if (this.evaluationSearches.has(roomCode)) {
+            this.evaluationSearches.set(roomCode, true);
+            return;
+        }
+
+        this.evaluationSearches.set(roomCode, false);
+        const position = game.getPositionKey();
+        let best = null;
+        try {
+            best = await this.gameController.searchWorker.findBestMove(game, { difficulty: 'hard', timeLimit: EVALUATION_TIME_LIMIT, analysis: true });
+        } catch (error) {
+            console.error(`Evaluation failed in room ${roomCode}:`, error);
+        }
+        const requestedAgain = this.evaluationSearches.get(roomCode);
+        this.evaluationSearches.delete(roomCode);
+
+        if (game.gameState !== 'playing' || game.getPositionKey() !== position) {
+            if (requestedAgain) {
+                this.emitEvaluation(roomCode);
+            }
+            return;
+        }
+        if (!best) return;
+
+        const score = game.currentPlayer === 'red' ? best.score : -best.score;
+        this.sendEvaluation(roomCode, { score, decisive: Math.abs(score) > WIN_SCORE / 2, depth: best.depth, bestMove: best.path });
+    }
+
+    /**
+     * The sockets of a room that asked for the evaluation bar
+     */
+    getEvaluationSubscribers(roomCode) {
+        const socketIds = this.io.sockets.adapter.rooms.get(roomCode);
+        if (!socketIds) return [];
+
+        return Array.from(socketIds)
+            .map(id => this.io.sockets.sockets.get(id))
+            .filter(socket => socket && socket.evaluationEnabled);
+    }
+
+    /**
+     * Send an evaluation to the subscribed sockets of a room
+     */
+    sendEvaluation(roomCode, evaluation) {
+        this.getEvaluationSubscribers(roomCode).forEach(socket => socket.emit('evaluation', evaluation));
+    }
+
+    /**
+     * Handle turn order selection
+     */
+    async handleSelectTurnOrder(socket, choice) {
+        if (!socket.roomCode) return;
+
+        // The ballot opening is drawn from decks built on the search worker
+        const roomCode = socket.roomCode;
+        await this.gameController.prepareBallot(roomCode);
+        // The player may have left the room while the decks were built
+        if (socket.roomCode !== roomCode) return;
+
+        const game = this.gameController.getGame(roomCode);
+        if (!game) return;
+
+        const result = game.selectTurnOrder(socket.playerId, choice);
         
         if (result.success) {
             this.io.to(socket.roomCode).emit('turn-order-selected', {
                 choice,
                 currentPlayer: result.currentPlayer,
                 startingPlayerName: result.startingPlayerName,
+                ballot: result.ballot,
                 gameState: game.getGameState()
             });
             
             console.log(`Turn order selected in room ${socket.roomCode}: ${choice}, starting player: ${result.currentPlayer}`);
+            this.emitEvaluation(socket.roomCode);
+            this.scheduleBotMove(socket.roomCode);
+            this.scheduleTurnTimers(socket.roomCode);
         } else {
             socket.emit('move-error', { message: result.reason });
         }
@@ -171,7 +779,7 @@ class SocketController {
         const game = this.gameController.getGame(socket.roomCode);
         if (!game) return;
 
-        const result = game.requestNewGame(socket.id);
+        const result = game.requestNewGame(socket.playerId);
         
         if (result.approved) {
             if (result.bothAgreed) {
@@ -181,22 +789,30 @@ class SocketController {
                 });
                 
                 if (game.waitingForTurnOrderSelection && game.turnOrderSelector) {
-                    const selectorSocket = this.io.sockets.sockets.get(game.turnOrderSelector);
-                    if (selectorSocket) {
-                        selectorSocket.emit('show-turn-order-selection', { canChoose: true });
-                    }
+                    this.getPlayerSockets(socket.roomCode, game.turnOrderSelector)
+                        .forEach(selectorSocket => selectorSocket.emit('show-turn-order-selection', { canChoose: true }));
                 }
                 
                 console.log(`New game started in room ${socket.roomCode} - both players agreed`);
+                this.emitEvaluation(socket.roomCode);
+                this.scheduleTurnTimers(socket.roomCode);
             } else if (result.reason === 'single_player') {
                 this.io.to(socket.roomCode).emit('game-reset', {
                     gameState: game.getGameState(),
                     message: 'New game started!'
                 });
+
+                // Against the computer the player still chooses who starts
+                if (game.waitingForTurnOrderSelection && game.turnOrderSelector === socket.playerId) {
+                    socket.emit('show-turn-order-selection', { canChoose: true });
+                }
                 console.log(`New game started in room ${socket.roomCode} - single player`);
+                this.emitEvaluation(socket.roomCode);
+                this.scheduleBotMove(socket.roomCode);
+                this.scheduleTurnTimers(socket.roomCode);
             }
         } else if (result.waitingForOther) {
-            const requesterName = game.players[socket.id]?.name || 'Player';
+            const requesterName = game.players[socket.playerId]?.name || 'Player';
             this.io.to(socket.roomCode).emit('new-game-requested', {
                 requesterName,
                 gameState: game.getGameState()
@@ -214,9 +830,9 @@ class SocketController {
         const game = this.gameController.getGame(socket.roomCode);
         if (!game) return;
 
-        game.cancelNewGameRequest(socket.id);
+        game.cancelNewGameRequest(socket.playerId);
         
-        const requesterName = game.players[socket.id]?.name || 'Player';
+        const requesterName = game.players[socket.playerId]?.name || 'Player';
         this.io.to(socket.roomCode).emit('new-game-request-cancelled', {
             requesterName,
             gameState: game.getGameState()
@@ -224,6 +840,260 @@ class SocketController {
         console.log(`New game request cancelled by ${requesterName} in room ${socket.roomCode}`);
     }
 
+    /**
+     * Handle takeback request
+     */
+    handleRequestTakeback(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.requestTakeback(socket.playerId);
+        const requesterName = game.players[socket.playerId]?.name || 'Player';
+        
+        if (result.approved) {
+            this.io.to(socket.roomCode).emit('takeback-accepted', {
+                gameState: game.getGameState(),
+                message: result.bothAgreed ? 'Both players agreed to take back the last move.' : 'Last move taken back.'
+            });
+            console.log(`Takeback applied in room ${socket.roomCode}`);
+            if (game.correspondence) {
+                this.emitConditionalMoves(game);
+            }
+            this.emitEvaluation(socket.roomCode);
+            this.scheduleBotMove(socket.roomCode);
+            this.scheduleTurnTimers(socket.roomCode);
+        } else if (result.waitingForOther) {
+            this.io.to(socket.roomCode).emit('takeback-requested', {
+                requesterName,
+                requesterId: socket.playerId,
+                gameState: game.getGameState()
+            });
+            console.log(`Takeback requested by ${requesterName} in room ${socket.roomCode}`);
+            if (this.engineBridge) {
+                this.engineBridge.handleTakebackRequested(socket.roomCode, game);
+            }
+        } else {
+            socket.emit('move-error', { message: result.reason });
+        }
+    }
+
+    /**
+     * Handle canceling takeback request
+     */
+    handleCancelTakebackRequest(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        game.cancelTakebackRequest(socket.playerId);
+        
+        const requesterName = game.players[socket.playerId]?.name || 'Player';
+        this.io.to(socket.roomCode).emit('takeback-request-cancelled', {
+            requesterName,
+            gameState: game.getGameState()
+        });
+        console.log(`Takeback request cancelled by ${requesterName} in room ${socket.roomCode}`);
+    }
+
+    /**
+     * Handle the opponent's answer to a takeback request
+     */
+    handleRespondTakeback(socket, accept) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.respondToTakeback(socket.playerId, accept);
+        
+        if (!result.success) {
+            socket.emit('move-error', { message: result.reason });
+            return;
+        }
+
+        const responderName = game.players[socket.playerId]?.name || 'Player';
+        if (result.accepted) {
+            this.io.to(socket.roomCode).emit('takeback-accepted', {
+                gameState: game.getGameState(),
+                message: `${responderName} accepted the takeback.`
+            });
+        } else {
+            this.io.to(socket.roomCode).emit('takeback-declined', {
+                responderName,
+                gameState: game.getGameState()
+            });
+        }
+        console.log(`Takeback ${result.accepted ? 'accepted' : 'declined'} by ${responderName} in room ${socket.roomCode}`);
+        if (this.engineBridge) {
+            this.engineBridge.handleTakebackAnswered(socket.roomCode, game, result.accepted);
+        }
+        if (result.accepted) {
+            if (game.correspondence) {
+                this.emitConditionalMoves(game);
+            }
+            this.emitEvaluation(socket.roomCode);
+            this.scheduleTurnTimers(socket.roomCode);
+        }
+    }
+
+    /**
+     * Handle a player resigning
+     */
+    handleResign(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.resign(socket.playerId);
+        
+        if (!result.success) {
+            socket.emit('move-error', { message: result.reason });
+            return;
+        }
+
+        this.emitGameOver(socket.roomCode, game);
+        console.log(`${game.players[socket.playerId]?.name || 'Player'} resigned in room ${socket.roomCode}`);
+    }
+
+    /**
+     * Handle a draw offer
+     */
+    handleOfferDraw(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.offerDraw(socket.playerId);
+        
+        if (!result.success) {
+            socket.emit('move-error', { message: result.reason });
+            return;
+        }
+
+        if (result.agreed) {
+            this.emitGameOver(socket.roomCode, game);
+            return;
+        }
+
+        const offererName = game.players[socket.playerId]?.name || 'Player';
+        this.io.to(socket.roomCode).emit('draw-offered', {
+            offererName,
+            offererId: socket.playerId,
+            gameState: game.getGameState()
+        });
+        console.log(`Draw offered by ${offererName} in room ${socket.roomCode}`);
+        this.respondToDrawAsBot(socket.roomCode, game);
+        if (this.engineBridge) {
+            this.engineBridge.handleDrawOffered(socket.roomCode, game);
+        }
+    }
+
+    /**
+     * Handle accepting the opponent's draw offer
+     */
+    handleAcceptDraw(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.acceptDraw(socket.playerId);
+        
+        if (!result.success) {
+            socket.emit('move-error', { message: result.reason });
+            return;
+        }
+
+        this.emitGameOver(socket.roomCode, game);
+        console.log(`Draw agreed in room ${socket.roomCode}`);
+    }
+
+    /**
+     * Handle declining the opponent's draw offer
+     */
+    handleDeclineDraw(socket) {
+        if (!socket.roomCode) return;
+
+        const game = this.gameController.getGame(socket.roomCode);
+        if (!game) return;
+
+        const result = game.declineDraw(socket.playerId);
+        
+        if (!result.success) {
+            socket.emit('move-error', { message: result.reason });
+            return;
+        }
+
+        const responderName = game.players[socket.playerId]?.name || 'Player';
+        this.io.to(socket.roomCode).emit('draw-declined', {
+            responderName,
+            gameState: game.getGameState()
+        });
+        console.log(`Draw declined by ${responderName} in room ${socket.roomCode}`);
+        if (this.engineBridge) {
+            this.engineBridge.handleDrawDeclined(socket.roomCode, game);
+        }
+    }
+
+    /**
+     * Announce a finished game to everyone in the room
+     */
+    emitGameOver(roomCode, game) {
+        // The game is no longer playing, so this only drops the room's waits
+        this.scheduleTurnTimers(roomCode);
+        this.io.to(roomCode).emit('game-over', {
+            winner: game.winner,
+            result: game.result,
+            gameState: game.getGameState()
+        });
+
+        if (this.engineBridge) {
+            this.engineBridge.handleRoomGameOver(roomCode, game);
+        }
+
+        if (game.result && game.result.reason === 'puzzle_solved') {
+            this.recordPuzzleSolved(game);
+        }
+
+        // The post-game analysis only runs when somebody asks for it, but the
+        // game is looked through for puzzles straight away
+        this.gameController.minePuzzles(roomCode)
+            .catch(error => {
+                console.error(`Puzzle mining failed in room ${roomCode}:`, error);
+            });
+    }
+
+    /**
+     * Credit the players of a puzzle room with the solve and tell them their progress
+     */
+    recordPuzzleSolved(game) {
+        game.getHumanPlayerIds().forEach(playerId => {
+            this.getPlayerSockets(game.roomCode, playerId).forEach(socket => {
+                if (!socket.userId) return;
+
+                const progress = this.gameController.recordPuzzleSolved(socket.userId, game);
+                socket.emit('puzzle-progress', { puzzleId: game.puzzle.id, progress });
+            });
+        });
+    }
+
+    /**
+     * Find the connections playing a seat; a correspondence seat may be open in several tabs
+     */
+    getPlayerSockets(roomCode, playerId) {
+        const socketIds = this.io.sockets.adapter.rooms.get(roomCode);
+        if (!socketIds) return [];
+
+        return Array.from(socketIds)
+            .map(id => this.io.sockets.sockets.get(id))
+            .filter(socket => socket && socket.playerId === playerId);
+    }
+
     /**
      * Handle getting possible moves for a piece
      */
@@ -234,7 +1104,7 @@ class SocketController {
         if (!game) return;
 
         const piece = game.board[row][col];
-        if (!piece || piece.color !== game.players[socket.id]?.color) {
+        if (!piece || piece.color !== game.players[socket.playerId]?.color) {
             socket.emit('possible-moves', { moves: [] });
             return;
         }
@@ -245,12 +1115,14 @@ class SocketController {
             return;
         }
 
+        // Only legal moves are returned, so mandatory captures are already enforced
         const moves = game.getValidMovesForPiece(row, col);
-        const captures = moves.filter(move => move.type === 'capture');
-        const finalMoves = captures.length > 0 ? captures : moves;
+
+        const isCapture = moves.some(move => move.type === 'capture');
 
         socket.emit('possible-moves', { 
-            moves: finalMoves.map(move => ({ row: move.to.row, col: move.to.col }))
+            moves: moves.map(move => ({ row: move.to.row, col: move.to.col })),
+            captureTree: isCapture ? game.getCaptureTree(row, col) : null
         });
     }
 
@@ -260,18 +1132,106 @@ class SocketController {
     handleDisconnect(socket) {
         console.log('User disconnected:', socket.id);
 
-        if (socket.roomCode) {
-            const game = this.gameController.getGame(socket.roomCode);
-            if (game) {
-                game.removePlayer(socket.id);
-                
-                this.io.to(socket.roomCode).emit('player-left', {
-                    players: game.players,
-                    gameState: game.getGameState()
-                });
+        const game = socket.roomCode ? this.gameController.getGame(socket.roomCode) : null;
+        if (!game || !game.players[socket.playerId]) return;
 
-                this.gameController.cleanupRoom(socket.roomCode);
-            }
+        // Another tab, or the page that replaced this one, still plays the seat
+        if (this.getPlayerSockets(socket.roomCode, socket.playerId).length > 0) return;
+
+        if (game.correspondence) {
+            // The seat waits for the player to come back, from this or any other device
+            this.io.to(socket.roomCode).emit('player-left', {
+                players: game.players,
+                gameState: game.getGameState(),
+                playerId: socket.playerId,
+                seatKept: true
+            });
+        } else {
+            this.startDisconnectGrace(socket.roomCode, game, socket.playerId);
+        }
+    }
+
+    /**
+     * Handle a player leaving a room on purpose. A live seat is freed at
+     * once; a correspondence seat stays theirs, as when they go offline.
+     */
+    handleLeaveRoom(socket) {
+        const game = socket.roomCode ? this.gameController.getGame(socket.roomCode) : null;
+        if (!game || game.correspondence || !game.players[socket.playerId]) return;
+
+        const roomCode = socket.roomCode;
+        socket.leave(roomCode);
+        socket.roomCode = null;
+        this.releaseSeat(roomCode, game, socket.playerId);
+    }
+
+    /**
+     * Whether a player's opponent is still there to be left waiting: a
+     * connected person or an engine. The computer does not mind.
+     */
+    isOpponentSeated(game, playerId) {
+        const opponentId = Object.keys(game.players).find(id => id !== playerId);
+        const opponent = opponentId && game.players[opponentId];
+        if (!opponent || opponent.isBot) {
+            return false;
+        }
+        return !!opponent.isEngine || this.getPlayerSockets(game.roomCode, opponentId).length > 0;
+    }
+
+    /**
+     * Hold a disconnected player's seat for the grace period, so a reconnect
+     * token can take it back. After that the seat is given up.
+     */
+    startDisconnectGrace(roomCode, game, playerId) {
+        game.setReconnecting(playerId, true);
+        this.io.to(roomCode).emit('player-left', {
+            players: game.players,
+            gameState: game.getGameState(),
+            playerId,
+            seatKept: true,
+            graceSeconds: DISCONNECT_GRACE_PERIOD / 1000
+        });
+
+        const timer = setTimeout(() => this.expireDisconnectGrace(roomCode, playerId), DISCONNECT_GRACE_PERIOD);
+        this.graceTimers.set(playerId, timer);
+        console.log(`Holding the seat of ${game.players[playerId].name} in room ${roomCode}`);
+    }
+
+    /**
+     * Give up on a disconnected player once the grace period is over
+     */
+    expireDisconnectGrace(roomCode, playerId) {
+        this.graceTimers.delete(playerId);
+
+        const game = this.gameController.getGame(roomCode);
+        if (!game || !game.players[playerId]) return;
+
+        this.releaseSeat(roomCode, game, playerId);
+    }
+
+    /**
+     * Free a live seat. Walking out on a game in progress loses it when an
+     * opponent is left waiting.
+     */
+    releaseSeat(roomCode, game, playerId) {
+        clearTimeout(this.graceTimers.get(playerId));
+        this.graceTimers.delete(playerId);
+
+        const name = game.players[playerId].name;
+        if (this.isOpponentSeated(game, playerId) && game.abandon(playerId).success) {
+            this.emitGameOver(roomCode, game);
+            console.log(`${name} abandoned the game in room ${roomCode}`);
+        }
+
+        game.removePlayer(playerId);
+        this.gameController.forgetReconnectToken(roomCode, playerId);
+        this.io.to(roomCode).emit('player-left', {
+            players: game.players,
+            gameState: game.getGameState()
+        });
+        // An engine left on its own loses its room
+        if (this.gameController.cleanupRoom(roomCode) && this.engineBridge) {
+            this.engineBridge.handleRoomRemoved(roomCode);
         }
     }
 }
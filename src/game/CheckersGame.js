@@ -10,28 +10,81 @@
  * - Win condition checking
  */
 
+const { toSquareNumber, formatMove, parseMove } = require('./notation');
+const { getRuleSet } = require('./rules');
+const { fromBoard } = require('./bitboard');
+const { getTablebase, probe } = require('./tablebase');
+const { drawBallot } = require('./openings');
+const GameClock = require('./GameClock');
+
+const DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+// Moves per player without a capture or man move before the game is drawn
+const DEFAULT_DRAW_MOVE_LIMIT = 40;
+// Occurrences of the same position (with the same side to move) that draw the game
+const REPETITION_LIMIT = 3;
+// Player id of the computer's seat in rooms played against the bot
+const BOT_PLAYER_ID = 'computer';
+// Player ids of the seats in a copy of the game (perft, checking conditional moves)
+const COPY_PLAYER_IDS = { red: 'copy-red', black: 'copy-black' };
+// Most lines a player may queue as conditional moves, and most moves in one line
+const MAX_CONDITIONAL_LINES = 20;
+const MAX_CONDITIONAL_LINE_MOVES = 20;
+
 class CheckersGame {
-    constructor(roomCode) {
+    constructor(roomCode, { startPosition = null, drawMoveLimit = DEFAULT_DRAW_MOVE_LIMIT, rules = getRuleSet(), training = false, adjudicateDraws = false, ballot = null, puzzle = null, timeControl = null, correspondence = null, turnTimeout = null } = {}) {
         this.roomCode = roomCode;
         this.players = {};
-        this.currentPlayer = 'red'; // Default, can be changed by turn order selection
+        this.rules = rules;
+        this.boardSize = rules.boardSize;
+        this.startPosition = startPosition; // Custom { board, currentPlayer } seeded from a FEN
+        this.currentPlayer = startPosition ? startPosition.currentPlayer : 'red'; // Default, can be changed by turn order selection
         this.gameState = 'waiting'; // waiting, playing, finished, turn_selection
         this.winner = null;
+        this.result = null; // { winner, reason } once the game has finished
+        this.finishedAt = null; // When the game ended
+        this.drawMoveLimit = drawMoveLimit;
         this.board = this.initializeBoard();
         this.selectedPiece = null;
         this.mustCapture = false;
         this.capturingPiece = null;
+        this.capturedThisTurn = []; // Pieces jumped so far this turn; they cannot be jumped again
+        this.moveHistory = []; // One entry per turn, multi-jumps extend the current entry
+        this.turnSnapshots = []; // State at the start of each turn, used for takebacks
+        this.positionHistory = []; // Position keys after every completed turn, for repetition
+        this.turnsWithoutProgress = 0; // Completed turns since the last capture or man move
         this.newGameRequests = new Set(); // Track players who want a new game
+        this.takebackRequest = null; // Player who asked to take back the last turn
+        this.drawOffer = null; // Player with a pending draw offer
+        this.training = training; // Training rooms allow engine hints and evaluation
+        this.adjudicateDraws = adjudicateDraws; // End endgames the tablebase proves drawn
+        this.hintsUsed = { red: 0, black: 0 };
+        this.ballot = ballot; // Number of opening moves drawn at random before the players take over
+        this.ballotMoves = []; // Notation of the ballot drawn for the current game
+        this.puzzle = puzzle; // { id, title, difficulty, solution } in puzzle rooms, where only the solution may be played
+        this.puzzleMistakes = 0; // Wrong moves tried in the current attempt
+        this.clock = timeControl ? new GameClock(timeControl) : null; // Both sides' time, in rooms with a time control
+        this.correspondence = correspondence; // { daysPerMove } for games played over days, whose seats outlive connections
+        this.conditionalMoves = { red: null, black: null }; // Each side's queued replies, { reply, branches }
+        this.turnTimeout = turnTimeout; // Seconds the side to move may think before the game counts as abandoned
+        this.turnStartedAt = null; // When the side to move started its turn (ms)
         this.turnOrderSelector = null; // Player who gets to choose turn order
         this.waitingForTurnOrderSelection = false;
     }
 
     initializeBoard() {
-        const board = Array(8).fill(null).map(() => Array(8).fill(null));
+        if (this.startPosition) {
+            return this.startPosition.board.map(row => row.map(piece => piece ? { ...piece } : null));
+        }
+
+        const size = this.boardSize;
+        const board = Array(size).fill(null).map(() => Array(size).fill(null));
+        // Both sides fill every dark square except the two middle rows
+        const pieceRows = size / 2 - 1;
         
         // Place red pieces (top of board)
-        for (let row = 0; row < 3; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < pieceRows; row++) {
+            for (let col = 0; col < size; col++) {
                 if ((row + col) % 2 === 1) {
                     board[row][col] = { color: 'red', king: false };
                 }
@@ -39,8 +92,8 @@ class CheckersGame {
         }
         
         // Place black pieces (bottom of board)
-        for (let row = 5; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = size - pieceRows; row < size; row++) {
+            for (let col = 0; col < size; col++) {
                 if ((row + col) % 2 === 1) {
                     board[row][col] = { color: 'black', king: false };
                 }
@@ -55,10 +108,19 @@ class CheckersGame {
             return false;
         }
 
-        const color = Object.keys(this.players).length === 0 ? 'red' : 'black';
+        // Take whichever color is still free (the bot may already sit at black)
+        const takenColors = Object.values(this.players).map(player => player.color);
+        const color = takenColors.includes('red') ? 'black' : 'red';
         this.players[playerId] = { name: playerName, color: color };
         
         if (Object.keys(this.players).length === 2) {
+            if (this.startPosition) {
+                // A custom position already decides who moves first
+                this.gameState = 'playing';
+                this.startClock();
+                return true;
+            }
+
             // Both players joined - prepare for turn order selection
             this.gameState = 'turn_selection';
             this.waitingForTurnOrderSelection = true;
@@ -71,11 +133,77 @@ class CheckersGame {
         return true;
     }
 
+    setReconnecting(playerId, reconnecting) {
+        // A live seat is held for a while after its connection drops
+        if (this.players[playerId]) {
+            this.players[playerId].reconnecting = reconnecting;
+        }
+    }
+
+    addBot(difficulty, difficultyName) {
+        if (Object.keys(this.players).length > 0) {
+            return false;
+        }
+
+        // The bot takes black so the human joining next chooses the turn order as red
+        this.players[BOT_PLAYER_ID] = { 
+            name: `Computer (${difficultyName})`, 
+            color: 'black', 
+            isBot: true, 
+            difficulty 
+        };
+        return true;
+    }
+
+    addEngine(playerId, engineName, color) {
+        if (Object.keys(this.players).length > 0) {
+            return false;
+        }
+
+        // An external engine asks for its color, the human joining next gets the other one
+        this.players[playerId] = {
+            name: engineName,
+            color,
+            isEngine: true
+        };
+        return true;
+    }
+
+    addPuzzleOpponent() {
+        if (Object.keys(this.players).length > 0) {
+            return false;
+        }
+
+        // The side not to move defends and answers with the solution's replies
+        this.players[BOT_PLAYER_ID] = {
+            name: 'Puzzle',
+            color: this.startPosition.currentPlayer === 'red' ? 'black' : 'red',
+            isBot: true
+        };
+        return true;
+    }
+
+    getBotPlayerId() {
+        return Object.keys(this.players).find(id => this.players[id].isBot) || null;
+    }
+
+    getHumanPlayerIds() {
+        return Object.keys(this.players).filter(id => !this.players[id].isBot);
+    }
+
+    isBotTurn() {
+        const botId = this.getBotPlayerId();
+        return this.gameState === 'playing' && botId !== null && this.players[botId].color === this.currentPlayer;
+    }
+
     removePlayer(playerId) {
         delete this.players[playerId];
         if (this.newGameRequests) {
             this.newGameRequests.delete(playerId);
         }
+        // Nobody is left to answer (or ask for) a takeback or draw
+        this.takebackRequest = null;
+        this.drawOffer = null;
         if (Object.keys(this.players).length === 0) {
             this.gameState = 'finished';
         }
@@ -93,8 +221,8 @@ class CheckersGame {
             return { valid: false, reason: 'Invalid source position' };
         }
 
-        // Check if destination is empty
-        if (this.board[toRow][toCol] !== null) {
+        // Check if destination is empty (pieces jumped this turn still block it)
+        if (this.board[toRow][toCol] !== null || this.isCapturedThisTurn(toRow, toCol)) {
             return { valid: false, reason: 'Destination not empty' };
         }
 
@@ -103,116 +231,254 @@ class CheckersGame {
             return { valid: false, reason: 'Can only move to dark squares' };
         }
 
-        const rowDiff = toRow - fromRow;
-        const colDiff = Math.abs(toCol - fromCol);
-
         // Check if there are mandatory captures
         if (this.mustCapture && this.capturingPiece && 
             (fromRow !== this.capturingPiece.row || fromCol !== this.capturingPiece.col)) {
             return { valid: false, reason: 'Must continue capturing with the same piece' };
         }
 
-        // Regular move (one diagonal square)
-        if (Math.abs(rowDiff) === 1 && colDiff === 1) {
-            // Check direction for non-king pieces
-            if (!piece.king) {
-                const expectedDirection = piece.color === 'red' ? 1 : -1;
-                if (rowDiff !== expectedDirection) {
-                    return { valid: false, reason: 'Invalid move direction' };
-                }
-            }
-
-            // Check if there are available captures (mandatory)
-            const captures = this.getAvailableCaptures(this.currentPlayer);
-            if (captures.length > 0) {
-                return { valid: false, reason: 'Must capture when possible' };
-            }
+        const move = this.getValidMovesForPiece(fromRow, fromCol)
+            .find(candidate => candidate.to.row === toRow && candidate.to.col === toCol);
 
-            return { valid: true, type: 'move' };
+        if (!move) {
+            return { valid: false, reason: this.explainInvalidMove(fromRow, fromCol, toRow, toCol) };
         }
 
-        // Capture move (two diagonal squares)
-        if (Math.abs(rowDiff) === 2 && colDiff === 2) {
-            // Check direction for non-king pieces
-            if (!piece.king) {
-                const expectedDirection = piece.color === 'red' ? 1 : -1;
-                if (Math.sign(rowDiff) !== expectedDirection) {
-                    return { valid: false, reason: 'Invalid capture direction' };
-                }
-            }
+        if (move.type === 'capture') {
+            return { valid: true, type: 'capture', capturedRow: move.captured.row, capturedCol: move.captured.col };
+        }
 
-            const middleRow = fromRow + Math.sign(rowDiff);
-            const middleCol = fromCol + Math.sign(toCol - fromCol);
-            const middlePiece = this.board[middleRow][middleCol];
+        return { valid: true, type: 'move' };
+    }
 
-            // Check if there's an opponent piece to capture
-            if (!middlePiece || middlePiece.color === this.currentPlayer) {
-                return { valid: false, reason: 'No piece to capture' };
-            }
+    explainInvalidMove(fromRow, fromCol, toRow, toCol) {
+        const piece = this.board[fromRow][fromCol];
+        const move = [...this.getPieceMoves(fromRow, fromCol), ...this.getPieceCaptues(fromRow, fromCol)]
+            .find(candidate => candidate.to.row === toRow && candidate.to.col === toCol);
 
-            return { valid: true, type: 'capture', capturedRow: middleRow, capturedCol: middleCol };
+        if (move && move.type === 'move') {
+            return 'Must capture when possible';
+        }
+        if (move) {
+            // The capture exists but the rule set demands a better one
+            return this.rules.capturePrecedence === 'quality' 
+                ? 'Must take the strongest available capture' 
+                : 'Must take the capture that wins the most pieces';
+        }
+        if (Math.abs(toRow - fromRow) !== Math.abs(toCol - fromCol)) {
+            return 'Invalid move distance';
+        }
+        if (!piece.king && Math.sign(toRow - fromRow) !== this.getForwardDirection(piece.color)) {
+            return 'Invalid move direction';
         }
+        return 'Invalid move distance';
+    }
+
+    getForwardDirection(color) {
+        return color === 'red' ? 1 : -1;
+    }
+
+    getPromotionRow(color) {
+        return color === 'red' ? this.boardSize - 1 : 0;
+    }
+
+    isOnBoard(row, col) {
+        return row >= 0 && row < this.boardSize && col >= 0 && col < this.boardSize;
+    }
 
-        return { valid: false, reason: 'Invalid move distance' };
+    isCapturedThisTurn(row, col) {
+        return this.capturedThisTurn.some(captured => captured.row === row && captured.col === col);
     }
 
     getAvailableCaptures(color) {
+        return this.getValidMovesForPlayer(color).filter(move => move.type === 'capture');
+    }
+
+    getPieceCaptues(row, col, piece = this.board[row][col]) {
         const captures = [];
-        
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.color === color) {
-                    const pieceCaptues = this.getPieceCaptues(row, col);
-                    captures.push(...pieceCaptues);
+        if (!piece) return captures;
+
+        const flying = piece.king && this.rules.flyingKings;
+        const isFree = (r, c) => this.isOnBoard(r, c) && !this.board[r][c] && !this.isCapturedThisTurn(r, c);
+
+        for (const [dRow, dCol] of DIRECTIONS) {
+            if (!piece.king && !this.rules.menCaptureBackwards && dRow !== this.getForwardDirection(piece.color)) {
+                continue;
+            }
+
+            let captureRow = row + dRow;
+            let captureCol = col + dCol;
+
+            // Flying kings may travel along empty squares before the piece they jump
+            if (flying) {
+                while (isFree(captureRow, captureCol)) {
+                    captureRow += dRow;
+                    captureCol += dCol;
                 }
             }
+
+            if (!this.isOnBoard(captureRow, captureCol)) continue;
+
+            const capturedPiece = this.board[captureRow][captureCol];
+            if (!capturedPiece || capturedPiece.color === piece.color) continue;
+            if (!piece.king && capturedPiece.king && !this.rules.menCaptureKings) continue;
+
+            let landRow = captureRow + dRow;
+            let landCol = captureCol + dCol;
+            while (isFree(landRow, landCol)) {
+                captures.push({
+                    from: { row, col },
+                    to: { row: landRow, col: landCol },
+                    type: 'capture',
+                    captured: { row: captureRow, col: captureCol }
+                });
+                if (!flying) break;
+                landRow += dRow;
+                landCol += dCol;
+            }
         }
-        
+
         return captures;
     }
 
-    getPieceCaptues(row, col) {
-        const captures = [];
+    getPieceMoves(row, col) {
+        const moves = [];
         const piece = this.board[row][col];
-        const directions = piece.king ? 
-            [[-1, -1], [-1, 1], [1, -1], [1, 1]] : 
-            piece.color === 'red' ? 
-                [[1, -1], [1, 1]] : 
-                [[-1, -1], [-1, 1]];
-
-        for (const [dRow, dCol] of directions) {
-            const captureRow = row + dRow;
-            const captureCol = col + dCol;
-            const landRow = row + 2 * dRow;
-            const landCol = col + 2 * dCol;
-
-            if (landRow >= 0 && landRow < 8 && landCol >= 0 && landCol < 8) {
-                const capturedPiece = this.board[captureRow][captureCol];
-                const landSquare = this.board[landRow][landCol];
-
-                if (capturedPiece && 
-                    capturedPiece.color !== piece.color && 
-                    !landSquare) {
-                    captures.push({
-                        from: { row, col },
-                        to: { row: landRow, col: landCol },
-                        captured: { row: captureRow, col: captureCol }
-                    });
+        if (!piece) return moves;
+
+        const flying = piece.king && this.rules.flyingKings;
+
+        for (const [dRow, dCol] of DIRECTIONS) {
+            if (!piece.king && dRow !== this.getForwardDirection(piece.color)) continue;
+
+            let newRow = row + dRow;
+            let newCol = col + dCol;
+            while (this.isOnBoard(newRow, newCol) && !this.board[newRow][newCol]) {
+                moves.push({ from: { row, col }, to: { row: newRow, col: newCol }, type: 'move' });
+                if (!flying) break;
+                newRow += dRow;
+                newCol += dCol;
+            }
+        }
+
+        return moves;
+    }
+
+    getCaptureSequences(row, col) {
+        const piece = this.board[row][col];
+        const sequences = [];
+        const legs = [];
+        const captured = [];
+        if (!piece) return sequences;
+
+        const explore = (fromRow, fromCol, movingPiece) => {
+            const nextLegs = this.getPieceCaptues(fromRow, fromCol, movingPiece);
+            if (nextLegs.length === 0) {
+                if (legs.length > 0) {
+                    sequences.push({ legs: [...legs], captured: [...captured], king: piece.king });
                 }
+                return;
             }
+
+            for (const leg of nextLegs) {
+                const target = this.board[leg.captured.row][leg.captured.col];
+
+                // Play the leg on the board; the jumped piece stays off limits until we backtrack
+                this.board[fromRow][fromCol] = null;
+                this.board[leg.captured.row][leg.captured.col] = null;
+                this.board[leg.to.row][leg.to.col] = movingPiece;
+                this.capturedThisTurn.push({ ...leg.captured, piece: target });
+                legs.push(leg);
+                captured.push(target);
+
+                const reachedPromotionRow = !movingPiece.king && leg.to.row === this.getPromotionRow(movingPiece.color);
+                const promotionRule = reachedPromotionRow ? this.rules.promotionMidCapture : null;
+                if (promotionRule === 'stop') {
+                    sequences.push({ legs: [...legs], captured: [...captured], king: piece.king });
+                } else {
+                    explore(leg.to.row, leg.to.col, promotionRule === 'continue' ? { ...movingPiece, king: true } : movingPiece);
+                }
+
+                legs.pop();
+                captured.pop();
+                this.capturedThisTurn.pop();
+                this.board[leg.to.row][leg.to.col] = null;
+                this.board[leg.captured.row][leg.captured.col] = target;
+                this.board[fromRow][fromCol] = movingPiece;
+            }
+        };
+
+        explore(row, col, piece);
+        return sequences;
+    }
+
+    compareCaptureSequences(a, b) {
+        // Pieces already jumped earlier in this turn count towards both sequences
+        const earlier = this.capturedThisTurn.map(captured => captured.piece);
+        const capturedA = [...earlier, ...a.captured];
+        const capturedB = [...earlier, ...b.captured];
+
+        if (capturedA.length !== capturedB.length) {
+            return capturedA.length - capturedB.length;
+        }
+        if (this.rules.capturePrecedence !== 'quality') {
+            return 0;
         }
 
-        return captures;
+        // Italian tie-breaks: capture with a king, then the most kings, then the earliest king
+        if (a.king !== b.king) {
+            return a.king ? 1 : -1;
+        }
+        const kingCount = list => list.filter(piece => piece.king).length;
+        if (kingCount(capturedA) !== kingCount(capturedB)) {
+            return kingCount(capturedA) - kingCount(capturedB);
+        }
+        const firstKing = list => {
+            const index = list.findIndex(piece => piece.king);
+            return index === -1 ? list.length : index;
+        };
+        return firstKing(capturedB) - firstKing(capturedA);
     }
 
     makeMove(fromRow, fromCol, toRow, toCol, playerId) {
+        if (this.checkFlag()) {
+            return this.getFlagFallResult();
+        }
+
         const validation = this.isValidMove(fromRow, fromCol, toRow, toCol, playerId);
         if (!validation.valid) {
             return { success: false, reason: validation.reason };
         }
 
         const piece = this.board[fromRow][fromCol];
+        const continuingTurn = this.mustCapture && this.capturingPiece !== null;
+        if (this.puzzle) {
+            const toSquare = toSquareNumber(toRow, toCol, this.boardSize);
+            const squares = continuingTurn
+                ? [...this.moveHistory[this.moveHistory.length - 1].squares, toSquare]
+                : [toSquareNumber(fromRow, fromCol, this.boardSize), toSquare];
+            const check = this.checkPuzzleMove(squares);
+            if (!check.valid) {
+                return { success: false, reason: check.reason };
+            }
+        }
+        if (!continuingTurn) {
+            this.turnSnapshots.push(this.createSnapshot());
+            if (this.positionHistory.length === 0) {
+                this.positionHistory.push(this.getPositionKey());
+            }
+        }
+        const madeProgress = validation.type === 'capture' || !piece.king;
+
+        // Any move makes a pending takeback request refer to the wrong turn
+        const takebackCancelled = this.takebackRequest !== null;
+        this.takebackRequest = null;
+
+        // Moving instead of answering a draw offer declines it
+        const drawOfferCancelled = this.drawOffer !== null && this.drawOffer !== playerId;
+        if (drawOfferCancelled) {
+            this.drawOffer = null;
+        }
         
         // Move the piece
         this.board[toRow][toCol] = { ...piece };
@@ -220,53 +486,67 @@ class CheckersGame {
 
         let capturedPiece = null;
         let continueCapturing = false;
+        let promoted = false;
+        const reachedPromotionRow = !piece.king && toRow === this.getPromotionRow(piece.color);
 
         // Handle capture
         if (validation.type === 'capture') {
             capturedPiece = this.board[validation.capturedRow][validation.capturedCol];
             this.board[validation.capturedRow][validation.capturedCol] = null;
+            this.capturedThisTurn.push({ row: validation.capturedRow, col: validation.capturedCol, piece: capturedPiece });
 
-            // Check for additional captures with the same piece
-            const additionalCaptures = this.getPieceCaptues(toRow, toCol);
-            if (additionalCaptures.length > 0) {
-                this.mustCapture = true;
-                this.capturingPiece = { row: toRow, col: toCol };
-                continueCapturing = true;
-            } else {
-                this.mustCapture = false;
-                this.capturingPiece = null;
-            }
-        } else {
-            this.mustCapture = false;
-            this.capturingPiece = null;
-        }
-
-        // Promote to king
-        let promoted = false;
-        if (!piece.king) {
-            if ((piece.color === 'red' && toRow === 7) || 
-                (piece.color === 'black' && toRow === 0)) {
+            // The rule set decides whether a man reaching the last row mid-capture keeps going
+            const promotionRule = reachedPromotionRow ? this.rules.promotionMidCapture : null;
+            if (promotionRule === 'continue') {
                 this.board[toRow][toCol].king = true;
                 promoted = true;
-                // Kings cannot continue capturing in the same turn after promotion
-                if (continueCapturing) {
-                    this.mustCapture = false;
-                    this.capturingPiece = null;
-                    continueCapturing = false;
-                }
             }
+
+            // Check for additional captures with the same piece
+            continueCapturing = promotionRule !== 'stop' && this.getPieceCaptues(toRow, toCol).length > 0;
+        }
+
+        // Promote to king when the turn ends on the last row
+        if (reachedPromotionRow && !promoted && !continueCapturing) {
+            this.board[toRow][toCol].king = true;
+            promoted = true;
+        }
+
+        this.mustCapture = continueCapturing;
+        this.capturingPiece = continueCapturing ? { row: toRow, col: toCol } : null;
+        if (!continueCapturing) {
+            this.capturedThisTurn = [];
+        }
+
+        const move = this.recordMove(fromRow, fromCol, toRow, toCol, validation, continuingTurn, promoted);
+
+        // Captures and man moves can never be undone, so they reset the draw counter
+        if (madeProgress) {
+            this.turnsWithoutProgress = 0;
         }
 
         // Switch turns if not continuing a capture sequence
         if (!continueCapturing) {
+            // The clock only changes sides once the whole turn is played
+            const now = Date.now();
+            if (this.clock) {
+                this.clock.switchTurn(now);
+            }
+            this.turnStartedAt = now;
             this.currentPlayer = this.currentPlayer === 'red' ? 'black' : 'red';
+            if (!madeProgress) {
+                this.turnsWithoutProgress++;
+            }
+            this.positionHistory.push(this.getPositionKey());
+            this.advanceConditionalMoves(move);
         }
 
-        // Check for game over
-        const winner = this.checkGameOver();
-        if (winner) {
-            this.gameState = 'finished';
-            this.winner = winner;
+        // Check for game over; playing the last move of a puzzle's solution solves it
+        const gameOver = this.isPuzzleSolved()
+            ? { winner: this.startPosition.currentPlayer, reason: 'puzzle_solved' }
+            : this.checkGameOver();
+        if (gameOver) {
+            this.endGame(gameOver.winner, gameOver.reason);
         }
 
         return {
@@ -274,32 +554,422 @@ class CheckersGame {
             capturedPiece,
             promoted,
             continueCapturing,
+            move,
+            takebackCancelled,
+            drawOfferCancelled,
             winner: this.winner,
+            result: this.result,
             gameState: this.gameState
         };
     }
 
+    makeMovePath(path, playerId) {
+        if (this.checkFlag()) {
+            return this.getFlagFallResult();
+        }
+
+        const isSquare = square => Array.isArray(square) && square.length === 2 && square.every(Number.isInteger);
+        if (!Array.isArray(path) || path.length < 2 || !path.every(isSquare)) {
+            return { success: false, reason: 'Path must list at least two [row, col] squares' };
+        }
+        if (!path.every(([row, col]) => this.isOnBoard(row, col))) {
+            return { success: false, reason: 'Path leaves the board' };
+        }
+
+        // The first leg carries the turn, ownership and capture-obligation checks
+        const [[fromRow, fromCol], [toRow, toCol]] = path;
+        const firstLeg = this.isValidMove(fromRow, fromCol, toRow, toCol, playerId);
+        if (!firstLeg.valid) {
+            return { success: false, reason: firstLeg.reason };
+        }
+
+        if (firstLeg.type === 'move') {
+            if (path.length > 2) {
+                return { success: false, reason: 'Only captures can continue past the first square' };
+            }
+        } else {
+            // Validate the whole path before touching the board so it applies atomically
+            const landings = path.slice(1);
+            const matchesPrefix = (sequence, length) => sequence.legs[0].from.row === fromRow 
+                && sequence.legs[0].from.col === fromCol
+                && landings.slice(0, length).every(([row, col], index) => {
+                    const leg = sequence.legs[index];
+                    return leg && leg.to.row === row && leg.to.col === col;
+                });
+            const sequences = this.getLegalCaptureSequences(this.currentPlayer)
+                .filter(sequence => matchesPrefix(sequence, landings.length));
+
+            if (!sequences.some(sequence => sequence.legs.length === landings.length)) {
+                return {
+                    success: false,
+                    reason: sequences.length > 0 
+                        ? 'Capture path must list every landing square' 
+                        : 'Path is not a legal capture sequence'
+                };
+            }
+        }
+
+        // Check the whole turn against a puzzle's solution so a wrong path leaves the board untouched
+        if (this.puzzle) {
+            const pathSquares = path.map(([row, col]) => toSquareNumber(row, col, this.boardSize));
+            const squares = this.mustCapture && this.capturingPiece
+                ? [...this.moveHistory[this.moveHistory.length - 1].squares, ...pathSquares.slice(1)]
+                : pathSquares;
+            const check = this.checkPuzzleMove(squares);
+            if (!check.valid) {
+                return { success: false, reason: check.reason };
+            }
+        }
+
+        let result = null;
+        const capturedPieces = [];
+        let takebackCancelled = false;
+        let drawOfferCancelled = false;
+        for (let i = 1; i < path.length; i++) {
+            const [legFromRow, legFromCol] = path[i - 1];
+            const [legToRow, legToCol] = path[i];
+            result = this.makeMove(legFromRow, legFromCol, legToRow, legToCol, playerId);
+            if (!result.success) {
+                // Unreachable once the path matched a legal sequence
+                return result;
+            }
+            if (result.capturedPiece) {
+                capturedPieces.push(result.capturedPiece);
+            }
+            takebackCancelled = takebackCancelled || result.takebackCancelled;
+            drawOfferCancelled = drawOfferCancelled || result.drawOfferCancelled;
+        }
+
+        return { ...result, capturedPieces, takebackCancelled, drawOfferCancelled };
+    }
+
+    recordMove(fromRow, fromCol, toRow, toCol, validation, continuingTurn, promoted) {
+        const leg = {
+            from: { row: fromRow, col: fromCol },
+            to: { row: toRow, col: toCol },
+            captured: validation.type === 'capture' 
+                ? { row: validation.capturedRow, col: validation.capturedCol } 
+                : null
+        };
+        const toSquare = toSquareNumber(toRow, toCol, this.boardSize);
+
+        // Further legs of a multi-jump belong to the turn already being recorded
+        if (continuingTurn && this.moveHistory.length > 0) {
+            const move = this.moveHistory[this.moveHistory.length - 1];
+            move.legs.push(leg);
+            move.squares.push(toSquare);
+            move.notation = formatMove(move.squares, true);
+            move.promoted = move.promoted || promoted;
+            return move;
+        }
+
+        const squares = [toSquareNumber(fromRow, fromCol, this.boardSize), toSquare];
+        const move = {
+            number: Math.floor(this.moveHistory.length / 2) + 1,
+            color: this.currentPlayer,
+            squares,
+            capture: validation.type === 'capture',
+            notation: formatMove(squares, validation.type === 'capture'),
+            legs: [leg],
+            promoted
+        };
+        this.moveHistory.push(move);
+        return move;
+    }
+
+    checkPuzzleMove(squares) {
+        // A multi-jump in progress is still extending the last recorded turn
+        const continuingTurn = this.mustCapture && this.capturingPiece !== null;
+        const index = continuingTurn ? this.moveHistory.length - 1 : this.moveHistory.length;
+        const expected = this.puzzle.solution[index];
+        if (!expected) {
+            return { valid: false, reason: 'The puzzle is already solved' };
+        }
+
+        const solutionSquares = parseMove(expected);
+        if (squares.length > solutionSquares.length || squares.some((square, i) => square !== solutionSquares[i])) {
+            this.puzzleMistakes++;
+            return { valid: false, reason: 'That is not the solution, try again' };
+        }
+        return { valid: true };
+    }
+
+    isPuzzleSolved() {
+        return !!this.puzzle && !this.mustCapture && this.moveHistory.length === this.puzzle.solution.length;
+    }
+
+    getPuzzleReply() {
+        // The defender's next move in the solution, as a path for makeMovePath
+        const expected = this.puzzle && this.puzzle.solution[this.moveHistory.length];
+        return expected ? this.findLegalTurn(expected) : null;
+    }
+
+    findLegalTurn(notation) {
+        // The legal turn written as notation, as a path for makeMovePath
+        const squares = parseMove(notation).join(',');
+        return this.getLegalTurns().find(path => 
+            path.map(([row, col]) => toSquareNumber(row, col, this.boardSize)).join(',') === squares) || null;
+    }
+
+    setConditionalMoves(playerId, lines) {
+        const player = this.players[playerId];
+        if (!player) {
+            return { success: false, reason: 'You are not a player in this game' };
+        }
+        if (!this.correspondence) {
+            return { success: false, reason: 'Conditional moves are only available in correspondence games' };
+        }
+        if (this.gameState !== 'playing') {
+            return { success: false, reason: 'Conditional moves can only be set during a game' };
+        }
+        if (player.color === this.currentPlayer) {
+            return { success: false, reason: 'Conditional moves can only be set while your opponent is to move' };
+        }
+        if (this.mustCapture) {
+            return { success: false, reason: 'Wait until your opponent finishes their capture' };
+        }
+        if (!Array.isArray(lines) || lines.length > MAX_CONDITIONAL_LINES) {
+            return { success: false, reason: `Conditional moves must be a list of at most ${MAX_CONDITIONAL_LINES} lines` };
+        }
+
+        // Lines sharing their first moves grow one tree; each opponent move may only have one reply
+        const branches = [];
+        for (const line of lines) {
+            const check = this.checkConditionalLine(line);
+            if (!check.valid) {
+                return { success: false, reason: check.reason };
+            }
+
+            let level = branches;
+            for (let i = 0; i < check.moves.length; i += 2) {
+                const [move, reply] = check.moves.slice(i, i + 2);
+                let branch = level.find(existing => existing.move === move);
+                if (!branch) {
+                    branch = { move, reply, next: [] };
+                    level.push(branch);
+                } else if (branch.reply !== reply) {
+                    return { success: false, reason: `Two different replies to ${move}` };
+                }
+                level = branch.next;
+            }
+        }
+
+        this.conditionalMoves[player.color] = branches.length > 0 ? { reply: null, branches } : null;
+        return { success: true, lines: this.getConditionalLines(player.color) };
+    }
+
+    checkConditionalLine(line) {
+        if (typeof line !== 'string') {
+            return { valid: false, reason: 'Each conditional line must be a string of moves' };
+        }
+        const tokens = line.trim().split(/\s+/).filter(token => token !== '');
+        if (tokens.length === 0 || tokens.length % 2 !== 0) {
+            return { valid: false, reason: `Line "${line}" must pair each opponent move with your reply` };
+        }
+        if (tokens.length > MAX_CONDITIONAL_LINE_MOVES) {
+            return { valid: false, reason: `Line "${line}" is longer than ${MAX_CONDITIONAL_LINE_MOVES} moves` };
+        }
+
+        // Replay the line on a copy, writing each move the way the game records it
+        const copy = this.createCopy();
+        const moves = [];
+        for (const token of tokens) {
+            const path = copy.gameState === 'playing' ? copy.findLegalTurn(token) : null;
+            if (!path) {
+                return { valid: false, reason: `${token} is not a legal move in line "${line}"` };
+            }
+            copy.makeMovePath(path, COPY_PLAYER_IDS[copy.currentPlayer]);
+            moves.push(copy.moveHistory[copy.moveHistory.length - 1].notation);
+        }
+        return { valid: true, moves };
+    }
+
+    advanceConditionalMoves(move) {
+        for (const color of ['red', 'black']) {
+            const tree = this.conditionalMoves[color];
+            if (!tree) {
+                continue;
+            }
+
+            if (move.color !== color) {
+                // The opponent's move picks a branch; anything unplanned discards the tree
+                const branch = tree.reply === null && tree.branches.find(existing => existing.move === move.notation);
+                this.conditionalMoves[color] = branch ? { reply: branch.reply, branches: branch.next } : null;
+            } else if (move.notation === tree.reply && tree.branches.length > 0) {
+                this.conditionalMoves[color] = { reply: null, branches: tree.branches };
+            } else {
+                // The line is used up, or its owner played something else
+                this.conditionalMoves[color] = null;
+            }
+        }
+    }
+
+    getConditionalReply() {
+        // The side to move's queued reply, as a path for makeMovePath
+        const tree = this.conditionalMoves[this.currentPlayer];
+        if (!tree || tree.reply === null || this.gameState !== 'playing' || this.mustCapture) {
+            return null;
+        }
+        return this.findLegalTurn(tree.reply);
+    }
+
+    getConditionalLines(color) {
+        // Every line still queued, starting from the next move to be played
+        const tree = this.conditionalMoves[color];
+        if (!tree) {
+            return [];
+        }
+
+        const lines = [];
+        const walk = (branches, prefix) => branches.forEach(branch => {
+            const moves = [...prefix, branch.move, branch.reply];
+            if (branch.next.length > 0) {
+                walk(branch.next, moves);
+            } else {
+                lines.push(moves.join(' '));
+            }
+        });
+        const start = tree.reply !== null ? [tree.reply] : [];
+        if (tree.branches.length > 0) {
+            walk(tree.branches, start);
+        } else {
+            lines.push(start.join(' '));
+        }
+        return lines;
+    }
+
+    clearConditionalMoves() {
+        this.conditionalMoves = { red: null, black: null };
+    }
+
     checkGameOver() {
         const redPieces = this.countPieces('red');
         const blackPieces = this.countPieces('black');
+        // In giveaway the side that runs out of pieces or moves wins instead of losing
+        const decide = (stuckColor, reason) => {
+            const opponent = stuckColor === 'red' ? 'black' : 'red';
+            return { winner: this.rules.giveaway ? stuckColor : opponent, reason };
+        };
         
         // Check if a player has no pieces left
-        if (redPieces === 0) return 'black';
-        if (blackPieces === 0) return 'red';
+        if (redPieces === 0) return decide('red', 'no_pieces');
+        if (blackPieces === 0) return decide('black', 'no_pieces');
         
         // Check if current player has no valid moves
         const validMoves = this.getValidMovesForPlayer(this.currentPlayer);
         if (validMoves.length === 0) {
-            return this.currentPlayer === 'red' ? 'black' : 'red';
+            return decide(this.currentPlayer, 'no_moves');
+        }
+
+        // Draws are only decided between turns, never in the middle of a multi-jump
+        if (this.mustCapture) {
+            return null;
+        }
+
+        if (this.positionHistory.length > 0) {
+            const currentPosition = this.positionHistory[this.positionHistory.length - 1];
+            const occurrences = this.positionHistory.filter(key => key === currentPosition).length;
+            if (occurrences >= REPETITION_LIMIT) {
+                return { winner: null, reason: 'repetition' };
+            }
+        }
+
+        if (this.drawMoveLimit && this.turnsWithoutProgress >= this.drawMoveLimit * 2) {
+            return { winner: null, reason: 'move_limit' };
+        }
+
+        if (this.adjudicateDraws) {
+            const tablebase = getTablebase(this.rules);
+            const known = tablebase && probe(tablebase, fromBoard(this.board, this.currentPlayer));
+            if (known && known.outcome === 'draw') {
+                return { winner: null, reason: 'tablebase_draw' };
+            }
         }
         
         return null;
     }
 
+    endGame(winner, reason) {
+        // Resigning, a flag or abandonment can end a game in the middle of a multi-jump;
+        // that turn is taken back so the record only holds whole turns that can be replayed
+        if (this.mustCapture && this.capturingPiece) {
+            this.undoLastTurn();
+        }
+
+        this.gameState = 'finished';
+        this.winner = winner;
+        this.result = { winner, reason };
+        this.finishedAt = new Date();
+        this.takebackRequest = null;
+        this.drawOffer = null;
+        this.clearConditionalMoves();
+        if (this.clock) {
+            this.clock.stop();
+        }
+    }
+
+    startClock(now = Date.now()) {
+        // The turn timeout counts from the same moment as the clock
+        this.turnStartedAt = this.gameState === 'playing' ? now : null;
+        if (this.clock && this.gameState === 'playing') {
+            this.clock.start(this.currentPlayer, now);
+        }
+    }
+
+    checkFlag(now = Date.now()) {
+        // Running out of time loses, whatever is on the board
+        const flagged = this.clock && this.gameState === 'playing' ? this.clock.getFlagged(now) : null;
+        if (!flagged) {
+            return false;
+        }
+
+        this.endGame(flagged === 'red' ? 'black' : 'red', 'time');
+        return true;
+    }
+
+    getTurnDeadline() {
+        // The computer never idles, so only people and engines are held to the timeout
+        if (!this.turnTimeout || this.gameState !== 'playing' || this.turnStartedAt === null || this.isBotTurn()) {
+            return null;
+        }
+        return this.turnStartedAt + this.turnTimeout * 1000;
+    }
+
+    checkTurnTimeout(now = Date.now()) {
+        // A side that lets its turn time out abandons the game
+        const deadline = this.getTurnDeadline();
+        if (deadline === null || now < deadline) {
+            return false;
+        }
+
+        this.endGame(this.currentPlayer === 'red' ? 'black' : 'red', 'abandoned');
+        return true;
+    }
+
+    getFlagFallResult() {
+        return {
+            success: false,
+            reason: 'Time has run out',
+            flagFell: true,
+            winner: this.winner,
+            result: this.result,
+            gameState: this.gameState
+        };
+    }
+
+    getPositionKey() {
+        const squares = this.board.map(row => row.map(piece => {
+            if (!piece) return '.';
+            const letter = piece.color === 'red' ? 'r' : 'b';
+            return piece.king ? letter.toUpperCase() : letter;
+        }).join('')).join('');
+        return `${this.currentPlayer}:${squares}`;
+    }
+
     countPieces(color) {
         let count = 0;
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
                 if (this.board[row][col] && this.board[row][col].color === color) {
                     count++;
                 }
@@ -308,64 +978,102 @@ class CheckersGame {
         return count;
     }
 
-    getValidMovesForPlayer(color) {
-        const moves = [];
-        
-        for (let row = 0; row < 8; row++) {
-            for (let col = 0; col < 8; col++) {
-                const piece = this.board[row][col];
-                if (piece && piece.color === color) {
-                    const pieceMoves = this.getValidMovesForPiece(row, col);
-                    moves.push(...pieceMoves);
+    getCapturingSquares(color) {
+        // Mid-capture only the capturing piece may move, and only by capturing
+        const continuingCapture = this.mustCapture && this.capturingPiece && color === this.currentPlayer;
+        return continuingCapture ? [this.capturingPiece] : this.getPieceSquares(color);
+    }
+
+    getLegalCaptureSequences(color) {
+        const sequences = this.getCapturingSquares(color)
+            .flatMap(({ row, col }) => this.getCaptureSequences(row, col));
+        if (!this.rules.majorityCapture) {
+            return sequences;
+        }
+
+        // Keep only the sequences the rule set ranks highest
+        let best = [];
+        for (const sequence of sequences) {
+            const comparison = best.length > 0 ? this.compareCaptureSequences(sequence, best[0]) : 1;
+            if (comparison > 0) {
+                best = [sequence];
+            } else if (comparison === 0) {
+                best.push(sequence);
+            }
+        }
+        return best;
+    }
+
+    getCaptureTree(row, col) {
+        const piece = this.board[row][col];
+        const root = { row, col, captured: null, children: [] };
+        if (!piece) return root;
+
+        // Merge the legal sequences of this piece into a tree of landing squares
+        const sequences = this.getLegalCaptureSequences(piece.color)
+            .filter(sequence => sequence.legs[0].from.row === row && sequence.legs[0].from.col === col);
+        for (const sequence of sequences) {
+            let node = root;
+            for (const leg of sequence.legs) {
+                let child = node.children.find(candidate => candidate.row === leg.to.row && candidate.col === leg.to.col);
+                if (!child) {
+                    child = { row: leg.to.row, col: leg.to.col, captured: leg.captured, children: [] };
+                    node.children.push(child);
                 }
+                node = child;
             }
         }
-        
-        return moves;
+
+        return root;
+    }
+
+    getValidMovesForPlayer(color) {
+        const continuingCapture = this.mustCapture && this.capturingPiece && color === this.currentPlayer;
+        const squares = this.getCapturingSquares(color);
+
+        let captures;
+        if (this.rules.majorityCapture) {
+            // Only the first leg of each best sequence can be played now
+            const seen = new Set();
+            captures = this.getLegalCaptureSequences(color).map(sequence => sequence.legs[0]).filter(leg => {
+                const key = `${leg.from.row},${leg.from.col}>${leg.to.row},${leg.to.col}x${leg.captured.row},${leg.captured.col}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        } else {
+            captures = squares.flatMap(({ row, col }) => this.getPieceCaptues(row, col));
+        }
+
+        if (captures.length > 0 || continuingCapture) {
+            return captures;
+        }
+
+        return squares.flatMap(({ row, col }) => this.getPieceMoves(row, col));
     }
 
     getValidMovesForPiece(row, col) {
-        const moves = [];
         const piece = this.board[row][col];
         
-        if (!piece) return moves;
-
-        const directions = piece.king ? 
-            [[-1, -1], [-1, 1], [1, -1], [1, 1]] : 
-            piece.color === 'red' ? 
-                [[1, -1], [1, 1]] : 
-                [[-1, -1], [-1, 1]];
+        if (!piece) return [];
 
-        // Check regular moves
-        for (const [dRow, dCol] of directions) {
-            const newRow = row + dRow;
-            const newCol = col + dCol;
-            
-            if (newRow >= 0 && newRow < 8 && newCol >= 0 && newCol < 8 && 
-                !this.board[newRow][newCol]) {
-                moves.push({ from: { row, col }, to: { row: newRow, col: newCol }, type: 'move' });
-            }
+        return this.getValidMovesForPlayer(piece.color)
+            .filter(move => move.from.row === row && move.from.col === col);
+    }
 
-            // Check capture moves
-            const captureRow = row + 2 * dRow;
-            const captureCol = col + 2 * dCol;
-            
-            if (captureRow >= 0 && captureRow < 8 && captureCol >= 0 && captureCol < 8) {
-                const capturedPiece = this.board[newRow][newCol];
-                const landSquare = this.board[captureRow][captureCol];
-                
-                if (capturedPiece && capturedPiece.color !== piece.color && !landSquare) {
-                    moves.push({ 
-                        from: { row, col }, 
-                        to: { row: captureRow, col: captureCol }, 
-                        type: 'capture',
-                        captured: { row: newRow, col: newCol }
-                    });
+    getPieceSquares(color) {
+        const squares = [];
+        
+        for (let row = 0; row < this.boardSize; row++) {
+            for (let col = 0; col < this.boardSize; col++) {
+                const piece = this.board[row][col];
+                if (piece && piece.color === color) {
+                    squares.push({ row, col });
                 }
             }
         }
         
-        return moves;
+        return squares;
     }
 
     selectTurnOrder(playerId, choice) {
@@ -391,24 +1099,74 @@ class CheckersGame {
         this.waitingForTurnOrderSelection = false;
         this.turnOrderSelector = null;
 
+        const startingPlayerName = this.players[this.getPlayerIdByColor(this.currentPlayer)]?.name;
+        if (this.ballot) {
+            this.playBallot();
+        }
+        // The ballot is played off the clock
+        this.startClock();
+
         return { 
             success: true, 
             currentPlayer: this.currentPlayer,
-            startingPlayerName: this.players[Object.keys(this.players).find(id => this.players[id].color === this.currentPlayer)]?.name
+            startingPlayerName,
+            ballot: this.ballotMoves
         };
     }
 
+    getPlayerIdByColor(color) {
+        return Object.keys(this.players).find(id => this.players[id].color === color) || null;
+    }
+
+    playBallot() {
+        // The side chosen to start plays the ballot's first move
+        const moves = drawBallot(this.initializeBoard(), this.rules, this.currentPlayer, this.ballot) || [];
+        for (const { path, notation } of moves) {
+            const result = this.makeMovePath(path, this.getPlayerIdByColor(this.currentPlayer));
+            if (!result.success) {
+                throw new Error(`Ballot move ${notation} could not be played: ${result.reason}`);
+            }
+            this.ballotMoves.push(notation);
+        }
+
+        // The ballot is part of the starting position and cannot be taken back
+        this.turnSnapshots = [];
+    }
+
     resetGame() {
-        this.currentPlayer = 'red'; // Default, will be changed by turn order selection
+        this.currentPlayer = this.startPosition ? this.startPosition.currentPlayer : 'red'; // Default, will be changed by turn order selection
         this.winner = null;
+        this.result = null;
+        this.finishedAt = null;
         this.board = this.initializeBoard();
         this.selectedPiece = null;
         this.mustCapture = false;
         this.capturingPiece = null;
+        this.capturedThisTurn = [];
+        this.moveHistory = [];
+        this.turnSnapshots = [];
+        this.positionHistory = [];
+        this.turnsWithoutProgress = 0;
         this.newGameRequests = new Set(); // Clear any pending requests
+        this.takebackRequest = null;
+        this.drawOffer = null;
+        this.hintsUsed = { red: 0, black: 0 };
+        this.ballotMoves = [];
+        this.puzzleMistakes = 0;
+        this.clearConditionalMoves();
+        this.turnStartedAt = null;
+        if (this.clock) {
+            this.clock.reset();
+        }
         
         const playerCount = Object.keys(this.players).length;
-        if (playerCount === 2) {
+        if (playerCount === 2 && this.startPosition) {
+            // Custom positions restart with their own side to move
+            this.gameState = 'playing';
+            this.waitingForTurnOrderSelection = false;
+            this.turnOrderSelector = null;
+            this.startClock();
+        } else if (playerCount === 2) {
             // Both players present - require turn order selection
             this.gameState = 'turn_selection';
             this.waitingForTurnOrderSelection = true;
@@ -437,8 +1195,8 @@ class CheckersGame {
             // Both players agreed, reset the game
             this.resetGame();
             return { approved: true, bothAgreed: true };
-        } else if (playerCount === 1) {
-            // Only one player in room, allow immediate reset
+        } else if (this.getHumanPlayerIds().length === 1) {
+            // Only one person in the room (the bot always agrees), allow immediate reset
             this.resetGame();
             return { approved: true, bothAgreed: false, reason: 'single_player' };
         } else {
@@ -453,17 +1211,287 @@ class CheckersGame {
         }
     }
 
+    getLegalTurns() {
+        // Whole turns for the side to move as [row, col] paths
+        const sequences = this.getLegalCaptureSequences(this.currentPlayer);
+        if (sequences.length > 0) {
+            return sequences.map(sequence => [
+                [sequence.legs[0].from.row, sequence.legs[0].from.col],
+                ...sequence.legs.map(leg => [leg.to.row, leg.to.col])
+            ]);
+        }
+
+        return this.getValidMovesForPlayer(this.currentPlayer)
+            .map(move => [[move.from.row, move.from.col], [move.to.row, move.to.col]]);
+    }
+
+    perft(depth) {
+        if (depth === 0) return 1;
+        return this.divide(depth).reduce((total, entry) => total + entry.nodes, 0);
+    }
+
+    createCopy() {
+        // The current position in a game of its own, with both seats taken
+        const copy = new CheckersGame(this.roomCode, {
+            rules: this.rules,
+            drawMoveLimit: 0,
+            startPosition: { board: this.board, currentPlayer: this.currentPlayer }
+        });
+        copy.addPlayer(COPY_PLAYER_IDS.red, 'Red');
+        copy.addPlayer(COPY_PLAYER_IDS.black, 'Black');
+        return copy;
+    }
+
+    divide(depth) {
+        // Play on a copy through makeMovePath so the real move validation is what gets counted
+        const copy = this.createCopy();
+
+        const count = remaining => {
+            if (remaining === 0) return 1;
+            const turns = copy.getLegalTurns();
+            if (remaining === 1) return turns.length;
+
+            let nodes = 0;
+            for (const path of turns) {
+                copy.makeMovePath(path, COPY_PLAYER_IDS[copy.currentPlayer]);
+                nodes += count(remaining - 1);
+                copy.undoLastTurn();
+            }
+            return nodes;
+        };
+
+        return copy.getLegalTurns().map(path => {
+            copy.makeMovePath(path, COPY_PLAYER_IDS[copy.currentPlayer]);
+            const move = copy.moveHistory[copy.moveHistory.length - 1];
+            const nodes = count(depth - 1);
+            copy.undoLastTurn();
+            return { path, notation: move.notation, nodes };
+        });
+    }
+
+    createSnapshot() {
+        return {
+            board: this.board.map(row => row.map(piece => piece ? { ...piece } : null)),
+            currentPlayer: this.currentPlayer,
+            gameState: this.gameState,
+            winner: this.winner,
+            result: this.result,
+            mustCapture: this.mustCapture,
+            capturingPiece: this.capturingPiece ? { ...this.capturingPiece } : null,
+            moveCount: this.moveHistory.length,
+            positionCount: this.positionHistory.length,
+            turnsWithoutProgress: this.turnsWithoutProgress
+        };
+    }
+
+    undoLastTurn() {
+        const snapshot = this.turnSnapshots.pop();
+        if (!snapshot) {
+            return false;
+        }
+
+        this.board = snapshot.board;
+        this.currentPlayer = snapshot.currentPlayer;
+        this.gameState = snapshot.gameState;
+        this.winner = snapshot.winner;
+        this.result = snapshot.result;
+        this.mustCapture = snapshot.mustCapture;
+        this.capturingPiece = snapshot.capturingPiece;
+        this.capturedThisTurn = [];
+        this.moveHistory = this.moveHistory.slice(0, snapshot.moveCount);
+        this.positionHistory = this.positionHistory.slice(0, snapshot.positionCount);
+        this.turnsWithoutProgress = snapshot.turnsWithoutProgress;
+        // Queued lines were planned from positions that are gone now
+        this.clearConditionalMoves();
+        if (this.clock) {
+            // Times stay as they are; the clock runs for whoever is to move again
+            this.clock.stop();
+        }
+        this.startClock();
+        return true;
+    }
+
+    requestTakeback(playerId) {
+        if (this.gameState !== 'playing') {
+            return { approved: false, reason: 'Takebacks are only possible during a game' };
+        }
+        if (this.turnSnapshots.length === 0) {
+            return { approved: false, reason: 'There is no move to take back' };
+        }
+        if (this.takebackRequest === playerId) {
+            return { approved: false, reason: 'Takeback already requested' };
+        }
+
+        if (this.getHumanPlayerIds().length === 1) {
+            // Only one person in the room (the bot always agrees), nobody needs to agree
+            this.undoLastTurn();
+
+            // Against the bot also take back its reply so the player is to move again
+            const player = this.players[playerId];
+            if (this.getBotPlayerId() && player && player.color !== this.currentPlayer) {
+                this.undoLastTurn();
+            }
+            return { approved: true, reason: 'single_player' };
+        }
+
+        if (this.takebackRequest) {
+            // Both players asked for it, treat the second request as agreement
+            this.takebackRequest = null;
+            this.undoLastTurn();
+            return { approved: true, bothAgreed: true };
+        }
+
+        this.takebackRequest = playerId;
+        return { approved: false, waitingForOther: true };
+    }
+
+    cancelTakebackRequest(playerId) {
+        if (this.takebackRequest === playerId) {
+            this.takebackRequest = null;
+        }
+    }
+
+    respondToTakeback(playerId, accept) {
+        if (!this.takebackRequest || this.takebackRequest === playerId) {
+            return { success: false, reason: 'No takeback request to answer' };
+        }
+
+        this.takebackRequest = null;
+        if (accept) {
+            this.undoLastTurn();
+        }
+        return { success: true, accepted: !!accept };
+    }
+
+    useHint(playerId) {
+        const player = this.players[playerId];
+        if (!this.training) {
+            return { success: false, reason: 'Hints are only available in training rooms' };
+        }
+        if (!player || this.gameState !== 'playing') {
+            return { success: false, reason: 'There is no game in progress' };
+        }
+        if (player.color !== this.currentPlayer) {
+            return { success: false, reason: 'Hints are only available on your turn' };
+        }
+
+        this.hintsUsed[player.color]++;
+        return { success: true, hintsUsed: this.hintsUsed[player.color] };
+    }
+
+    resign(playerId) {
+        const player = this.players[playerId];
+        if (!player || this.gameState !== 'playing') {
+            return { success: false, reason: 'There is no game in progress' };
+        }
+
+        const winner = player.color === 'red' ? 'black' : 'red';
+        this.endGame(winner, 'resignation');
+        return { success: true, winner };
+    }
+
+    abandon(playerId) {
+        // Leaving for good loses like a resignation, under its own reason
+        const player = this.players[playerId];
+        if (!player || this.gameState !== 'playing') {
+            return { success: false, reason: 'There is no game in progress' };
+        }
+
+        const winner = player.color === 'red' ? 'black' : 'red';
+        this.endGame(winner, 'abandoned');
+        return { success: true, winner };
+    }
+
+    offerDraw(playerId) {
+        if (!this.players[playerId] || this.gameState !== 'playing') {
+            return { success: false, reason: 'There is no game in progress' };
+        }
+        if (this.drawOffer === playerId) {
+            return { success: false, reason: 'Draw already offered' };
+        }
+
+        if (this.drawOffer) {
+            // Both players offered a draw, so they agree
+            this.endGame(null, 'agreement');
+            return { success: true, agreed: true };
+        }
+
+        this.drawOffer = playerId;
+        return { success: true, agreed: false };
+    }
+
+    acceptDraw(playerId) {
+        if (!this.drawOffer || this.drawOffer === playerId || this.gameState !== 'playing') {
+            return { success: false, reason: 'No draw offer to accept' };
+        }
+
+        this.endGame(null, 'agreement');
+        return { success: true };
+    }
+
+    declineDraw(playerId) {
+        if (!this.drawOffer || this.drawOffer === playerId) {
+            return { success: false, reason: 'No draw offer to decline' };
+        }
+
+        this.drawOffer = null;
+        return { success: true };
+    }
+
+    getCaptureSources() {
+        if (this.gameState !== 'playing') {
+            return [];
+        }
+
+        // Squares of the pieces that are allowed (and therefore required) to capture
+        const sources = new Map();
+        for (const capture of this.getAvailableCaptures(this.currentPlayer)) {
+            sources.set(`${capture.from.row},${capture.from.col}`, capture.from);
+        }
+        return Array.from(sources.values());
+    }
+
+    getPuzzleState() {
+        return {
+            id: this.puzzle.id,
+            title: this.puzzle.title,
+            difficulty: this.puzzle.difficulty,
+            solverColor: this.startPosition.currentPlayer,
+            moves: this.puzzle.solution.length,
+            mistakes: this.puzzleMistakes,
+            // The solution is only revealed once the attempt is over
+            solution: this.gameState === 'finished' ? this.puzzle.solution : null
+        };
+    }
+
     getGameState() {
         return {
             roomCode: this.roomCode,
+            rules: this.rules,
             players: this.players,
             currentPlayer: this.currentPlayer,
             gameState: this.gameState,
             winner: this.winner,
+            result: this.result,
             board: this.board,
             mustCapture: this.mustCapture,
             capturingPiece: this.capturingPiece,
+            captureSources: this.getCaptureSources(),
+            moveHistory: this.moveHistory,
+            turnsWithoutProgress: this.turnsWithoutProgress,
+            drawMoveLimit: this.drawMoveLimit,
             newGameRequests: this.newGameRequests ? Array.from(this.newGameRequests) : [],
+            takebackRequest: this.takebackRequest,
+            canTakeBack: this.turnSnapshots.length > 0,
+            drawOffer: this.drawOffer,
+            training: this.training,
+            adjudicateDraws: this.adjudicateDraws,
+            hintsUsed: this.hintsUsed,
+            ballot: this.ballot ? { length: this.ballot, moves: this.ballotMoves } : null,
+            puzzle: this.puzzle ? this.getPuzzleState() : null,
+            clock: this.clock ? this.clock.getState() : null,
+            correspondence: this.correspondence,
+            turnTimeout: this.turnTimeout,
             waitingForTurnOrderSelection: this.waitingForTurnOrderSelection,
             turnOrderSelector: this.turnOrderSelector
         };
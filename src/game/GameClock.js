@@ -0,0 +1,187 @@
+/**
+ * Game Clock
+ *
+ * Server-side chess clock for one game. Each side has a time bank that runs
+ * down while it is that side's turn. Time is charged only when a whole turn is
+ * completed, so the legs of a multi-jump all come out of the same turn.
+ *
+ * Time control modes:
+ * - sudden_death: the starting time is all there is
+ * - fischer: the increment is added after every completed turn
+ * - bronstein: the time used is given back after every turn, up to the increment
+ * - delay: the clock waits for the increment before it starts running down each turn
+ * - per_move: every turn gets the starting time afresh; unused time is not kept.
+ *   Correspondence games use it for their days per move and it is not offered for live rooms.
+ */
+
+const MODES = ['sudden_death', 'fischer', 'bronstein', 'delay'];
+// Longest starting time and increment (seconds) a room may ask for
+const MAX_INITIAL = 3 * 60 * 60;
+const MAX_INCREMENT = 10 * 60;
+
+class GameClock {
+    constructor({ mode, initial, increment = 0 }) {
+        this.mode = mode;
+        this.initial = initial * 1000; // Starting time per side (ms)
+        this.increment = increment * 1000; // Bonus or delay per turn (ms)
+        this.reset();
+    }
+
+    /**
+     * Check the time control a room asked for
+     * @param {Object} timeControl - { mode, initial, increment } with times in seconds
+     * @returns {Object} { valid: true } or { valid: false, reason }
+     */
+    static validate(timeControl) {
+        if (!timeControl || typeof timeControl !== 'object') {
+            return { valid: false, reason: 'timeControl must be an object' };
+        }
+
+        const { mode, initial, increment = 0 } = timeControl;
+        if (!MODES.includes(mode)) {
+            return { valid: false, reason: `timeControl.mode must be one of ${MODES.join(', ')}` };
+        }
+        if (!Number.isInteger(initial) || initial < 1 || initial > MAX_INITIAL) {
+            return { valid: false, reason: `timeControl.initial must be a whole number of seconds from 1 to ${MAX_INITIAL}` };
+        }
+        if (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT) {
+            return { valid: false, reason: `timeControl.increment must be a whole number of seconds from 0 to ${MAX_INCREMENT}` };
+        }
+        if (mode === 'sudden_death' && increment > 0) {
+            return { valid: false, reason: 'A sudden death time control has no increment' };
+        }
+        if (mode !== 'sudden_death' && increment === 0) {
+            return { valid: false, reason: `A ${mode} time control needs an increment` };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Give both sides their starting time and stop the clock
+     */
+    reset() {
+        this.remaining = { red: this.initial, black: this.initial };
+        this.running = null; // Color whose time is running down
+        this.turnStartedAt = null;
+    }
+
+    /**
+     * Start the side to move's time
+     * @param {string} color - 'red' or 'black'
+     * @param {number} now - Current time (ms)
+     */
+    start(color, now = Date.now()) {
+        this.running = color;
+        this.turnStartedAt = now;
+    }
+
+    /**
+     * Time charged for the running turn so far
+     * @param {number} now - Current time (ms)
+     * @returns {number} Milliseconds to take off the running side's bank
+     */
+    getCharge(now) {
+        if (!this.running) {
+            return 0;
+        }
+        const elapsed = Math.max(0, now - this.turnStartedAt);
+        return this.mode === 'delay' ? Math.max(0, elapsed - this.increment) : elapsed;
+    }
+
+    /**
+     * Part of the delay still to pass before the running side's time goes down
+     * @param {number} now - Current time (ms)
+     * @returns {number} Milliseconds, 0 outside delay time controls
+     */
+    getDelayLeft(now) {
+        if (this.mode !== 'delay' || !this.running) {
+            return 0;
+        }
+        return Math.max(0, this.increment - Math.max(0, now - this.turnStartedAt));
+    }
+
+    /**
+     * A side's time left, counting the turn in progress
+     * @param {string} color - 'red' or 'black'
+     * @param {number} now - Current time (ms)
+     * @returns {number} Milliseconds left, never below zero
+     */
+    getRemaining(color, now = Date.now()) {
+        const charge = color === this.running ? this.getCharge(now) : 0;
+        return Math.max(0, this.remaining[color] - charge);
+    }
+
+    /**
+     * End the running side's turn and start the other side's
+     * @param {number} now - Current time (ms)
+     */
+    switchTurn(now = Date.now()) {
+        const color = this.running;
+        if (!color) {
+            return;
+        }
+
+        const elapsed = Math.max(0, now - this.turnStartedAt);
+        this.remaining[color] = this.getRemaining(color, now);
+        if (this.mode === 'per_move') {
+            this.remaining[color] = this.initial;
+        } else if (this.mode === 'fischer') {
+            this.remaining[color] += this.increment;
+        } else if (this.mode === 'bronstein') {
+            this.remaining[color] += Math.min(elapsed, this.increment);
+        }
+
+        this.start(color === 'red' ? 'black' : 'red', now);
+    }
+
+    /**
+     * Charge the running turn without any bonus and stop the clock
+     * @param {number} now - Current time (ms)
+     */
+    stop(now = Date.now()) {
+        if (this.running) {
+            this.remaining[this.running] = this.getRemaining(this.running, now);
+        }
+        this.running = null;
+        this.turnStartedAt = null;
+    }
+
+    /**
+     * The side whose time has run out
+     * @param {number} now - Current time (ms)
+     * @returns {string|null} 'red' or 'black', or null while both have time
+     */
+    getFlagged(now = Date.now()) {
+        return this.running && this.getRemaining(this.running, now) === 0 ? this.running : null;
+    }
+
+    /**
+     * How long until the running side's flag falls
+     * @param {number} now - Current time (ms)
+     * @returns {number|null} Milliseconds, or null while the clock is stopped
+     */
+    getTimeToFlag(now = Date.now()) {
+        if (!this.running) {
+            return null;
+        }
+        return this.getRemaining(this.running, now) + this.getDelayLeft(now);
+    }
+
+    /**
+     * Clock state for clients, as of now
+     * @param {number} now - Current time (ms)
+     * @returns {Object} { mode, initial, increment, remaining: { red, black }, running, delayLeft }
+     */
+    getState(now = Date.now()) {
+        return {
+            mode: this.mode,
+            initial: this.initial,
+            increment: this.increment,
+            remaining: { red: this.getRemaining('red', now), black: this.getRemaining('black', now) },
+            running: this.running,
+            delayLeft: this.getDelayLeft(now)
+        };
+    }
+}
+
+module.exports = GameClock;
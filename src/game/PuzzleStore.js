@@ -0,0 +1,211 @@
+/**
+ * Puzzle Store
+ *
+ * Tactics puzzles for the solo puzzle rooms: a starting position in FEN and
+ * the solution line, alternating the solver's moves with the defender's
+ * replies. Puzzles are read from data/puzzles.json and replayed once when
+ * loaded, so a puzzle with an illegal or unfinished line never reaches a
+ * room. Puzzles mined from played games are kept apart in
+ * data/mined-puzzles.json, so the hand-picked set stays as it was written.
+ * The store also remembers which puzzles each player has solved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CheckersGame = require('./CheckersGame');
+const { parseFen } = require('./fen');
+const { getRuleSet } = require('./rules');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'puzzles.json');
+const DEFAULT_MINED_FILE = path.join(__dirname, '..', '..', 'data', 'mined-puzzles.json');
+// Player id of the solver's seat while a puzzle is replayed
+const SOLVER_PLAYER_ID = 'solver';
+
+class PuzzleStore {
+    constructor({ file = DEFAULT_FILE, minedFile = DEFAULT_MINED_FILE } = {}) {
+        this.file = file;
+        this.minedFile = minedFile;
+        this.puzzles = new Map(); // Puzzle id -> puzzle
+        this.minedIds = new Set(); // Ids of the puzzles that belong in the mined file
+        this.solved = new Map(); // Player id -> Set of solved puzzle ids
+        this.load();
+    }
+
+    /**
+     * Read the puzzle files, keeping only the puzzles that replay correctly
+     */
+    load() {
+        this.puzzles.clear();
+        this.minedIds.clear();
+        this.readFile(this.file).forEach(puzzle => this.puzzles.set(puzzle.id, puzzle));
+        this.readFile(this.minedFile).forEach(puzzle => {
+            this.puzzles.set(puzzle.id, puzzle);
+            this.minedIds.add(puzzle.id);
+        });
+    }
+
+    /**
+     * Read one puzzle file
+     * @param {string} file - Path of a JSON array of puzzles
+     * @returns {Array<Object>} The file's valid puzzles, or none when it does not exist
+     */
+    readFile(file) {
+        if (!fs.existsSync(file)) {
+            return [];
+        }
+
+        return JSON.parse(fs.readFileSync(file, 'utf8')).filter(puzzle => {
+            const check = PuzzleStore.verify(puzzle);
+            if (!check.valid) {
+                console.warn(`Skipped puzzle ${puzzle.id}: ${check.reason}`);
+            }
+            return check.valid;
+        });
+    }
+
+    /**
+     * Add a mined puzzle, unless its position is already in the store
+     * @param {Object} puzzle - { variant, title, fen, solution, difficulty, source }
+     * @returns {Object} { added: true, puzzle } with the puzzle's new id, or { added: false, reason }
+     */
+    add({ variant, title, fen, solution, difficulty, source }) {
+        if (Array.from(this.puzzles.values()).some(existing => existing.fen === fen)) {
+            return { added: false, reason: 'A puzzle with this position already exists' };
+        }
+
+        const puzzle = { id: this.nextMinedId(variant), variant, title, fen, solution, difficulty, source };
+        const check = PuzzleStore.verify(puzzle);
+        if (!check.valid) {
+            return { added: false, reason: check.reason };
+        }
+
+        this.puzzles.set(puzzle.id, puzzle);
+        this.minedIds.add(puzzle.id);
+        return { added: true, puzzle };
+    }
+
+    /**
+     * Next free id for a mined puzzle, e.g. "mined-american-007"
+     * @param {string} variant - Rule set id
+     * @returns {string} Puzzle id
+     */
+    nextMinedId(variant) {
+        const prefix = `mined-${variant}-`;
+        const numbers = Array.from(this.minedIds)
+            .filter(id => id.startsWith(prefix))
+            .map(id => parseInt(id.slice(prefix.length), 10));
+        const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+        return prefix + String(next).padStart(3, '0');
+    }
+
+    /**
+     * Write the mined puzzles to their file
+     */
+    save() {
+        const mined = Array.from(this.minedIds).map(id => this.puzzles.get(id));
+        fs.mkdirSync(path.dirname(this.minedFile), { recursive: true });
+        fs.writeFileSync(this.minedFile, JSON.stringify(mined, null, 4) + '\n');
+    }
+
+    /**
+     * Check that a puzzle's solution is legal and ends with the solver's move
+     * @param {Object} puzzle - { id, variant, title, fen, solution, difficulty }
+     * @returns {Object} { valid: true } or { valid: false, reason }
+     */
+    static verify(puzzle) {
+        const rules = getRuleSet(puzzle.variant);
+        if (!rules) {
+            return { valid: false, reason: `Unknown variant "${puzzle.variant}"` };
+        }
+        if (!Array.isArray(puzzle.solution) || puzzle.solution.length % 2 === 0) {
+            return { valid: false, reason: 'The solution must end with the solver\'s move' };
+        }
+
+        const position = parseFen(puzzle.fen, rules.boardSize);
+        if (!position.valid) {
+            return { valid: false, reason: position.reason };
+        }
+
+        // Replay the line with the defender's seat answering every solver move
+        const game = new CheckersGame('PUZZLE', {
+            rules,
+            startPosition: { board: position.board, currentPlayer: position.currentPlayer },
+            puzzle
+        });
+        game.addPuzzleOpponent();
+        game.addPlayer(SOLVER_PLAYER_ID, 'Solver');
+
+        for (let i = 0; i < puzzle.solution.length; i++) {
+            const turn = game.getPuzzleReply();
+            if (!turn || game.gameState !== 'playing') {
+                return { valid: false, reason: `Move ${i + 1} (${puzzle.solution[i]}) is illegal` };
+            }
+            game.makeMovePath(turn, game.getPlayerIdByColor(game.currentPlayer));
+        }
+
+        if (!game.result || game.result.reason !== 'puzzle_solved') {
+            return { valid: false, reason: 'The solution does not finish the puzzle' };
+        }
+        return { valid: true };
+    }
+
+    /**
+     * Look up a puzzle
+     * @param {string} id - Puzzle id
+     * @returns {Object|null} The puzzle, or null if there is none with this id
+     */
+    get(id) {
+        return this.puzzles.get(id) || null;
+    }
+
+    /**
+     * Puzzles of a variant, easiest first
+     * @param {string} variant - Rule set id
+     * @returns {Array<Object>} Puzzles ordered by difficulty, then id
+     */
+    list(variant) {
+        return Array.from(this.puzzles.values())
+            .filter(puzzle => puzzle.variant === variant)
+            .sort((a, b) => a.difficulty - b.difficulty || a.id.localeCompare(b.id));
+    }
+
+    /**
+     * The easiest puzzle a player has not solved yet
+     * @param {string} userId - Player id kept by the client
+     * @param {string} variant - Rule set id
+     * @returns {Object|null} The puzzle, or null when every puzzle is solved
+     */
+    getNext(userId, variant) {
+        const solved = this.solved.get(userId) || new Set();
+        return this.list(variant).find(puzzle => !solved.has(puzzle.id)) || null;
+    }
+
+    /**
+     * Record that a player solved a puzzle
+     * @param {string} userId - Player id kept by the client
+     * @param {string} id - Puzzle id
+     */
+    markSolved(userId, id) {
+        if (!this.solved.has(userId)) {
+            this.solved.set(userId, new Set());
+        }
+        this.solved.get(userId).add(id);
+    }
+
+    /**
+     * How far a player has got through a variant's puzzles
+     * @param {string} userId - Player id kept by the client
+     * @param {string} variant - Rule set id
+     * @returns {Object} { solved, total }
+     */
+    getProgress(userId, variant) {
+        const solved = this.solved.get(userId) || new Set();
+        const puzzles = this.list(variant);
+        return {
+            solved: puzzles.filter(puzzle => solved.has(puzzle.id)).length,
+            total: puzzles.length
+        };
+    }
+}
+
+module.exports = PuzzleStore;
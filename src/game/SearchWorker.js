@@ -0,0 +1,176 @@
+/**
+ * Search Worker
+ *
+ * Runs engine searches on a worker thread, so the seconds the computer spends
+ * thinking, analysing a finished game or mining it for puzzles never hold up
+ * the server's other rooms. A single thread is started on the first job and
+ * takes the jobs in turn; every job is answered through a promise. This file
+ * is both the main-thread class and the thread's script.
+ */
+
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { findBestMove } = require('./ai');
+const { recordGame, mineRecord } = require('./puzzleMiner');
+const { analyzeRecord } = require('./analysis');
+const { buildBallotDeck, hasBallotDeck, addBallotDeck } = require('./openings');
+const { getRuleSet } = require('./rules');
+
+class SearchWorker {
+    constructor() {
+        this.worker = null;
+        this.jobs = new Map(); // Job id -> { resolve, reject } of the waiting caller
+        this.nextJobId = 1;
+        this.ballotJobs = new Map(); // Deck key -> promise of a deck being built
+    }
+
+    /**
+     * Pick the best turn for the side to move, as ai.findBestMove does
+     * @param {CheckersGame} game - Game to move in
+     * @param {Object} options - findBestMove options
+     * @returns {Promise<Object|null>} { path, capture, score, depth, nodes } or null when there is no legal move
+     */
+    findBestMove(game, options = {}) {
+        // Finishing a multi-jump takes no search, and needs the game's own capture state
+        if (game.mustCapture) {
+            return Promise.resolve(findBestMove(game, options));
+        }
+
+        return this.run('findBestMove', {
+            board: game.board,
+            currentPlayer: game.currentPlayer,
+            variant: game.rules.id,
+            options
+        });
+    }
+
+    /**
+     * Find the puzzles in a finished game, as puzzleMiner.minePuzzles does
+     * @param {CheckersGame} game - Game to mine; its moves are copied straight away
+     * @returns {Promise<Array<Object>>} Puzzles as { variant, title, fen, solution, difficulty, moveNumber }
+     */
+    minePuzzles(game) {
+        return this.run('minePuzzles', recordGame(game));
+    }
+
+    /**
+     * Label every move of a finished game, as analysis.analyzeGame does
+     * @param {CheckersGame} game - Game to analyse; its moves are copied straight away
+     * @returns {Promise<Object>} { moves, summary } with scores from red's point of view
+     */
+    analyzeGame(game) {
+        return this.run('analyzeGame', recordGame(game));
+    }
+
+    /**
+     * Build the ballot decks a game may draw from, one for each side that can
+     * start, and cache them for openings.drawBallot
+     * @param {CheckersGame} game - Game with a ballot
+     * @returns {Promise<void>} Settles once both decks are cached
+     */
+    prepareBallotDecks(game) {
+        const { rules, ballot: length } = game;
+        const board = game.initializeBoard();
+
+        return Promise.all(['red', 'black'].map(firstColor => {
+            if (hasBallotDeck(rules, firstColor, length)) {
+                return null;
+            }
+
+            // Rooms created together share one build of each deck
+            const key = `${rules.id}:${firstColor}:${length}`;
+            if (!this.ballotJobs.has(key)) {
+                this.ballotJobs.set(key, this.run('buildBallotDeck', { board, variant: rules.id, firstColor, length })
+                    .then(deck => addBallotDeck(rules, firstColor, length, deck))
+                    .finally(() => this.ballotJobs.delete(key)));
+            }
+            return this.ballotJobs.get(key);
+        })).then(() => undefined);
+    }
+
+    /**
+     * Send a job to the thread
+     * @param {string} type - Job type, a key of JOB_HANDLERS
+     * @param {Object} data - Job input
+     * @returns {Promise<*>} The job's result
+     */
+    run(type, data) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextJobId++;
+            const worker = this.getWorker();
+            this.jobs.set(id, { resolve, reject });
+            worker.ref();
+            worker.postMessage({ id, type, data });
+        });
+    }
+
+    /**
+     * The search thread, started on first use and again after a crash
+     * @returns {Worker} The thread
+     */
+    getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+
+        const worker = new Worker(__filename);
+        worker.on('message', ({ id, result, error }) => {
+            const job = this.jobs.get(id);
+            if (!job) return;
+
+            this.jobs.delete(id);
+            // An idle search thread must not keep the process alive
+            if (this.jobs.size === 0) {
+                worker.unref();
+            }
+            if (error) {
+                job.reject(new Error(error));
+            } else {
+                job.resolve(result);
+            }
+        });
+        worker.on('error', error => this.failJobs(worker, error));
+        worker.on('exit', code => this.failJobs(worker, new Error(`Search worker stopped with exit code ${code}`)));
+
+        this.worker = worker;
+        return worker;
+    }
+
+    /**
+     * Fail the waiting jobs of a thread that died, so the next job starts a new one
+     */
+    failJobs(worker, error) {
+        if (this.worker !== worker) return;
+
+        console.error('Search worker failed:', error.message);
+        this.worker = null;
+        const jobs = [...this.jobs.values()];
+        this.jobs.clear();
+        jobs.forEach(job => job.reject(error));
+    }
+}
+
+// Work done on the thread, by job type
+const JOB_HANDLERS = {
+    // Only the board, the side to move and the rules are needed for a search from a whole turn
+    findBestMove: ({ board, currentPlayer, variant, options }) => findBestMove(
+        { board, currentPlayer, rules: getRuleSet(variant), mustCapture: false },
+        options
+    ),
+    // Analysis and mining yield between their searches, so searches for moves sent meanwhile are not held up
+    analyzeGame: record => analyzeRecord(record),
+    minePuzzles: record => mineRecord(record),
+    buildBallotDeck: ({ board, variant, firstColor, length }) => buildBallotDeck(board, getRuleSet(variant), firstColor, length)
+};
+
+if (!isMainThread) {
+    parentPort.on('message', async ({ id, type, data }) => {
+        try {
+            const result = await JOB_HANDLERS[type](data);
+            parentPort.postMessage({ id, result });
+        } catch (error) {
+            parentPort.postMessage({ id, error: error.message });
+        }
+    });
+}
+
+module.exports = SearchWorker;
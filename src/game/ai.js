@@ -0,0 +1,291 @@
+/**
+ * Computer Opponent
+ *
+ * Alpha-beta search over whole turns on the bitboard move generator, which
+ * follows the room's rule set exactly. The chosen turn is returned as a path
+ * that CheckersGame.makeMovePath accepts.
+ *
+ * A search is synchronous and takes up to its whole time budget (two seconds
+ * on hard), so the server runs its searches through SearchWorker instead of
+ * calling findBestMove on the event loop.
+ */
+
+const bitboard = require('./bitboard');
+const { getTablebase, probe } = require('./tablebase');
+
+const DIFFICULTIES = {
+    easy: { name: 'Easy', depth: 2, timeLimit: 300, randomness: 80 },
+    medium: { name: 'Medium', depth: 5, timeLimit: 1000, randomness: 15 },
+    hard: { name: 'Hard', depth: 20, timeLimit: 2000, randomness: 0 }
+};
+
+const WIN_SCORE = 100000;
+const MAN_VALUE = 100;
+// Flying kings sweep whole diagonals and are worth far more than short kings
+const KING_VALUE = 160;
+const FLYING_KING_VALUE = 350;
+const ADVANCE_BONUS = 3;
+const BACK_RANK_BONUS = 8;
+const MOBILITY_BONUS = 2;
+// Captures are searched past the nominal depth, but never deeper than this
+const MAX_CAPTURE_EXTENSION = 10;
+const TIME_CHECK_INTERVAL = 1024;
+
+const SEARCH_TIMEOUT = Symbol('search timeout');
+
+/**
+ * Static evaluation of a position
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set of the game
+ * @param {string} color - Side whose point of view is scored
+ * @returns {number} Score in hundredths of a man, positive when color is better
+ */
+function evaluateBoard(position, rules, color) {
+    const { size, squareCount, masks, coords } = bitboard.getGeometry(position.size);
+    const kingValue = rules.flyingKings ? FLYING_KING_VALUE : KING_VALUE;
+    let score = 0;
+
+    for (let square = 0; square < squareCount; square++) {
+        const mask = masks[square];
+        const pieceColor = position.red & mask ? 'red' : position.black & mask ? 'black' : null;
+        if (!pieceColor) continue;
+
+        let value;
+        if (position.kings & mask) {
+            value = kingValue;
+        } else {
+            const backRow = pieceColor === 'red' ? 0 : size - 1;
+            const row = coords[square].row;
+            value = MAN_VALUE + Math.abs(row - backRow) * ADVANCE_BONUS + (row === backRow ? BACK_RANK_BONUS : 0);
+        }
+        score += pieceColor === color ? value : -value;
+    }
+
+    const opponent = color === 'red' ? 'black' : 'red';
+    const ownMoves = bitboard.generateMoves({ ...position, sideToMove: color }, rules).length;
+    const opponentMoves = bitboard.generateMoves({ ...position, sideToMove: opponent }, rules).length;
+    score += (ownMoves - opponentMoves) * MOBILITY_BONUS;
+
+    // Giveaway rewards shedding pieces and running out of moves
+    return rules.giveaway ? -score : score;
+}
+
+/**
+ * Order moves so the likeliest good ones are searched first
+ * @param {Array<Object>} moves - Bitboard moves to order in place
+ * @returns {Array<Object>} The ordered moves
+ */
+function orderMoves(moves) {
+    const priority = move => move.captured.length * 10 + (move.promotes ? 5 : 0);
+    return moves.sort((a, b) => priority(b) - priority(a));
+}
+
+/**
+ * Negamax alpha-beta search
+ * @param {Object} context - Search context (rules, deadline, node count)
+ * @param {Object} position - Bitboard position to search
+ * @param {number} depth - Remaining depth in turns
+ * @param {number} alpha - Lower bound
+ * @param {number} beta - Upper bound
+ * @param {number} ply - Distance from the root
+ * @returns {number} Score from the side to move's point of view
+ */
+function search(context, position, depth, alpha, beta, ply) {
+    context.nodes++;
+    if (context.deadline && context.nodes % TIME_CHECK_INTERVAL === 0 && Date.now() > context.deadline) {
+        throw SEARCH_TIMEOUT;
+    }
+
+    // Endgames in the tablebase are known exactly, down to the distance to the end
+    if (context.tablebase) {
+        const known = probe(context.tablebase, position);
+        if (known) {
+            const score = WIN_SCORE - ply - known.plies;
+            return known.outcome === 'draw' ? 0 : known.outcome === 'win' ? score : -score;
+        }
+    }
+
+    const { rules } = context;
+    const moves = bitboard.generateMoves(position, rules);
+
+    // No move left loses (or wins at giveaway); prefer the quickest win
+    if (moves.length === 0) {
+        const score = WIN_SCORE - ply;
+        return rules.giveaway ? score : -score;
+    }
+
+    // Keep searching forced captures so the horizon never splits an exchange
+    const isCapture = moves[0].captured.length > 0;
+    if (depth <= 0 && (!isCapture || depth <= -MAX_CAPTURE_EXTENSION)) {
+        return evaluateBoard(position, rules, position.sideToMove);
+    }
+
+    let best = -Infinity;
+    for (const move of orderMoves(moves)) {
+        const score = -search(context, bitboard.makeMove(position, move), depth - 1, -beta, -alpha, ply + 1);
+        if (score > best) {
+            best = score;
+        }
+        if (score > alpha) {
+            alpha = score;
+        }
+        if (alpha >= beta) {
+            break;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Score every root move at a fixed depth
+ * @param {Object} context - Search context
+ * @param {Array<Object>} moves - Root moves, best first
+ * @param {number} depth - Depth in turns
+ * @param {boolean} exact - Whether every move needs an exact score (for randomized play)
+ * @returns {Array<Object>} Moves with their scores, best first
+ */
+function searchRoot(context, moves, depth, exact) {
+    let alpha = -Infinity;
+    const scored = [];
+
+    for (const move of moves) {
+        const child = bitboard.makeMove(context.position, move);
+        const score = -search(context, child, depth - 1, -Infinity, exact ? Infinity : -alpha, 1);
+        scored.push({ move, score });
+        if (score > alpha) {
+            alpha = score;
+        }
+    }
+
+    return scored.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Iterative deepening: keep the last depth that finished inside the budget
+ * @param {Object} context - Search context
+ * @param {Array<Object>} moves - Root moves
+ * @param {number} maxDepth - Deepest iteration to try
+ * @param {boolean} exact - Whether every move needs an exact score
+ * @returns {Object} { scored, depth } with the moves best first
+ */
+function deepen(context, moves, maxDepth, exact) {
+    let scored = moves.map(move => ({ move, score: 0 }));
+    let completedDepth = 0;
+
+    for (let current = 1; current <= maxDepth; current++) {
+        try {
+            scored = searchRoot(context, moves, current, exact);
+        } catch (error) {
+            if (error !== SEARCH_TIMEOUT) throw error;
+            break;
+        }
+        completedDepth = current;
+        moves = scored.map(entry => entry.move);
+        // A forced win or loss will not change with more depth
+        if (Math.abs(scored[0].score) > WIN_SCORE / 2) {
+            break;
+        }
+    }
+
+    return { scored, depth: completedDepth };
+}
+
+/**
+ * Pick the best turn in the current position
+ * @param {CheckersGame} game - Game to move in (the side to move is searched)
+ * @param {Object} options - Search options
+ * @param {string} options.difficulty - 'easy', 'medium' or 'hard' (default: medium)
+ * @param {number} options.depth - Override the difficulty's depth
+ * @param {number} options.timeLimit - Override the difficulty's time budget in milliseconds
+ * @param {boolean} options.analysis - Also search a forced move so its score is meaningful
+ * @returns {Object|null} { path, capture, score, depth, nodes } or null when there is no legal move
+ */
+function findBestMove(game, { difficulty = 'medium', depth, timeLimit, analysis = false } = {}) {
+    const settings = DIFFICULTIES[difficulty] || DIFFICULTIES.medium;
+    const maxDepth = depth || settings.depth;
+    const budget = timeLimit !== undefined ? timeLimit : settings.timeLimit;
+
+    // Mid-capture the jumped pieces are already off the board, so finish the capture the game allows
+    if (game.mustCapture) {
+        const [path] = game.getLegalTurns();
+        return path
+            ? { path, capture: true, score: evaluatePosition(game, game.currentPlayer), depth: 0, nodes: 0 }
+            : null;
+    }
+
+    const position = bitboard.fromBoard(game.board, game.currentPlayer);
+    const moves = orderMoves(bitboard.generateMoves(position, game.rules));
+    if (moves.length === 0) {
+        return null;
+    }
+
+    const context = {
+        rules: game.rules,
+        tablebase: getTablebase(game.rules),
+        position,
+        nodes: 0,
+        deadline: budget ? Date.now() + budget : null
+    };
+    const { scored, depth: completedDepth } = moves.length > 1 || analysis
+        ? deepen(context, moves, maxDepth, settings.randomness > 0)
+        : { scored: [{ move: moves[0], score: 0 }], depth: 0 };
+
+    // Weaker levels pick at random among moves close to the best one
+    let choice = scored[0];
+    if (settings.randomness > 0) {
+        const candidates = scored.filter(entry => entry.score >= scored[0].score - settings.randomness);
+        choice = candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    return {
+        path: bitboard.toPath(choice.move, position.size),
+        capture: choice.move.captured.length > 0,
+        score: choice.score,
+        depth: completedDepth,
+        nodes: context.nodes
+    };
+}
+
+/**
+ * Score every legal turn of a position exactly, for analysis
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @param {Object} options - Search options
+ * @param {number} options.depth - Deepest iteration to try
+ * @param {number} options.timeLimit - Time budget in milliseconds
+ * @returns {Object} { scored: [{ move, score }], depth } best first, scored for the side to move
+ */
+function scoreMoves(position, rules, { depth = DIFFICULTIES.hard.depth, timeLimit = DIFFICULTIES.hard.timeLimit } = {}) {
+    const moves = orderMoves(bitboard.generateMoves(position, rules));
+    if (moves.length === 0) {
+        return { scored: [], depth: 0 };
+    }
+
+    const context = {
+        rules,
+        tablebase: getTablebase(rules),
+        position,
+        nodes: 0,
+        deadline: timeLimit ? Date.now() + timeLimit : null
+    };
+    return deepen(context, moves, depth, true);
+}
+
+/**
+ * Static evaluation of a game's position
+ * @param {CheckersGame} game - Game to evaluate
+ * @param {string} color - Side whose point of view is scored
+ * @returns {number} Score in hundredths of a man, positive when color is better
+ */
+function evaluatePosition(game, color) {
+    return evaluateBoard(bitboard.fromBoard(game.board, game.currentPlayer), game.rules, color);
+}
+
+module.exports = {
+    DIFFICULTIES,
+    WIN_SCORE,
+    findBestMove,
+    scoreMoves,
+    evaluatePosition
+};
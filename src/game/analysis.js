@@ -0,0 +1,140 @@
+/**
+ * Post-game Analysis
+ *
+ * Replays a game's recorded moves on bitboards and scores every legal turn in
+ * each position, so the move actually played can be labelled by how much it
+ * gave away compared with the engine's choice. A long game takes tens of
+ * seconds of search, so the server hands it to the search worker; the analysis
+ * yields between positions, so moves searched meanwhile are not held up.
+ */
+
+const bitboard = require('./bitboard');
+const { scoreMoves, WIN_SCORE } = require('./ai');
+const { formatMove } = require('./notation');
+const { recordGame, isUnfinishedTurn } = require('./puzzleMiner');
+const { getRuleSet } = require('./rules');
+
+// Score given away (hundredths of a man) from which a move earns each label
+const LABEL_THRESHOLDS = [
+    { label: 'blunder', loss: 200 },
+    { label: 'mistake', loss: 80 },
+    { label: 'inaccuracy', loss: 30 }
+];
+const MAX_ALTERNATIVES = 3;
+const POSITION_DEPTH = 8;
+const POSITION_TIME_LIMIT = 200;
+
+/**
+ * Label a move by the score it gave away
+ * @param {number} loss - Score lost against the best move, from the mover's point of view
+ * @returns {string} 'best', 'inaccuracy', 'mistake' or 'blunder'
+ */
+function classifyLoss(loss) {
+    const threshold = LABEL_THRESHOLDS.find(entry => loss >= entry.loss);
+    return threshold ? threshold.label : 'best';
+}
+
+/**
+ * Describe a red-point-of-view score for people
+ * @param {number} score - Score in hundredths of a man, positive when red is better
+ * @returns {string} e.g. "+1.25", "-0.30" or "Red wins in 4"
+ */
+function describeScore(score) {
+    if (Math.abs(score) > WIN_SCORE / 2) {
+        // Decisive scores count plies to the end; the winner plays every other one
+        const moves = Math.ceil((WIN_SCORE - Math.abs(score)) / 2);
+        return `${score > 0 ? 'Red' : 'Black'} wins in ${moves}`;
+    }
+    return `${score > 0 ? '+' : ''}${(score / 100).toFixed(2)}`;
+}
+
+/**
+ * Write a bitboard move in standard notation
+ * @param {Object} move - Move from bitboard.generateMoves
+ * @returns {string} e.g. "11-15" or "22x15x8"
+ */
+function notate(move) {
+    return formatMove(move.path.map(square => square + 1), move.captured.length > 0);
+}
+
+/**
+ * Analyse every move of a game
+ * @param {CheckersGame} game - Game to analyse; its moves are copied before the first await
+ * @param {Object} options - Search options, as for analyzeRecord
+ * @returns {Promise<Object>} { moves, summary } with scores from red's point of view
+ */
+function analyzeGame(game, options) {
+    return analyzeRecord(recordGame(game), options);
+}
+
+/**
+ * Analyse every move of a game copied with puzzleMiner.recordGame
+ * @param {Object} record - { variant, board, firstColor, history }
+ * @param {Object} options - Search options
+ * @param {number} options.depth - Deepest search per position
+ * @param {number} options.timeLimit - Time budget per position in milliseconds
+ * @returns {Promise<Object>} { moves, summary } with scores from red's point of view
+ */
+async function analyzeRecord({ variant, board, firstColor, history }, { depth = POSITION_DEPTH, timeLimit = POSITION_TIME_LIMIT } = {}) {
+    const rules = getRuleSet(variant);
+    let position = bitboard.fromBoard(board, firstColor);
+
+    const moves = [];
+    const summary = {
+        red: { best: 0, inaccuracy: 0, mistake: 0, blunder: 0 },
+        black: { best: 0, inaccuracy: 0, mistake: 0, blunder: 0 }
+    };
+
+    for (const recorded of history) {
+        // Let other requests and socket events run between positions
+        await new Promise(resolve => setImmediate(resolve));
+
+        const { scored, depth: searchedDepth } = scoreMoves(position, rules, { depth, timeLimit });
+        const played = scored.find(entry => entry.move.path.length === recorded.squares.length &&
+            entry.move.path.every((square, index) => square + 1 === recorded.squares[index]));
+        if (!played) {
+            // A game that stopped in the middle of a multi-jump ends on part of a turn; leave it out
+            if (recorded === history[history.length - 1] && isUnfinishedTurn(scored.map(entry => entry.move), recorded.squares)) {
+                break;
+            }
+            throw new Error(`Move ${recorded.number} (${formatMove(recorded.squares, false)}) could not be replayed`);
+        }
+
+        const toRed = score => recorded.color === 'red' ? score : -score;
+        const best = scored[0];
+        const loss = best.score - played.score;
+        const label = classifyLoss(loss);
+
+        const alternatives = label === 'best' ? [] : scored
+            .filter(entry => entry.score > played.score)
+            .slice(0, MAX_ALTERNATIVES)
+            .map(entry => ({ notation: notate(entry.move), score: toRed(entry.score), evaluation: describeScore(toRed(entry.score)) }));
+
+        moves.push({
+            number: recorded.number,
+            color: recorded.color,
+            notation: notate(played.move),
+            label,
+            forced: scored.length === 1,
+            loss,
+            score: toRed(played.score),
+            evaluation: describeScore(toRed(played.score)),
+            bestMove: notate(best.move),
+            bestScore: toRed(best.score),
+            depth: searchedDepth,
+            alternatives
+        });
+        summary[recorded.color][label]++;
+
+        position = bitboard.makeMove(position, played.move);
+    }
+
+    return { moves, summary };
+}
+
+module.exports = {
+    analyzeGame,
+    analyzeRecord,
+    classifyLoss,
+    describeScore
+};
@@ -0,0 +1,393 @@
+/**
+ * Bitboard Move Generator
+ *
+ * A compact position representation for search: one bit per playable square
+ * (numbered like PDN squares, minus one) in three BigInt bitboards for red
+ * pieces, black pieces and kings. Move generation walks precomputed diagonal
+ * rays, so it allocates nothing per square scanned and works for any board
+ * size a rule set uses.
+ *
+ * Moves are whole turns, { from, to, path, captured, promotes }, with every
+ * square given as a bit index. Capture sequences follow the same rules as
+ * CheckersGame: jumped pieces stay on the board until the turn ends and may
+ * not be jumped twice, and majority/quality capture is applied when the rule
+ * set asks for it.
+ */
+
+const { toSquareNumber, fromSquareNumber } = require('./notation');
+
+const DIRECTIONS = [[-1, -1], [-1, 1], [1, -1], [1, 1]];
+
+const geometries = new Map();
+
+/**
+ * Precompute square masks and diagonal rays for a board size
+ * @param {number} size - Rows/columns on the board
+ * @returns {Object} { size, squareCount, masks, rays, coords, promotionMasks }
+ */
+function getGeometry(size) {
+    if (geometries.has(size)) {
+        return geometries.get(size);
+    }
+
+    const squareCount = size * size / 2;
+    const masks = [];
+    const coords = [];
+    const rays = [];
+
+    for (let index = 0; index < squareCount; index++) {
+        masks.push(1n << BigInt(index));
+        coords.push(fromSquareNumber(index + 1, size));
+    }
+
+    // rays[index][direction] lists the squares from index to the edge
+    for (let index = 0; index < squareCount; index++) {
+        const { row, col } = coords[index];
+        rays.push(DIRECTIONS.map(([dRow, dCol]) => {
+            const ray = [];
+            let r = row + dRow;
+            let c = col + dCol;
+            while (r >= 0 && r < size && c >= 0 && c < size) {
+                ray.push(toSquareNumber(r, c, size) - 1);
+                r += dRow;
+                c += dCol;
+            }
+            return ray;
+        }));
+    }
+
+    // Red crowns on the last row, black on the first
+    const rowMask = row => masks
+        .filter((mask, index) => coords[index].row === row)
+        .reduce((all, mask) => all | mask, 0n);
+    const promotionMasks = { red: rowMask(size - 1), black: rowMask(0) };
+
+    const geometry = { size, squareCount, masks, rays, coords, promotionMasks };
+    geometries.set(size, geometry);
+    return geometry;
+}
+
+/**
+ * Build a bitboard position from a CheckersGame board
+ * @param {Array<Array<Object|null>>} board - Board rows as used by CheckersGame
+ * @param {string} sideToMove - 'red' or 'black'
+ * @returns {Object} { size, red, black, kings, sideToMove }
+ */
+function fromBoard(board, sideToMove) {
+    const size = board.length;
+    const { squareCount, masks, coords } = getGeometry(size);
+    const position = { size, red: 0n, black: 0n, kings: 0n, sideToMove };
+
+    for (let index = 0; index < squareCount; index++) {
+        const piece = board[coords[index].row][coords[index].col];
+        if (!piece) continue;
+
+        position[piece.color] |= masks[index];
+        if (piece.king) {
+            position.kings |= masks[index];
+        }
+    }
+
+    return position;
+}
+
+/**
+ * Convert a bitboard position back into a CheckersGame board
+ * @param {Object} position - Bitboard position
+ * @returns {Array<Array<Object|null>>} Board rows as used by CheckersGame
+ */
+function toBoard(position) {
+    const { size, squareCount, masks, coords } = getGeometry(position.size);
+    const board = Array(size).fill(null).map(() => Array(size).fill(null));
+
+    for (let index = 0; index < squareCount; index++) {
+        const mask = masks[index];
+        const color = position.red & mask ? 'red' : position.black & mask ? 'black' : null;
+        if (color) {
+            board[coords[index].row][coords[index].col] = { color, king: (position.kings & mask) !== 0n };
+        }
+    }
+
+    return board;
+}
+
+/**
+ * Count the set bits of a bitboard
+ * @param {bigint} bits - Bitboard
+ * @returns {number} Number of set bits
+ */
+function popCount(bits) {
+    let count = 0;
+    while (bits) {
+        bits &= bits - 1n;
+        count++;
+    }
+    return count;
+}
+
+/**
+ * Collect every capture sequence of one piece
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @param {number} from - Square index of the capturing piece
+ * @param {Array<Object>} sequences - Output list of whole-turn captures
+ */
+function collectCaptures(position, rules, from, sequences) {
+    const { masks, rays, promotionMasks } = getGeometry(position.size);
+    const color = position.sideToMove;
+    const opponents = color === 'red' ? position.black : position.red;
+    const startsAsKing = (position.kings & masks[from]) !== 0n;
+    // The capturing piece leaves its square, so it never blocks itself
+    const occupied = (position.red | position.black) & ~masks[from];
+    const forward = color === 'red' ? 1 : -1;
+
+    const path = [from];
+    const captured = [];
+
+    const record = promotes => sequences.push({
+        from,
+        to: path[path.length - 1],
+        path: path.slice(),
+        captured: captured.slice(),
+        capturedKings: captured.map(index => (position.kings & masks[index]) !== 0n),
+        byKing: startsAsKing,
+        promotes
+    });
+
+    const explore = (square, isKing, jumped) => {
+        let extended = false;
+
+        for (let direction = 0; direction < 4; direction++) {
+            if (!isKing && !rules.menCaptureBackwards && DIRECTIONS[direction][0] !== forward) continue;
+
+            const ray = rays[square][direction];
+            let step = 0;
+            if (isKing && rules.flyingKings) {
+                while (step < ray.length && !(occupied & masks[ray[step]])) step++;
+            }
+            if (step >= ray.length - 1) continue;
+
+            const target = ray[step];
+            const targetMask = masks[target];
+            if (!(opponents & targetMask) || (jumped & targetMask)) continue;
+            if (!isKing && !rules.menCaptureKings && (position.kings & targetMask)) continue;
+
+            for (let landing = step + 1; landing < ray.length; landing++) {
+                const to = ray[landing];
+                if (occupied & masks[to]) break;
+
+                extended = true;
+                path.push(to);
+                captured.push(target);
+
+                const reachesPromotion = !isKing && (promotionMasks[color] & masks[to]) !== 0n;
+                const promotionRule = reachesPromotion ? rules.promotionMidCapture : null;
+                if (promotionRule === 'stop') {
+                    record(true);
+                } else {
+                    explore(to, isKing || promotionRule === 'continue', jumped | targetMask);
+                }
+
+                path.pop();
+                captured.pop();
+                if (!(isKing && rules.flyingKings)) break;
+            }
+        }
+
+        // A man crowned mid-capture ('continue') is already a king here
+        if (!extended && captured.length > 0) {
+            record(!startsAsKing && (isKing || (promotionMasks[color] & masks[square]) !== 0n));
+        }
+    };
+
+    explore(from, startsAsKing, 0n);
+}
+
+/**
+ * Rank two capture sequences under the rule set's precedence
+ * @param {Object} rules - Rule set
+ * @param {Object} a - First capture
+ * @param {Object} b - Second capture
+ * @returns {number} Positive when a must be preferred, negative for b, 0 when equal
+ */
+function compareCaptures(rules, a, b) {
+    if (a.captured.length !== b.captured.length) {
+        return a.captured.length - b.captured.length;
+    }
+    if (rules.capturePrecedence !== 'quality') {
+        return 0;
+    }
+
+    // Italian tie-breaks: capture with a king, then the most kings, then the earliest king
+    if (a.byKing !== b.byKing) {
+        return a.byKing ? 1 : -1;
+    }
+    const kingCount = capture => capture.capturedKings.filter(Boolean).length;
+    if (kingCount(a) !== kingCount(b)) {
+        return kingCount(a) - kingCount(b);
+    }
+    const firstKing = capture => {
+        const index = capture.capturedKings.indexOf(true);
+        return index === -1 ? capture.capturedKings.length : index;
+    };
+    return firstKing(b) - firstKing(a);
+}
+
+/**
+ * Generate every legal whole turn for the side to move
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @returns {Array<Object>} Moves as { from, to, path, captured, promotes }
+ */
+function generateMoves(position, rules) {
+    const { squareCount, masks, rays, promotionMasks } = getGeometry(position.size);
+    const color = position.sideToMove;
+    const own = position[color];
+    const occupied = position.red | position.black;
+
+    let captures = [];
+    for (let square = 0; square < squareCount; square++) {
+        if (own & masks[square]) {
+            collectCaptures(position, rules, square, captures);
+        }
+    }
+
+    if (captures.length > 0) {
+        if (rules.majorityCapture) {
+            let best = [];
+            for (const capture of captures) {
+                const comparison = best.length > 0 ? compareCaptures(rules, capture, best[0]) : 1;
+                if (comparison > 0) {
+                    best = [capture];
+                } else if (comparison === 0) {
+                    best.push(capture);
+                }
+            }
+            captures = best;
+        }
+        return captures;
+    }
+
+    const moves = [];
+    const forward = color === 'red' ? 1 : -1;
+    for (let square = 0; square < squareCount; square++) {
+        if (!(own & masks[square])) continue;
+
+        const isKing = (position.kings & masks[square]) !== 0n;
+        for (let direction = 0; direction < 4; direction++) {
+            if (!isKing && DIRECTIONS[direction][0] !== forward) continue;
+
+            for (const to of rays[square][direction]) {
+                if (occupied & masks[to]) break;
+                moves.push({
+                    from: square,
+                    to,
+                    path: [square, to],
+                    captured: [],
+                    promotes: !isKing && (promotionMasks[color] & masks[to]) !== 0n
+                });
+                if (!(isKing && rules.flyingKings)) break;
+            }
+        }
+    }
+
+    return moves;
+}
+
+/**
+ * Play a whole turn
+ * @param {Object} position - Bitboard position before the move
+ * @param {Object} move - Move from generateMoves
+ * @returns {Object} New position with the other side to move
+ */
+function makeMove(position, move) {
+    const { masks } = getGeometry(position.size);
+    const color = position.sideToMove;
+    const opponent = color === 'red' ? 'black' : 'red';
+    const fromMask = masks[move.from];
+    const toMask = masks[move.to];
+    const wasKing = (position.kings & fromMask) !== 0n;
+
+    let capturedMask = 0n;
+    for (const square of move.captured) {
+        capturedMask |= masks[square];
+    }
+
+    const next = { size: position.size, red: position.red, black: position.black, kings: position.kings, sideToMove: opponent };
+    next[color] = (next[color] & ~fromMask) | toMask;
+    next[opponent] &= ~capturedMask;
+    next.kings &= ~(capturedMask | fromMask);
+    if (wasKing || move.promotes) {
+        next.kings |= toMask;
+    }
+
+    return next;
+}
+
+/**
+ * Count the leaf positions of the move tree (perft)
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @param {number} depth - Number of whole turns to play
+ * @returns {number} Leaf node count
+ */
+function perft(position, rules, depth) {
+    if (depth === 0) return 1;
+
+    const moves = generateMoves(position, rules);
+    if (depth === 1) return moves.length;
+
+    let nodes = 0;
+    for (const move of moves) {
+        nodes += perft(makeMove(position, move), rules, depth - 1);
+    }
+    return nodes;
+}
+
+/**
+ * Perft split by root move
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @param {number} depth - Number of whole turns to play (at least 1)
+ * @returns {Array<Object>} One { move, nodes } entry per legal root move
+ */
+function divide(position, rules, depth) {
+    return generateMoves(position, rules).map(move => ({
+        move,
+        nodes: perft(makeMove(position, move), rules, depth - 1)
+    }));
+}
+
+/**
+ * Convert a move's squares into [row, col] pairs for CheckersGame.makeMovePath
+ * @param {Object} move - Move from generateMoves
+ * @param {number} size - Board size
+ * @returns {Array<Array<number>>} Path of [row, col] squares
+ */
+function toPath(move, size) {
+    const { coords } = getGeometry(size);
+    return move.path.map(square => [coords[square].row, coords[square].col]);
+}
+
+/**
+ * Count the pieces of one side
+ * @param {Object} position - Bitboard position
+ * @param {string} color - 'red' or 'black'
+ * @returns {number} Number of pieces
+ */
+function countPieces(position, color) {
+    return popCount(position[color]);
+}
+
+module.exports = {
+    getGeometry,
+    fromBoard,
+    toBoard,
+    popCount,
+    generateMoves,
+    makeMove,
+    perft,
+    divide,
+    toPath,
+    countPieces
+};
@@ -0,0 +1,311 @@
+/**
+ * DamExchange Protocol (DXP)
+ *
+ * Reads and writes the messages draughts engines exchange over TCP to play
+ * International draughts against each other. Every message is one line of
+ * fixed-width ASCII fields, introduced by a type letter and terminated by a
+ * NUL byte:
+ *
+ *   R  GAMEREQ  version, initiator name, follower color, time, moves, position
+ *   A  GAMEACC  follower name, acceptance code
+ *   M  MOVE     time, from, to, captured count, captured squares
+ *   E  GAMEEND  reason, stop code
+ *   B  BACKREQ  move number, color to move
+ *   K  BACKACC  acceptance code
+ *   C  CHAT     free text
+ *
+ * DXP colors are White ("W", squares 31-50, moves first) and Black ("Z" for
+ * zwart, squares 1-20). On our board those are black and red.
+ */
+
+const bitboard = require('./bitboard');
+const { toSquareNumber, fromSquareNumber } = require('./notation');
+
+const MESSAGE_TERMINATOR = '\0';
+const PROTOCOL_VERSION = '01';
+const NAME_LENGTH = 32;
+const BOARD_SQUARES = 50;
+
+const DXP_TO_COLOR = { W: 'black', Z: 'red' };
+const COLOR_TO_DXP = { black: 'W', red: 'Z' };
+// Piece letters of a GAMEREQ position: e(mpty), w(hite) and z(wart), upper case for kings
+const PIECE_LETTERS = { w: { color: 'black', king: false }, z: { color: 'red', king: false }, W: { color: 'black', king: true }, Z: { color: 'red', king: true } };
+// White moves first from the initial position
+const INITIAL_FEN = 'W:W31-50:B1-20';
+
+const ACCEPT_CODES = { accepted: '0', color: '1', time: '2', position: '3', refused: '9' };
+const END_REASONS = { unknown: '0', loss: '1', draw: '2', win: '3' };
+const STOP_CODES = { continue: '0', stop: '1' };
+const BACK_CODES = { accepted: '0', unsupported: '1', declined: '2' };
+
+/**
+ * Left-pad a number with zeros to a fixed width
+ * @param {number} value - Non-negative whole number
+ * @param {number} width - Field width
+ * @returns {string} Zero-padded digits
+ */
+function pad(value, width) {
+    return String(Math.max(0, Math.round(value))).padStart(width, '0').slice(-width);
+}
+
+/**
+ * Format a name into its fixed-width field
+ * @param {string} name - Player or engine name
+ * @returns {string} Name cut or padded with spaces to 32 characters
+ */
+function formatName(name) {
+    return String(name).replace(/[^\x20-\x7e]/g, '').slice(0, NAME_LENGTH).padEnd(NAME_LENGTH, ' ');
+}
+
+/**
+ * Write a GAMEREQ message
+ * @param {Object} request - Request fields
+ * @param {string} request.name - Initiator name
+ * @param {string} request.followerColor - Color the follower plays ('red' or 'black')
+ * @param {number} request.thinkingTime - Minutes of thinking time per side
+ * @param {number} request.moveCount - Moves to play within that time
+ * @param {Object} request.position - Optional { board, currentPlayer } instead of the initial position
+ * @returns {string} Message without its terminator
+ */
+function formatGameRequest({ name, followerColor, thinkingTime = 0, moveCount = 0, position = null }) {
+    let start = 'A';
+    if (position) {
+        start = 'B' + COLOR_TO_DXP[position.currentPlayer];
+        for (let square = 1; square <= BOARD_SQUARES; square++) {
+            const { row, col } = fromSquareNumber(square, 10);
+            const piece = position.board[row][col];
+            const letter = !piece ? 'e' : piece.color === 'black' ? 'w' : 'z';
+            start += piece && piece.king ? letter.toUpperCase() : letter;
+        }
+    }
+    return `R${PROTOCOL_VERSION}${formatName(name)}${COLOR_TO_DXP[followerColor]}${pad(thinkingTime, 4)}${pad(moveCount, 4)}${start}`;
+}
+
+/**
+ * Write a GAMEACC message
+ * @param {string} name - Follower name
+ * @param {string} code - One of ACCEPT_CODES
+ * @returns {string} Message without its terminator
+ */
+function formatGameAccept(name, code) {
+    return `A${formatName(name)}${code}`;
+}
+
+/**
+ * Write a MOVE message
+ * @param {Object} move - { from, to, captured } in square numbers
+ * @param {number} seconds - Time spent on the move
+ * @returns {string} Message without its terminator
+ */
+function formatMoveMessage({ from, to, captured }, seconds = 0) {
+    return `M${pad(seconds, 4)}${pad(from, 2)}${pad(to, 2)}${pad(captured.length, 2)}${captured.map(square => pad(square, 2)).join('')}`;
+}
+
+/**
+ * Write a GAMEEND message
+ * @param {string} reason - One of END_REASONS, from the sender's point of view
+ * @param {string} stop - One of STOP_CODES
+ * @returns {string} Message without its terminator
+ */
+function formatGameEnd(reason, stop = STOP_CODES.continue) {
+    return `E${reason}${stop}`;
+}
+
+/**
+ * Write a BACKREQ message
+ * @param {number} moveNumber - Number of the move to go back to
+ * @param {string} color - Side to move in that position ('red' or 'black')
+ * @returns {string} Message without its terminator
+ */
+function formatBackRequest(moveNumber, color) {
+    return `B${pad(moveNumber, 4)}${COLOR_TO_DXP[color]}`;
+}
+
+/**
+ * Write a BACKACC message
+ * @param {string} code - One of BACK_CODES
+ * @returns {string} Message without its terminator
+ */
+function formatBackAccept(code) {
+    return `K${code}`;
+}
+
+/**
+ * Write a CHAT message
+ * @param {string} text - Message text
+ * @returns {string} Message without its terminator
+ */
+function formatChat(text) {
+    return `C${String(text).replace(/\0/g, '')}`;
+}
+
+/**
+ * Read a GAMEREQ starting position as FEN
+ * @param {string} field - Position field: "A" or "B" followed by the side to move and 50 squares
+ * @returns {Object} { valid: true, fen } or { valid: false, reason }
+ */
+function parseStartPosition(field) {
+    if (field === 'A') {
+        return { valid: true, fen: INITIAL_FEN };
+    }
+
+    const currentPlayer = DXP_TO_COLOR[field.charAt(1)];
+    const squares = field.slice(2);
+    if (field.charAt(0) !== 'B' || !currentPlayer || squares.length !== BOARD_SQUARES) {
+        return { valid: false, reason: 'Invalid starting position' };
+    }
+
+    const lists = { black: [], red: [] };
+    for (let index = 0; index < BOARD_SQUARES; index++) {
+        const letter = squares.charAt(index);
+        if (letter === 'e') continue;
+        const piece = PIECE_LETTERS[letter];
+        if (!piece) {
+            return { valid: false, reason: `Invalid piece "${letter}" in starting position` };
+        }
+        lists[piece.color].push(`${piece.king ? 'K' : ''}${index + 1}`);
+    }
+    // FEN calls the side on squares 1-20 Black ("B") where DXP uses "Z"
+    const sideToMove = currentPlayer === 'red' ? 'B' : 'W';
+    return { valid: true, fen: `${sideToMove}:W${lists.black.join(',')}:B${lists.red.join(',')}` };
+}
+
+/**
+ * Parse one DXP message
+ * @param {string} text - Message without its terminator
+ * @returns {Object} { valid: true, type, ...fields } or { valid: false, reason }
+ */
+function parseMessage(text) {
+    const body = text.slice(1);
+    const number = (start, width) => {
+        const digits = body.substr(start, width);
+        return /^\d+$/.test(digits) && digits.length === width ? parseInt(digits, 10) : NaN;
+    };
+
+    switch (text.charAt(0)) {
+        case 'R': {
+            const followerColor = DXP_TO_COLOR[body.charAt(2 + NAME_LENGTH)];
+            const thinkingTime = number(3 + NAME_LENGTH, 4);
+            const moveCount = number(7 + NAME_LENGTH, 4);
+            if (!followerColor || Number.isNaN(thinkingTime) || Number.isNaN(moveCount)) {
+                return { valid: false, reason: 'Malformed GAMEREQ' };
+            }
+            const position = parseStartPosition(body.slice(11 + NAME_LENGTH));
+            if (!position.valid) {
+                return position;
+            }
+            return {
+                valid: true,
+                type: 'GAMEREQ',
+                version: body.slice(0, 2),
+                name: body.slice(2, 2 + NAME_LENGTH).trim(),
+                followerColor,
+                thinkingTime,
+                moveCount,
+                fen: position.fen
+            };
+        }
+        case 'A':
+            if (body.length !== NAME_LENGTH + 1) {
+                return { valid: false, reason: 'Malformed GAMEACC' };
+            }
+            return { valid: true, type: 'GAMEACC', name: body.slice(0, NAME_LENGTH).trim(), code: body.charAt(NAME_LENGTH) };
+        case 'M': {
+            const seconds = number(0, 4);
+            const from = number(4, 2);
+            const to = number(6, 2);
+            const count = number(8, 2);
+            const captured = Array.from({ length: Number.isNaN(count) ? 0 : count }, (_, index) => number(10 + index * 2, 2));
+            if ([seconds, from, to, count, ...captured].some(Number.isNaN) || body.length !== 10 + count * 2) {
+                return { valid: false, reason: 'Malformed MOVE' };
+            }
+            return { valid: true, type: 'MOVE', seconds, from, to, captured };
+        }
+        case 'E':
+            if (body.length !== 2) {
+                return { valid: false, reason: 'Malformed GAMEEND' };
+            }
+            return { valid: true, type: 'GAMEEND', reason: body.charAt(0), stop: body.charAt(1) };
+        case 'B': {
+            const moveNumber = number(0, 4);
+            const color = DXP_TO_COLOR[body.charAt(4)];
+            if (Number.isNaN(moveNumber) || !color) {
+                return { valid: false, reason: 'Malformed BACKREQ' };
+            }
+            return { valid: true, type: 'BACKREQ', moveNumber, color };
+        }
+        case 'K':
+            if (body.length !== 1) {
+                return { valid: false, reason: 'Malformed BACKACC' };
+            }
+            return { valid: true, type: 'BACKACC', code: body };
+        case 'C':
+            return { valid: true, type: 'CHAT', text: body };
+        default:
+            return { valid: false, reason: `Unknown message type "${text.charAt(0)}"` };
+    }
+}
+
+/**
+ * Split a TCP stream into messages
+ * @param {string} buffer - Data received so far
+ * @returns {Object} { messages, rest } where rest is an unfinished message to keep
+ */
+function splitMessages(buffer) {
+    const parts = buffer.split(MESSAGE_TERMINATOR);
+    return { messages: parts.slice(0, -1), rest: parts[parts.length - 1] };
+}
+
+/**
+ * Describe a recorded turn the way a MOVE message does
+ * @param {Object} move - Entry of CheckersGame.moveHistory
+ * @param {number} boardSize - Board size
+ * @returns {Object} { from, to, captured } in square numbers
+ */
+function describeTurn(move, boardSize) {
+    return {
+        from: move.squares[0],
+        to: move.squares[move.squares.length - 1],
+        captured: move.legs
+            .filter(leg => leg.captured)
+            .map(leg => toSquareNumber(leg.captured.row, leg.captured.col, boardSize))
+    };
+}
+
+/**
+ * Find the legal turn a MOVE message describes. DXP only gives the end
+ * squares and the captured pieces, so the path is looked up.
+ * @param {CheckersGame} game - Game with the side to move on turn
+ * @param {Object} move - { from, to, captured } in square numbers
+ * @returns {Array<Array<number>>|null} Path for makeMovePath, or null when no legal turn matches
+ */
+function findTurn(game, { from, to, captured }) {
+    const position = bitboard.fromBoard(game.board, game.currentPlayer);
+    const wanted = captured.slice().sort((a, b) => a - b).join(',');
+    const match = bitboard.generateMoves(position, game.rules).find(candidate =>
+        candidate.path[0] + 1 === from &&
+        candidate.path[candidate.path.length - 1] + 1 === to &&
+        candidate.captured.map(square => square + 1).sort((a, b) => a - b).join(',') === wanted);
+    return match ? bitboard.toPath(match, game.boardSize) : null;
+}
+
+module.exports = {
+    MESSAGE_TERMINATOR,
+    PROTOCOL_VERSION,
+    INITIAL_FEN,
+    ACCEPT_CODES,
+    END_REASONS,
+    STOP_CODES,
+    BACK_CODES,
+    formatGameRequest,
+    formatGameAccept,
+    formatMoveMessage,
+    formatGameEnd,
+    formatBackRequest,
+    formatBackAccept,
+    formatChat,
+    parseMessage,
+    splitMessages,
+    describeTurn,
+    findTurn
+};
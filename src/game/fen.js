@@ -0,0 +1,142 @@
+/**
+ * Draughts FEN helpers
+ *
+ * Reads and writes positions in the PDN flavour of FEN, e.g.
+ * "B:W21,22,23,K30:B1,2,3,K9". The leading letter is the side to move,
+ * followed by the white and black piece lists; a "K" prefix marks a king and
+ * "1-12" style ranges are accepted when parsing.
+ *
+ * PDN follows draughts convention where Black owns squares 1-12 and moves
+ * first. On our board that side is red, so red maps to "B" and black to "W".
+ */
+
+const { toSquareNumber, fromSquareNumber } = require('./notation');
+
+const FEN_TO_COLOR = { B: 'red', W: 'black' };
+const COLOR_TO_FEN = { red: 'B', black: 'W' };
+
+/**
+ * Serialize a board and side to move as a FEN string
+ * @param {Array<Array<Object|null>>} board - Board rows as used by CheckersGame
+ * @param {string} currentPlayer - Color to move ('red' or 'black')
+ * @returns {string} FEN string
+ */
+function toFen(board, currentPlayer) {
+    const boardSize = board.length;
+    const pieces = { red: [], black: [] };
+
+    for (let row = 0; row < boardSize; row++) {
+        for (let col = 0; col < boardSize; col++) {
+            const piece = board[row][col];
+            if (piece) {
+                pieces[piece.color].push({ square: toSquareNumber(row, col, boardSize), king: piece.king });
+            }
+        }
+    }
+
+    const list = color => pieces[color]
+        .sort((a, b) => a.square - b.square)
+        .map(({ square, king }) => `${king ? 'K' : ''}${square}`)
+        .join(',');
+
+    return `${COLOR_TO_FEN[currentPlayer]}:W${list('black')}:B${list('red')}`;
+}
+
+/**
+ * Parse a FEN string into a board and side to move
+ * @param {string} fen - FEN string
+ * @param {number} boardSize - Number of rows/columns on the board (default: 8)
+ * @returns {Object} { valid: true, board, currentPlayer } or { valid: false, reason }
+ */
+function parseFen(fen, boardSize = 8) {
+    if (typeof fen !== 'string' || fen.trim() === '') {
+        return { valid: false, reason: 'FEN must be a non-empty string' };
+    }
+
+    // Tolerate a trailing period and whitespace as found in some PDN files
+    const fields = fen.replace(/\s+/g, '').replace(/\.$/, '').split(':');
+    const currentPlayer = FEN_TO_COLOR[fields[0].toUpperCase()];
+    if (!currentPlayer) {
+        return { valid: false, reason: 'FEN must start with the side to move (W or B)' };
+    }
+
+    const board = Array(boardSize).fill(null).map(() => Array(boardSize).fill(null));
+    const seenColors = new Set();
+
+    for (const field of fields.slice(1)) {
+        const color = FEN_TO_COLOR[field.charAt(0).toUpperCase()];
+        if (!color || seenColors.has(color)) {
+            return { valid: false, reason: `Invalid piece list "${field}"` };
+        }
+        seenColors.add(color);
+
+        const entries = field.slice(1).split(',').filter(entry => entry !== '');
+        for (const entry of entries) {
+            const match = /^(K?)(\d+)(?:-(\d+))?$/i.exec(entry);
+            if (!match) {
+                return { valid: false, reason: `Invalid square "${entry}"` };
+            }
+
+            const king = match[1] !== '';
+            const first = parseInt(match[2], 10);
+            const last = match[3] ? parseInt(match[3], 10) : first;
+
+            for (let square = first; square <= last; square++) {
+                const coords = fromSquareNumber(square, boardSize);
+                if (!coords) {
+                    return { valid: false, reason: `Square ${square} is off the board` };
+                }
+                if (board[coords.row][coords.col]) {
+                    return { valid: false, reason: `Square ${square} is listed twice` };
+                }
+                board[coords.row][coords.col] = { color, king };
+            }
+        }
+    }
+
+    const position = validatePosition(board);
+    if (!position.valid) {
+        return position;
+    }
+
+    return { valid: true, board, currentPlayer };
+}
+
+/**
+ * Reject positions that cannot arise in a game
+ * @param {Array<Array<Object|null>>} board - Board rows as used by CheckersGame
+ * @returns {Object} { valid: true } or { valid: false, reason }
+ */
+function validatePosition(board) {
+    const boardSize = board.length;
+    // Each side starts with every dark square of all rows but the middle two
+    const maxPieces = (boardSize / 2 - 1) * (boardSize / 2);
+    const counts = { red: 0, black: 0 };
+
+    for (let row = 0; row < boardSize; row++) {
+        for (let col = 0; col < boardSize; col++) {
+            const piece = board[row][col];
+            if (!piece) continue;
+
+            counts[piece.color]++;
+            const promotionRow = piece.color === 'red' ? boardSize - 1 : 0;
+            if (!piece.king && row === promotionRow) {
+                const square = toSquareNumber(row, col, boardSize);
+                return { valid: false, reason: `A ${piece.color} man on square ${square} should already be a king` };
+            }
+        }
+    }
+
+    for (const color of ['red', 'black']) {
+        if (counts[color] > maxPieces) {
+            return { valid: false, reason: `${color} has ${counts[color]} pieces, at most ${maxPieces} are allowed` };
+        }
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    toFen,
+    parseFen
+};
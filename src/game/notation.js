@@ -0,0 +1,66 @@
+/**
+ * Draughts notation helpers
+ *
+ * Converts between board coordinates and the standard square numbering used
+ * in draughts literature. Playable (dark) squares are numbered from the top
+ * left of the board, row by row, so on an 8x8 board red starts on 1-12 and
+ * black on 21-32.
+ */
+
+/**
+ * Convert a board coordinate to its square number
+ * @param {number} row - Board row (0 is the top row)
+ * @param {number} col - Board column
+ * @param {number} boardSize - Number of rows/columns on the board (default: 8)
+ * @returns {number|null} Square number, or null for light (unplayable) squares
+ */
+function toSquareNumber(row, col, boardSize = 8) {
+    if ((row + col) % 2 === 0) {
+        return null;
+    }
+    return row * (boardSize / 2) + Math.floor(col / 2) + 1;
+}
+
+/**
+ * Convert a square number back to its board coordinate
+ * @param {number} square - Square number (1-based)
+ * @param {number} boardSize - Number of rows/columns on the board (default: 8)
+ * @returns {{row: number, col: number}|null} Coordinate, or null if out of range
+ */
+function fromSquareNumber(square, boardSize = 8) {
+    const squaresPerRow = boardSize / 2;
+    if (!Number.isInteger(square) || square < 1 || square > squaresPerRow * boardSize) {
+        return null;
+    }
+
+    const index = square - 1;
+    const row = Math.floor(index / squaresPerRow);
+    const col = (index % squaresPerRow) * 2 + (row % 2 === 0 ? 1 : 0);
+    return { row, col };
+}
+
+/**
+ * Format a move as text, e.g. "11-15" or "22x15x8"
+ * @param {number[]} squares - Starting square followed by every landing square
+ * @param {boolean} isCapture - Whether the move jumps over pieces
+ * @returns {string} Move in standard notation
+ */
+function formatMove(squares, isCapture) {
+    return squares.join(isCapture ? 'x' : '-');
+}
+
+/**
+ * Read the squares of a move written in standard notation
+ * @param {string} text - Move such as "11-15" or "22x15x8"
+ * @returns {number[]} Starting square followed by every landing square
+ */
+function parseMove(text) {
+    return String(text).split(/[-x]/).map(square => parseInt(square, 10));
+}
+
+module.exports = {
+    toSquareNumber,
+    fromSquareNumber,
+    formatMove,
+    parseMove
+};
@@ -0,0 +1,191 @@
+/**
+ * Openings
+ *
+ * A small book of named American checkers lines for the computer, and the
+ * ballot decks tournaments draw from so games do not keep repeating the same
+ * few openings. A ballot deck holds every legal opening of a given length,
+ * minus the ones that simply lose material, which is how the traditional 2-
+ * and 3-move decks were drawn up. Screening a deck takes up to a second, so
+ * the server builds decks on the search worker and hands them to the cache
+ * here before the first ballot is drawn.
+ */
+
+const bitboard = require('./bitboard');
+const { scoreMoves } = require('./ai');
+const { formatMove } = require('./notation');
+
+// Lines in standard notation, from the side that owns squares 1-12 moving first
+const OPENING_BOOK = {
+    american: [
+        { name: 'Kelso', moves: ['10-15'] },
+        { name: 'Denny', moves: ['10-14'] },
+        { name: 'Edinburgh', moves: ['9-13'] },
+        { name: 'Double Corner', moves: ['9-14'] },
+        { name: 'Dundee', moves: ['12-16'] },
+        { name: 'Bristol', moves: ['11-16', '24-20', '16-19'] },
+        { name: 'Paisley', moves: ['11-16', '24-19'] },
+        { name: 'Bristol Cross', moves: ['11-16', '23-18'] },
+        { name: 'Switcher', moves: ['11-15', '21-17'] },
+        { name: 'Cross', moves: ['11-15', '23-18'] },
+        { name: 'Second Double Corner', moves: ['11-15', '24-19', '15x24', '28x19'] },
+        { name: 'Dyke', moves: ['11-15', '22-17', '15-19', '24x15', '10x19', '23x16', '12x19'] },
+        { name: 'Single Corner', moves: ['11-15', '22-18', '15x22', '25x18'] },
+        { name: 'Maid of the Mill', moves: ['11-15', '22-17', '8-11', '17-13', '15-18'] },
+        { name: 'Will o\' the Wisp', moves: ['11-15', '23-19', '9-13'] },
+        { name: 'Defiance', moves: ['11-15', '23-19', '9-14', '27-23'] },
+        { name: 'Fife', moves: ['11-15', '23-19', '9-14', '22-17', '5-9'] },
+        { name: 'Souter', moves: ['11-15', '23-19', '9-14', '22-17', '6-9'] },
+        { name: 'Alma', moves: ['11-15', '23-19', '8-11', '22-17', '3-8'] },
+        { name: 'Laird and Lady', moves: ['11-15', '23-19', '8-11', '22-17', '9-13', '17-14', '10x17', '21x14'] },
+        { name: 'Glasgow', moves: ['11-15', '23-19', '8-11', '22-17', '11-16', '24-20', '16x23', '27x18x11', '7x16'] },
+        { name: 'Old Fourteenth', moves: ['11-15', '23-19', '8-11', '22-17', '4-8'] },
+        { name: 'Ayrshire Lassie', moves: ['11-15', '24-20', '8-11', '28-24'] }
+    ]
+};
+
+// Ballot lengths a room may ask for
+const BALLOT_LENGTHS = [2, 3];
+// Openings further from level than this (hundredths of a man) give a man away and are barred
+const BALLOT_BALANCE_LIMIT = 60;
+// A shallow search is enough to see a lost man; captures are always searched to the end
+const BALLOT_SCREEN_DEPTH = 2;
+
+const ballotDecks = new Map();
+
+/**
+ * Cache key of a ballot deck
+ */
+function ballotDeckKey(rules, firstColor, length) {
+    return `${rules.id}:${firstColor}:${length}`;
+}
+
+/**
+ * Every acceptable opening of a given length
+ * @param {Array<Array<Object|null>>} board - Starting board
+ * @param {Object} rules - Rule set
+ * @param {string} firstColor - Side that plays the first ballot move
+ * @param {number} length - Number of moves in each opening
+ * @returns {Array<Array<Object>>} Openings as lists of bitboard moves
+ */
+function buildBallotDeck(board, rules, firstColor, length) {
+    // Openings that transpose into the same position are one ballot
+    const openings = new Map();
+    const walk = (position, moves) => {
+        if (moves.length === length) {
+            const positionKey = `${position.red}:${position.black}:${position.kings}`;
+            if (!openings.has(positionKey)) {
+                openings.set(positionKey, { position, moves });
+            }
+            return;
+        }
+        for (const move of bitboard.generateMoves(position, rules)) {
+            walk(bitboard.makeMove(position, move), moves.concat([move]));
+        }
+    };
+    walk(bitboard.fromBoard(board, firstColor), []);
+
+    const deck = [];
+    for (const { position, moves } of openings.values()) {
+        const { scored } = scoreMoves(position, rules, { depth: BALLOT_SCREEN_DEPTH, timeLimit: 0 });
+        if (scored.length > 0 && Math.abs(scored[0].score) <= BALLOT_BALANCE_LIMIT) {
+            deck.push(moves);
+        }
+    }
+    return deck;
+}
+
+/**
+ * Whether a ballot deck is already cached
+ * @param {Object} rules - Rule set
+ * @param {string} firstColor - Side that plays the first ballot move
+ * @param {number} length - Number of moves in each opening
+ * @returns {boolean} True if drawing from the deck needs no search
+ */
+function hasBallotDeck(rules, firstColor, length) {
+    return ballotDecks.has(ballotDeckKey(rules, firstColor, length));
+}
+
+/**
+ * Cache a deck built elsewhere, e.g. on the search worker
+ * @param {Object} rules - Rule set
+ * @param {string} firstColor - Side that plays the first ballot move
+ * @param {number} length - Number of moves in each opening
+ * @param {Array<Array<Object>>} deck - Deck from buildBallotDeck
+ */
+function addBallotDeck(rules, firstColor, length, deck) {
+    ballotDecks.set(ballotDeckKey(rules, firstColor, length), deck);
+}
+
+/**
+ * A cached ballot deck, built here when nothing has cached it yet
+ * @returns {Array<Array<Object>>} Openings as lists of bitboard moves
+ */
+function getBallotDeck(board, rules, firstColor, length) {
+    if (!hasBallotDeck(rules, firstColor, length)) {
+        addBallotDeck(rules, firstColor, length, buildBallotDeck(board, rules, firstColor, length));
+    }
+    return ballotDecks.get(ballotDeckKey(rules, firstColor, length));
+}
+
+/**
+ * Draw a random ballot opening
+ * @param {Array<Array<Object|null>>} board - Starting board
+ * @param {Object} rules - Rule set
+ * @param {string} firstColor - Side that plays the first ballot move
+ * @param {number} length - Number of moves in the opening (2 or 3)
+ * @returns {Array<Object>|null} Moves as { path, notation }, or null when the deck is empty
+ */
+function drawBallot(board, rules, firstColor, length) {
+    const deck = getBallotDeck(board, rules, firstColor, length);
+    if (deck.length === 0) {
+        return null;
+    }
+
+    const moves = deck[Math.floor(Math.random() * deck.length)];
+    return moves.map(move => ({
+        path: bitboard.toPath(move, rules.boardSize),
+        notation: formatMove(move.path.map(square => square + 1), move.captured.length > 0)
+    }));
+}
+
+/**
+ * Pick a book continuation for the side to move
+ * @param {CheckersGame} game - Game to move in
+ * @returns {Array<Array<number>>|null} Path for makeMovePath, or null when the game has left the book
+ */
+function getBookMove(game) {
+    const lines = OPENING_BOOK[game.rules.id];
+    // The book starts from the standard layout with the 1-12 side moving first
+    if (!lines || game.startPosition || game.mustCapture) {
+        return null;
+    }
+    const firstColor = game.moveHistory.length > 0 ? game.moveHistory[0].color : game.currentPlayer;
+    if (firstColor !== 'red') {
+        return null;
+    }
+
+    const played = game.moveHistory.map(move => move.notation);
+    const continuations = new Set(lines
+        .filter(line => line.moves.length > played.length && played.every((notation, index) => line.moves[index] === notation))
+        .map(line => line.moves[played.length]));
+    if (continuations.size === 0) {
+        return null;
+    }
+
+    const choices = Array.from(continuations);
+    const notation = choices[Math.floor(Math.random() * choices.length)];
+    const position = bitboard.fromBoard(game.board, game.currentPlayer);
+    const move = bitboard.generateMoves(position, game.rules)
+        .find(candidate => formatMove(candidate.path.map(square => square + 1), candidate.captured.length > 0) === notation);
+    return move ? bitboard.toPath(move, game.boardSize) : null;
+}
+
+module.exports = {
+    OPENING_BOOK,
+    BALLOT_LENGTHS,
+    buildBallotDeck,
+    hasBallotDeck,
+    addBallotDeck,
+    drawBallot,
+    getBookMove
+};
@@ -0,0 +1,258 @@
+/**
+ * Portable Draughts Notation (PDN)
+ *
+ * Exports a CheckersGame as PDN text and imports PDN by replaying every move
+ * through a fresh CheckersGame, so anything that loads is guaranteed legal.
+ */
+
+const CheckersGame = require('./CheckersGame');
+const { toFen, parseFen } = require('./fen');
+const { fromSquareNumber } = require('./notation');
+const { getRuleSet, getRuleSetByPdnGameType } = require('./rules');
+
+// Player ids used for the two seats of a replayed game
+const REPLAY_PLAYER_IDS = { red: 'pdn-red', black: 'pdn-black' };
+
+const RESULT_TOKENS = ['1-0', '0-1', '1/2-1/2', '2-0', '0-2', '1-1', '0-0', '*'];
+const MAX_LINE_LENGTH = 80;
+
+/**
+ * Format a date the way PDN expects it (YYYY.MM.DD)
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+function formatPdnDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+/**
+ * Describe a game's outcome as a PDN result token. Scores are written from
+ * the point of view of the side that owns squares 1-12 (red on our board).
+ * @param {CheckersGame} game - The game to describe
+ * @returns {string} PDN result token
+ */
+function getPdnResult(game) {
+    if (game.gameState !== 'finished' || !game.result) {
+        return '*';
+    }
+    if (!game.result.winner) {
+        return '1/2-1/2';
+    }
+    return game.result.winner === 'red' ? '1-0' : '0-1';
+}
+
+/**
+ * Export a game as PDN text
+ * @param {CheckersGame} game - The game to export
+ * @param {Object} options - Export options
+ * @param {Date} options.date - Date the game was played (default: now)
+ * @returns {string} PDN text
+ */
+function exportPdn(game, { date = new Date() } = {}) {
+    const playerName = color => {
+        const player = Object.values(game.players).find(p => p.color === color);
+        return player ? player.name : '?';
+    };
+    const startingPlayer = game.moveHistory.length > 0 ? game.moveHistory[0].color : game.currentPlayer;
+    const result = getPdnResult(game);
+
+    const tags = [
+        ['Event', 'Online Checkers'],
+        ['Date', formatPdnDate(date)],
+        ['Black', playerName('red')],
+        ['White', playerName('black')],
+        ['Result', result],
+        ['Room', game.roomCode],
+        ['GameType', String(game.rules.pdnGameType)]
+    ];
+
+    // Variants sharing a game type with another preset are named explicitly
+    if (getRuleSetByPdnGameType(game.rules.pdnGameType) !== game.rules) {
+        tags.push(['Variant', game.rules.id]);
+    }
+
+    // Only the standard start with red to move can go without a position tag
+    if (game.startPosition || startingPlayer !== 'red') {
+        tags.push(['SetUp', '1']);
+        tags.push(['FEN', toFen(game.initializeBoard(), startingPlayer)]);
+    }
+
+    const tokens = [];
+    game.moveHistory.forEach((move, index) => {
+        if (index % 2 === 0) {
+            tokens.push(`${move.number}.`);
+        }
+        tokens.push(move.notation);
+    });
+    tokens.push(result);
+
+    const lines = [];
+    let line = '';
+    for (const token of tokens) {
+        if (line && line.length + token.length + 1 > MAX_LINE_LENGTH) {
+            lines.push(line);
+            line = token;
+        } else {
+            line = line ? `${line} ${token}` : token;
+        }
+    }
+    lines.push(line);
+
+    const tagSection = tags.map(([name, value]) => `[${name} "${String(value).replace(/"/g, '\\"')}"]`);
+    return `${tagSection.join('\n')}\n\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Split PDN text into its tag pairs and movetext tokens
+ * @param {string} text - PDN text of a single game
+ * @returns {Object} { tags, tokens }
+ */
+function parsePdn(text) {
+    const tags = {};
+    const tagPattern = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g;
+    let match;
+    while ((match = tagPattern.exec(text)) !== null) {
+        tags[match[1]] = match[2].replace(/\\"/g, '"');
+    }
+
+    let movetext = text
+        .replace(tagPattern, ' ')
+        .replace(/\{[^}]*\}/g, ' ')
+        .replace(/;[^\n]*/g, ' ')
+        .replace(/^%[^\n]*/gm, ' ');
+
+    // Strip (possibly nested) variations from the inside out
+    let previous;
+    do {
+        previous = movetext;
+        movetext = movetext.replace(/\([^()]*\)/g, ' ');
+    } while (movetext !== previous);
+
+    const tokens = movetext
+        .replace(/\d+\.(\.\.)?/g, ' ')
+        .split(/\s+/)
+        .filter(token => token !== '' && !/^\$\d+$/.test(token))
+        .map(token => token.replace(/[!?]+$/, ''));
+
+    return { tags, tokens };
+}
+
+/**
+ * Replay a single move token such as "11-15" or "22x15x8"
+ * @param {CheckersGame} game - Game to play the move in
+ * @param {string} token - Move in standard notation
+ * @returns {Object} { success: true } or { success: false, reason }
+ */
+function replayMove(game, token) {
+    const isCapture = token.includes('x');
+    const squares = token.split(/[-x]/).map(square => parseInt(square, 10));
+    const playerId = REPLAY_PLAYER_IDS[game.currentPlayer];
+
+    const path = [];
+    for (const square of squares) {
+        const coords = fromSquareNumber(square, game.boardSize);
+        if (!coords) {
+            return { success: false, reason: 'Square out of range' };
+        }
+        path.push([coords.row, coords.col]);
+    }
+
+    // Check the notation against the move before playing it
+    const firstLeg = game.isValidMove(path[0][0], path[0][1], path[1][0], path[1][1], playerId);
+    if (firstLeg.valid && isCapture !== (firstLeg.type === 'capture')) {
+        return { success: false, reason: isCapture ? 'Move does not capture' : 'Capture written as a plain move' };
+    }
+
+    const result = game.makeMovePath(path, playerId);
+    if (!result.success) {
+        return { success: false, reason: result.reason };
+    }
+
+    return { success: true };
+}
+
+/**
+ * Import a PDN game by replaying it through CheckersGame
+ * @param {string} text - PDN text of a single game
+ * @returns {Object} { valid: true, tags, moves, result, game } or { valid: false, reason }
+ */
+function importPdn(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return { valid: false, reason: 'PDN text is required' };
+    }
+
+    const { tags, tokens } = parsePdn(text);
+
+    let rules;
+    if (tags.Variant) {
+        rules = getRuleSet(tags.Variant);
+        if (!rules) {
+            return { valid: false, reason: `Unsupported Variant "${tags.Variant}"` };
+        }
+    } else {
+        rules = tags.GameType ? getRuleSetByPdnGameType(tags.GameType) : getRuleSet();
+        if (!rules) {
+            return { valid: false, reason: `Unsupported GameType "${tags.GameType}"` };
+        }
+    }
+
+    let startPosition = null;
+    if (tags.FEN) {
+        const position = parseFen(tags.FEN, rules.boardSize);
+        if (!position.valid) {
+            return { valid: false, reason: `Invalid FEN tag: ${position.reason}` };
+        }
+        startPosition = { board: position.board, currentPlayer: position.currentPlayer };
+    }
+
+    // Games from a FEN start playing as soon as both seats are filled
+    const game = new CheckersGame('IMPORT', { startPosition, rules });
+    game.addPlayer(REPLAY_PLAYER_IDS.red, tags.Black || 'Black');
+    game.addPlayer(REPLAY_PLAYER_IDS.black, tags.White || 'White');
+    if (!startPosition) {
+        game.selectTurnOrder(REPLAY_PLAYER_IDS.red, 'self');
+    }
+
+    let result = '*';
+    let moveCount = 0;
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (RESULT_TOKENS.includes(token)) {
+            if (i !== tokens.length - 1) {
+                return { valid: false, reason: `Unexpected moves after result "${token}"` };
+            }
+            result = token;
+            continue;
+        }
+
+        if (!/^\d+(?:[-x]\d+)+$/.test(token)) {
+            return { valid: false, reason: `Unrecognized token "${token}"` };
+        }
+
+        moveCount++;
+        if (game.gameState === 'finished') {
+            return { valid: false, reason: `Move ${moveCount} (${token}) is played after the game ended` };
+        }
+
+        const replay = replayMove(game, token);
+        if (!replay.success) {
+            return { valid: false, reason: `Move ${moveCount} (${token}) is illegal: ${replay.reason}` };
+        }
+    }
+
+    return {
+        valid: true,
+        tags,
+        moves: game.moveHistory.map(move => move.notation),
+        result: tags.Result || result,
+        game
+    };
+}
+
+module.exports = {
+    exportPdn,
+    importPdn,
+    parsePdn
+};
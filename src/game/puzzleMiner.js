@@ -0,0 +1,225 @@
+/**
+ * Puzzle Mining
+ *
+ * Looks through a finished game for positions where the side to move had a
+ * winning combination, whether it was played or missed, and turns them into
+ * puzzles. A position qualifies when the engine's line wins material by force
+ * and either takes two or more pieces in one turn or gives pieces away first
+ * (a shot). Every solver move must beat all alternatives by a clear margin,
+ * so each puzzle has exactly one solution. Mining a game takes seconds of
+ * search, so the server hands it to the search worker; every search is time
+ * limited and the miner yields between searches, so a game mined on the main
+ * thread (as the mine-puzzles script does) never holds it for long either.
+ */
+
+const bitboard = require('./bitboard');
+const { scoreMoves } = require('./ai');
+const { toFen } = require('./fen');
+const { formatMove } = require('./notation');
+const { getRuleSet } = require('./rules');
+
+// Quick search that picks out the positions worth a deeper look
+const SCREEN_DEPTH = 4;
+const SCREEN_TIME_LIMIT = 200;
+// Search used to read the solution line
+const LINE_DEPTH = 8;
+const LINE_TIME_LIMIT = 1000;
+// A solver move must beat the next best move by this much (hundredths of a man) to be the only solution
+const UNIQUE_MARGIN = 80;
+// Positions that are already this many pieces out of balance are not puzzles any more
+const MAX_IMBALANCE = 2;
+// Longest line (both sides' moves) the solution may have
+const MAX_LINE_PLIES = 11;
+// Difficulty points from which a puzzle is rated 2 and 3
+const DIFFICULTY_STEPS = [3, 5];
+
+/**
+ * Pieces the given side is ahead by
+ * @param {Object} position - Bitboard position
+ * @param {string} color - 'red' or 'black'
+ * @returns {number} Own pieces minus the opponent's
+ */
+function pieceBalance(position, color) {
+    const opponent = color === 'red' ? 'black' : 'red';
+    return bitboard.countPieces(position, color) - bitboard.countPieces(position, opponent);
+}
+
+/**
+ * Write a bitboard move in standard notation
+ * @param {Object} move - Move from bitboard.generateMoves
+ * @returns {string} e.g. "11-15" or "22x15x8"
+ */
+function notate(move) {
+    return formatMove(move.path.map(square => square + 1), move.captured.length > 0);
+}
+
+/**
+ * Rate how hard a combination is to find. Every solver move after the first,
+ * every piece given away and a quiet (non-capturing) first move add points.
+ * @param {Object} line - { solverMoves, sacrifices, quietStart }
+ * @returns {number} Difficulty from 1 (easiest) to 3
+ */
+function rateDifficulty({ solverMoves, sacrifices, quietStart }) {
+    const points = (solverMoves - 1) + sacrifices * 2 + (quietStart ? 1 : 0);
+    return 1 + DIFFICULTY_STEPS.filter(step => points >= step).length;
+}
+
+/**
+ * Quick check for a single clearly winning move
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @returns {boolean} True when one move stands out and wins material
+ */
+function hasStandoutMove(position, rules) {
+    const { scored } = scoreMoves(position, rules, { depth: SCREEN_DEPTH, timeLimit: SCREEN_TIME_LIMIT });
+    return scored.length > 1
+        && scored[0].score - scored[1].score >= UNIQUE_MARGIN
+        && scored[0].score >= UNIQUE_MARGIN;
+}
+
+/**
+ * Read the forced winning line from a position, if it has one
+ * @param {Object} position - Bitboard position with the solver to move
+ * @param {Object} rules - Rule set
+ * @returns {Promise<Object|null>} { moves, sacrifices, multiCapture }, or null when there is no unique winning line
+ */
+async function readSolution(position, rules) {
+    const solver = position.sideToMove;
+    const startBalance = pieceBalance(position, solver);
+    const moves = [];
+    let sacrifices = 0;
+    let multiCapture = false;
+
+    for (let ply = 0; ply < MAX_LINE_PLIES; ply++) {
+        // Every ply is a search of its own, so let other work run in between
+        await new Promise(resolve => setImmediate(resolve));
+
+        const { scored } = scoreMoves(position, rules, { depth: LINE_DEPTH, timeLimit: LINE_TIME_LIMIT });
+        const solverToMove = position.sideToMove === solver;
+        if (scored.length === 0) {
+            // The defender is left without a move: the line wins outright
+            return solverToMove ? null : { moves, sacrifices, multiCapture };
+        }
+
+        const best = scored[0].move;
+        if (solverToMove) {
+            if (scored.length > 1 && scored[0].score - scored[1].score < UNIQUE_MARGIN) {
+                return null;
+            }
+            multiCapture = multiCapture || best.captured.length >= 2;
+        } else {
+            sacrifices += best.captured.length;
+        }
+        moves.push(best);
+        position = bitboard.makeMove(position, best);
+
+        // Stop once material is won and the defender cannot take anything back
+        const won = pieceBalance(position, solver) > startBalance;
+        if (solverToMove && won && bitboard.generateMoves(position, rules).every(move => move.captured.length === 0)) {
+            return { moves, sacrifices, multiCapture };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Copy what mining and analysis need out of a game: its rules, start position
+ * and moves. The record is plain data, so it can be sent to the search worker.
+ * @param {CheckersGame} game - Game to copy
+ * @returns {Object} { variant, board, firstColor, history }
+ */
+function recordGame(game) {
+    const history = game.moveHistory.map(move => ({ number: move.number, color: move.color, squares: move.squares.slice() }));
+    return {
+        variant: game.rules.id,
+        board: game.initializeBoard(),
+        firstColor: history.length > 0 ? history[0].color : game.currentPlayer,
+        history
+    };
+}
+
+/**
+ * Whether recorded squares are the start of a longer legal move, as the last
+ * entry of a game stopped in the middle of a multi-jump is
+ * @param {Array<Object>} moves - Legal moves from bitboard.generateMoves
+ * @param {Array<number>} squares - Recorded squares, numbered from 1
+ * @returns {boolean} True if some move carries on from the recorded squares
+ */
+function isUnfinishedTurn(moves, squares) {
+    return moves.some(move => move.path.length > squares.length &&
+        squares.every((square, index) => move.path[index] + 1 === square));
+}
+
+/**
+ * Find the puzzles in a game
+ * @param {CheckersGame} game - Game to mine; its moves are copied before the first await
+ * @returns {Promise<Array<Object>>} Puzzles as { variant, title, fen, solution, difficulty, moveNumber }
+ */
+function minePuzzles(game) {
+    return mineRecord(recordGame(game));
+}
+
+/**
+ * Find the puzzles in a game copied with recordGame
+ * @param {Object} record - { variant, board, firstColor, history }
+ * @returns {Promise<Array<Object>>} Puzzles as { variant, title, fen, solution, difficulty, moveNumber }
+ */
+async function mineRecord({ variant, board, firstColor, history }) {
+    const rules = getRuleSet(variant);
+    let position = bitboard.fromBoard(board, firstColor);
+
+    const puzzles = [];
+    for (const recorded of history) {
+        // Let other requests and socket events run between positions
+        await new Promise(resolve => setImmediate(resolve));
+
+        const moves = bitboard.generateMoves(position, rules);
+        const line = moves.length > 1 && Math.abs(pieceBalance(position, 'red')) <= MAX_IMBALANCE
+            && hasStandoutMove(position, rules)
+            ? await readSolution(position, rules)
+            : null;
+
+        if (line && (line.multiCapture || line.sacrifices > 0)) {
+            const solver = position.sideToMove;
+            const side = solver.charAt(0).toUpperCase() + solver.slice(1);
+            const final = line.moves.reduce((current, move) => bitboard.makeMove(current, move), position);
+            const gain = pieceBalance(final, solver) - pieceBalance(position, solver);
+            puzzles.push({
+                variant: rules.id,
+                title: bitboard.generateMoves(final, rules).length === 0
+                    ? `${side} to move and win`
+                    : `${side} to move and win ${gain === 1 ? 'a piece' : `${gain} pieces`}`,
+                fen: toFen(bitboard.toBoard(position), solver),
+                solution: line.moves.map(notate),
+                difficulty: rateDifficulty({
+                    solverMoves: Math.ceil(line.moves.length / 2),
+                    sacrifices: line.sacrifices,
+                    quietStart: line.moves[0].captured.length === 0
+                }),
+                moveNumber: recorded.number
+            });
+        }
+
+        const played = moves.find(move => move.path.length === recorded.squares.length &&
+            move.path.every((square, index) => square + 1 === recorded.squares[index]));
+        if (!played) {
+            // A game that stopped in the middle of a multi-jump ends on part of a turn; leave it out
+            if (recorded === history[history.length - 1] && isUnfinishedTurn(moves, recorded.squares)) {
+                break;
+            }
+            throw new Error(`Move ${recorded.number} (${formatMove(recorded.squares, false)}) could not be replayed`);
+        }
+        position = bitboard.makeMove(position, played);
+    }
+
+    return puzzles;
+}
+
+module.exports = {
+    minePuzzles,
+    recordGame,
+    isUnfinishedTurn,
+    mineRecord,
+    rateDifficulty
+};
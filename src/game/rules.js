@@ -0,0 +1,151 @@
+/**
+ * Rule Sets
+ *
+ * Each draughts variant is described by a plain rule-set object that
+ * CheckersGame consults for move generation, capture obligations and
+ * promotion. A room picks its rule set when it is created.
+ *
+ * Rule-set fields:
+ * - boardSize: rows/columns on the board
+ * - menCaptureBackwards: whether men may capture towards their own side
+ * - menCaptureKings: whether men may capture kings at all
+ * - flyingKings: whether kings move and capture along whole diagonals
+ * - majorityCapture: whether a player must take the sequence capturing the most pieces
+ * - capturePrecedence: 'quantity' ranks captures by piece count only, 'quality' applies
+ *   the Italian tie-breaks (capture with a king, most kings, earliest king)
+ * - promotionMidCapture: what happens when a man reaches the last row during a capture:
+ *   'stop' ends the turn with a new king, 'continue' promotes and keeps capturing as a king,
+ *   'pass_through' keeps capturing as a man and only crowns a man that ends there
+ * - giveaway: inverts the objective, a player wins by losing all pieces or having no legal move
+ * - pdnGameType: GameType number used in PDN files
+ */
+
+const DEFAULT_RULE_SET = 'american';
+
+const RULE_SETS = {
+    american: {
+        id: 'american',
+        name: 'American / English checkers',
+        boardSize: 8,
+        menCaptureBackwards: false,
+        menCaptureKings: true,
+        flyingKings: false,
+        majorityCapture: false,
+        capturePrecedence: 'quantity',
+        promotionMidCapture: 'stop',
+        giveaway: false,
+        pdnGameType: 21
+    },
+    russian: {
+        id: 'russian',
+        name: 'Russian draughts',
+        boardSize: 8,
+        menCaptureBackwards: true,
+        menCaptureKings: true,
+        flyingKings: true,
+        majorityCapture: false,
+        capturePrecedence: 'quantity',
+        promotionMidCapture: 'continue',
+        giveaway: false,
+        pdnGameType: 25
+    },
+    brazilian: {
+        id: 'brazilian',
+        name: 'Brazilian draughts',
+        boardSize: 8,
+        menCaptureBackwards: true,
+        menCaptureKings: true,
+        flyingKings: true,
+        majorityCapture: true,
+        capturePrecedence: 'quantity',
+        promotionMidCapture: 'pass_through',
+        giveaway: false,
+        pdnGameType: 26
+    },
+    pool: {
+        id: 'pool',
+        name: 'Pool checkers',
+        boardSize: 8,
+        menCaptureBackwards: true,
+        menCaptureKings: true,
+        flyingKings: true,
+        majorityCapture: false,
+        capturePrecedence: 'quantity',
+        promotionMidCapture: 'pass_through',
+        giveaway: false,
+        pdnGameType: 23
+    },
+    italian: {
+        id: 'italian',
+        name: 'Italian draughts',
+        boardSize: 8,
+        menCaptureBackwards: false,
+        menCaptureKings: false,
+        flyingKings: false,
+        majorityCapture: true,
+        capturePrecedence: 'quality',
+        promotionMidCapture: 'stop',
+        giveaway: false,
+        pdnGameType: 22
+    },
+    international: {
+        id: 'international',
+        name: 'International draughts (10x10)',
+        boardSize: 10,
+        menCaptureBackwards: true,
+        menCaptureKings: true,
+        flyingKings: true,
+        majorityCapture: true,
+        capturePrecedence: 'quantity',
+        promotionMidCapture: 'pass_through',
+        giveaway: false,
+        pdnGameType: 20
+    },
+    giveaway: {
+        id: 'giveaway',
+        name: 'Giveaway checkers',
+        boardSize: 8,
+        menCaptureBackwards: false,
+        menCaptureKings: true,
+        flyingKings: false,
+        majorityCapture: false,
+        capturePrecedence: 'quantity',
+        promotionMidCapture: 'stop',
+        giveaway: true,
+        pdnGameType: 21
+    }
+};
+
+/**
+ * Look up a rule set by id
+ * @param {string} id - Rule set id (default: American checkers)
+ * @returns {Object|null} The rule set or null if the id is unknown
+ */
+function getRuleSet(id = DEFAULT_RULE_SET) {
+    return RULE_SETS[id] || null;
+}
+
+/**
+ * Look up the rule set matching a PDN GameType tag
+ * @param {string|number} gameType - PDN GameType value, e.g. "21" or "25,8,8,..."
+ * @returns {Object|null} The rule set or null if no preset uses that game type
+ */
+function getRuleSetByPdnGameType(gameType) {
+    const type = parseInt(String(gameType), 10);
+    return Object.values(RULE_SETS).find(rules => rules.pdnGameType === type) || null;
+}
+
+/**
+ * List the available rule sets
+ * @returns {Array<Object>} Id and display name of every preset
+ */
+function listRuleSets() {
+    return Object.values(RULE_SETS).map(({ id, name }) => ({ id, name }));
+}
+
+module.exports = {
+    DEFAULT_RULE_SET,
+    getRuleSet,
+    getRuleSetByPdnGameType,
+    listRuleSets
+};
@@ -0,0 +1,607 @@
+/**
+ * Endgame Tablebase
+ *
+ * Retrograde analysis of every position with up to a given number of pieces
+ * under one rule set. Positions are grouped into slices by material (red
+ * men, red kings, black men, black kings) and solved from the fewest pieces
+ * up, so every capture or promotion leaves a slice for one that is already
+ * solved. Inside a slice, results spread backwards from decided positions
+ * along un-played quiet moves, one ply at a time, which gives the shortest
+ * win and the longest defence.
+ *
+ * Each position is stored in one byte: 0 for a draw, otherwise the distance
+ * to the end of the game in plies plus one. The winner follows from the
+ * distance: a side to move with no moves loses in 0 (wins in giveaway), and
+ * wins and losses alternate with every ply from there.
+ *
+ * On disk a tablebase is the magic "CKTB", a format version byte, a JSON
+ * header and the deflated slices.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const bitboard = require('./bitboard');
+
+const MAGIC = 'CKTB';
+const FORMAT_VERSION = 1;
+const DRAW = 0;
+const MAX_DISTANCE = 254;
+// Counter value for positions that quiet un-moves must skip
+const CLOSED = 255;
+const DEFAULT_DIRECTORY = path.join(__dirname, '..', '..', 'data', 'tablebases');
+
+const binomials = [];
+for (let n = 0; n <= 64; n++) {
+    binomials.push([1]);
+    for (let k = 1; k <= n; k++) {
+        binomials[n].push(binomials[n - 1][k - 1] + (k < n ? binomials[n - 1][k] : 0));
+    }
+}
+
+/**
+ * Number of ways to choose k of n items
+ * @param {number} n - Items
+ * @param {number} k - Chosen
+ * @returns {number} Binomial coefficient (0 when k > n)
+ */
+function choose(n, k) {
+    return k < 0 || k > n ? 0 : binomials[n][k];
+}
+
+/**
+ * Colex rank of an ascending list of distinct indices
+ * @param {Array<number>} items - Ascending indices
+ * @returns {number} Rank
+ */
+function rankCombination(items) {
+    let rank = 0;
+    for (let i = 0; i < items.length; i++) {
+        rank += choose(items[i], i + 1);
+    }
+    return rank;
+}
+
+/**
+ * Inverse of rankCombination
+ * @param {number} rank - Rank
+ * @param {number} count - Number of indices
+ * @param {number} limit - Indices are below this
+ * @returns {Array<number>} Ascending indices
+ */
+function unrankCombination(rank, count, limit) {
+    const items = new Array(count);
+    let candidate = limit - 1;
+    for (let i = count; i >= 1; i--) {
+        while (choose(candidate, i) > rank) candidate--;
+        items[i - 1] = candidate;
+        rank -= choose(candidate, i);
+        candidate--;
+    }
+    return items;
+}
+
+const manSquareCache = new Map();
+
+/**
+ * Squares a man of each color may stand on (anywhere but its crowning row)
+ * @param {number} size - Board size
+ * @returns {Object} { red, black } each with a square list and square → slot map
+ */
+function getManSquares(size) {
+    if (manSquareCache.has(size)) {
+        return manSquareCache.get(size);
+    }
+
+    const { squareCount, masks, promotionMasks } = bitboard.getGeometry(size);
+    const build = color => {
+        const squares = [];
+        const slots = new Array(squareCount).fill(-1);
+        for (let square = 0; square < squareCount; square++) {
+            if (!(promotionMasks[color] & masks[square])) {
+                slots[square] = squares.length;
+                squares.push(square);
+            }
+        }
+        return { squares, slots };
+    };
+    const manSquares = { red: build('red'), black: build('black') };
+    manSquareCache.set(size, manSquares);
+    return manSquares;
+}
+
+/**
+ * Describe one material slice and its index layout
+ * @param {number} size - Board size
+ * @param {Array<number>} counts - [red men, red kings, black men, black kings]
+ * @returns {Object} Slice layout
+ */
+function createSlice(size, counts) {
+    const { squareCount } = bitboard.getGeometry(size);
+    const manSquares = getManSquares(size);
+    const [redMen, redKings, blackMen, blackKings] = counts;
+    const radices = [
+        choose(manSquares.red.squares.length, redMen),
+        choose(manSquares.black.squares.length, blackMen),
+        // Kings are ranked among the squares the men leave free, so they never overlap
+        choose(squareCount - redMen - blackMen, redKings),
+        choose(squareCount - redMen - blackMen - redKings, blackKings)
+    ];
+    // Two entries per placement, one for each side to move
+    const positions = radices.reduce((product, radix) => product * radix, 2);
+
+    return { key: sliceKey(counts), counts, radices, size: positions };
+}
+
+/**
+ * Key of the slice holding a material balance
+ * @param {Array<number>} counts - [red men, red kings, black men, black kings]
+ * @returns {string} e.g. "2-1-1-0"
+ */
+function sliceKey(counts) {
+    return counts.join('-');
+}
+
+/**
+ * Split a position into its piece squares
+ * @param {Object} position - Bitboard position
+ * @returns {Array<Array<number>>} Ascending squares of red men, red kings, black men and black kings
+ */
+function getPieceSquares(position) {
+    const { squareCount, masks } = bitboard.getGeometry(position.size);
+    const groups = [[], [], [], []];
+    const occupied = position.red | position.black;
+
+    for (let square = 0; square < squareCount; square++) {
+        const mask = masks[square];
+        if (!(occupied & mask)) continue;
+        const isKing = (position.kings & mask) !== 0n;
+        const group = (position.red & mask ? 0 : 2) + (isKing ? 1 : 0);
+        groups[group].push(square);
+    }
+
+    return groups;
+}
+
+/**
+ * Index of a position inside its slice
+ * @param {Object} slice - Slice layout
+ * @param {Object} position - Bitboard position
+ * @param {Array<Array<number>>} groups - Piece squares from getPieceSquares
+ * @returns {number} Index
+ */
+function indexPosition(slice, position, groups) {
+    const manSquares = getManSquares(position.size);
+    const [redMen, redKings, blackMen, blackKings] = groups;
+    const men = redMen.concat(blackMen).sort((a, b) => a - b);
+    const below = (taken, square) => {
+        let count = 0;
+        for (const other of taken) {
+            if (other < square) count++;
+        }
+        return count;
+    };
+
+    const ranks = [
+        rankCombination(redMen.map(square => manSquares.red.slots[square])),
+        rankCombination(blackMen.map(square => manSquares.black.slots[square])),
+        rankCombination(redKings.map(square => square - below(men, square))),
+        rankCombination(blackKings.map(square => square - below(men, square) - below(redKings, square)))
+    ];
+
+    let index = 0;
+    for (let i = 0; i < 4; i++) {
+        index = index * slice.radices[i] + ranks[i];
+    }
+    return index * 2 + (position.sideToMove === 'black' ? 1 : 0);
+}
+
+/**
+ * Position at an index of a slice
+ * @param {number} size - Board size
+ * @param {Object} slice - Slice layout
+ * @param {number} index - Index
+ * @returns {Object|null} Bitboard position, or null where red and black men would overlap
+ */
+function positionAt(size, slice, index) {
+    const { squareCount, masks } = bitboard.getGeometry(size);
+    const manSquares = getManSquares(size);
+    const [redMenCount, redKingCount, blackMenCount, blackKingCount] = slice.counts;
+
+    const sideToMove = index % 2 === 1 ? 'black' : 'red';
+    let rest = Math.floor(index / 2);
+    const ranks = [];
+    for (let i = 3; i >= 0; i--) {
+        ranks[i] = rest % slice.radices[i];
+        rest = Math.floor(rest / slice.radices[i]);
+    }
+
+    const redMen = unrankCombination(ranks[0], redMenCount, manSquares.red.squares.length)
+        .map(slot => manSquares.red.squares[slot]);
+    const blackMen = unrankCombination(ranks[1], blackMenCount, manSquares.black.squares.length)
+        .map(slot => manSquares.black.squares[slot]);
+    if (redMen.some(square => blackMen.includes(square))) {
+        return null;
+    }
+
+    // Kings are ranked among the squares still free, in ascending order
+    const taken = new Set(redMen.concat(blackMen));
+    const free = () => {
+        const squares = [];
+        for (let square = 0; square < squareCount; square++) {
+            if (!taken.has(square)) squares.push(square);
+        }
+        return squares;
+    };
+    let squares = free();
+    const redKings = unrankCombination(ranks[2], redKingCount, squares.length).map(slot => squares[slot]);
+    redKings.forEach(square => taken.add(square));
+    squares = free();
+    const blackKings = unrankCombination(ranks[3], blackKingCount, squares.length).map(slot => squares[slot]);
+
+    const position = { size, red: 0n, black: 0n, kings: 0n, sideToMove };
+    redMen.forEach(square => { position.red |= masks[square]; });
+    redKings.forEach(square => { position.red |= masks[square]; position.kings |= masks[square]; });
+    blackMen.forEach(square => { position.black |= masks[square]; });
+    blackKings.forEach(square => { position.black |= masks[square]; position.kings |= masks[square]; });
+    return position;
+}
+
+/**
+ * Stored value of a position whose side to move has no pieces left
+ * @returns {number} Value (the game is over: distance 0)
+ */
+function terminalValue() {
+    return 1;
+}
+
+/**
+ * Look up a position in the slices solved so far
+ * @param {Object} tablebase - Tablebase (possibly still being generated)
+ * @param {Object} position - Bitboard position
+ * @returns {number|undefined} Stored value, or undefined when the material is not covered
+ */
+function lookup(tablebase, position) {
+    const groups = getPieceSquares(position);
+    const redCount = groups[0].length + groups[1].length;
+    const blackCount = groups[2].length + groups[3].length;
+    if (redCount === 0 || blackCount === 0) {
+        return terminalValue();
+    }
+
+    const entry = tablebase.slices.get(sliceKey(groups.map(group => group.length)));
+    return entry ? entry.values[indexPosition(entry.slice, position, groups)] : undefined;
+}
+
+/**
+ * Whether a stored value is a win for the side to move
+ * @param {number} value - Stored value (not a draw)
+ * @param {boolean} giveaway - Whether the rule set is giveaway
+ * @returns {boolean} True for a win
+ */
+function isWin(value, giveaway) {
+    return ((value - 1) % 2 === 1) !== giveaway;
+}
+
+/**
+ * Every slice up to a piece count, in an order where captures and
+ * promotions only ever lead to slices that come earlier
+ * @param {number} maxPieces - Largest total number of pieces
+ * @returns {Array<Array<number>>} Material counts
+ */
+function listSlices(maxPieces) {
+    const slices = [];
+    for (let total = 2; total <= maxPieces; total++) {
+        for (let red = 1; red < total; red++) {
+            const black = total - red;
+            for (let redMen = 0; redMen <= red; redMen++) {
+                for (let blackMen = 0; blackMen <= black; blackMen++) {
+                    slices.push([redMen, red - redMen, blackMen, black - blackMen]);
+                }
+            }
+        }
+    }
+
+    const men = counts => counts[0] + counts[2];
+    const total = counts => counts.reduce((sum, count) => sum + count, 0);
+    return slices.sort((a, b) => total(a) - total(b) || men(a) - men(b));
+}
+
+/**
+ * Positions one quiet, non-crowning move before a position
+ * @param {Object} position - Bitboard position
+ * @param {Object} rules - Rule set
+ * @returns {Array<Object>} Predecessor positions with the mover to move
+ */
+function getPredecessors(position, rules) {
+    const { squareCount, masks, rays } = bitboard.getGeometry(position.size);
+    const mover = position.sideToMove === 'red' ? 'black' : 'red';
+    const occupied = position.red | position.black;
+    // The mover's men came from behind: red moves down the board, so it came from above
+    const backward = mover === 'red' ? -1 : 1;
+    const predecessors = [];
+
+    for (let to = 0; to < squareCount; to++) {
+        const toMask = masks[to];
+        if (!(position[mover] & toMask)) continue;
+
+        const isKing = (position.kings & toMask) !== 0n;
+        for (let direction = 0; direction < 4; direction++) {
+            // Rays follow the bitboard direction order: the first two lead to lower rows
+            const rowStep = direction < 2 ? -1 : 1;
+            if (!isKing && rowStep !== backward) continue;
+
+            for (const from of rays[to][direction]) {
+                const fromMask = masks[from];
+                if (occupied & fromMask) break;
+
+                const previous = { size: position.size, red: position.red, black: position.black, kings: position.kings, sideToMove: mover };
+                previous[mover] = (previous[mover] & ~toMask) | fromMask;
+                if (isKing) {
+                    previous.kings = (previous.kings & ~toMask) | fromMask;
+                }
+                predecessors.push(previous);
+                if (!(isKing && rules.flyingKings)) break;
+            }
+        }
+    }
+
+    return predecessors;
+}
+
+/**
+ * Solve one slice by retrograde analysis
+ * @param {Object} tablebase - Tablebase holding every earlier slice
+ * @param {Object} slice - Slice layout
+ * @returns {Uint8Array} Stored value of every index
+ */
+function solveSlice(tablebase, slice) {
+    const { rules } = tablebase;
+    const size = rules.boardSize;
+    const values = new Uint8Array(slice.size);
+    // Quiet moves inside the slice still undecided, or CLOSED
+    const counters = new Uint8Array(slice.size);
+    // Longest opponent win reached by leaving the slice
+    const exitMax = new Uint8Array(slice.size);
+    // candidates[value] lists indexes that may be decided with that value
+    const candidates = [];
+    const propose = (index, value) => {
+        if (value > MAX_DISTANCE + 1) {
+            throw new Error(`Slice ${slice.key} has a result longer than ${MAX_DISTANCE} plies`);
+        }
+        (candidates[value] = candidates[value] || []).push(index);
+    };
+
+    const entry = { slice, values };
+    tablebase.slices.set(slice.key, entry);
+
+    for (let index = 0; index < slice.size; index++) {
+        const position = positionAt(size, slice, index);
+        if (!position) {
+            counters[index] = CLOSED;
+            continue;
+        }
+
+        const moves = bitboard.generateMoves(position, rules);
+        if (moves.length === 0) {
+            counters[index] = CLOSED;
+            propose(index, terminalValue());
+            continue;
+        }
+
+        let quietMoves = 0;
+        let bestWin = 0;
+        let longestLoss = 0;
+        let hasDraw = false;
+        for (const move of moves) {
+            if (move.captured.length === 0 && !move.promotes) {
+                quietMoves++;
+                continue;
+            }
+
+            const value = lookup(tablebase, bitboard.makeMove(position, move));
+            if (value === DRAW) {
+                hasDraw = true;
+            } else if (isWin(value, rules.giveaway)) {
+                longestLoss = Math.max(longestLoss, value);
+            } else if (!bestWin || value + 1 < bestWin) {
+                bestWin = value + 1;
+            }
+        }
+
+        exitMax[index] = longestLoss;
+        if (bestWin) {
+            propose(index, bestWin);
+        }
+
+        // Captures are compulsory, so a capturing position is decided by its exits alone
+        if (moves[0].captured.length > 0) {
+            counters[index] = CLOSED;
+            if (!bestWin && !hasDraw) {
+                propose(index, longestLoss + 1);
+            }
+            continue;
+        }
+
+        // A drawing or winning exit means the position can never be lost
+        counters[index] = quietMoves + (hasDraw || bestWin ? 1 : 0);
+        if (counters[index] === 0) {
+            propose(index, longestLoss + 1);
+        }
+    }
+
+    // Settle positions in order of distance, spreading each result backwards
+    for (let value = 1; value < candidates.length; value++) {
+        const pending = candidates[value];
+        if (!pending) continue;
+        candidates[value] = null;
+
+        for (const index of pending) {
+            if (values[index] !== DRAW) continue;
+            values[index] = value;
+
+            const won = isWin(value, rules.giveaway);
+            for (const previous of getPredecessors(positionAt(size, slice, index), rules)) {
+                const previousIndex = indexPosition(slice, previous, getPieceSquares(previous));
+                if (counters[previousIndex] === CLOSED || values[previousIndex] !== DRAW) continue;
+
+                if (!won) {
+                    propose(previousIndex, value + 1);
+                } else if (--counters[previousIndex] === 0) {
+                    propose(previousIndex, Math.max(value, exitMax[previousIndex]) + 1);
+                }
+            }
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Generate a tablebase
+ * @param {Object} rules - Rule set
+ * @param {number} maxPieces - Largest total number of pieces to solve
+ * @param {Object} options - Generation options
+ * @param {Function} options.onSlice - Called with (slice, values, elapsedMs) after each slice
+ * @returns {Object} Tablebase { rules, maxPieces, slices }
+ */
+function generateTablebase(rules, maxPieces, { onSlice } = {}) {
+    const tablebase = { rules, maxPieces, slices: new Map() };
+
+    for (const counts of listSlices(maxPieces)) {
+        const started = Date.now();
+        const slice = createSlice(rules.boardSize, counts);
+        const values = solveSlice(tablebase, slice);
+        if (onSlice) {
+            onSlice(slice, values, Date.now() - started);
+        }
+    }
+
+    return tablebase;
+}
+
+/**
+ * Write a tablebase to disk
+ * @param {Object} tablebase - Tablebase from generateTablebase
+ * @param {string} file - Output path
+ */
+function saveTablebase(tablebase, file) {
+    const chunks = [];
+    const slices = [];
+    for (const [key, { values }] of tablebase.slices) {
+        const data = zlib.deflateRawSync(values);
+        slices.push({ key, length: data.length });
+        chunks.push(data);
+    }
+
+    const header = Buffer.from(JSON.stringify({
+        variant: tablebase.rules.id,
+        boardSize: tablebase.rules.boardSize,
+        maxPieces: tablebase.maxPieces,
+        slices
+    }));
+    const prefix = Buffer.alloc(MAGIC.length + 5);
+    prefix.write(MAGIC, 0, 'ascii');
+    prefix.writeUInt8(FORMAT_VERSION, MAGIC.length);
+    prefix.writeUInt32LE(header.length, MAGIC.length + 1);
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, Buffer.concat([prefix, header, ...chunks]));
+}
+
+/**
+ * Read a tablebase written by saveTablebase
+ * @param {string} file - Tablebase path
+ * @param {Object} rules - Rule set the tablebase must belong to
+ * @returns {Object} Tablebase { rules, maxPieces, slices }
+ */
+function loadTablebase(file, rules) {
+    const data = fs.readFileSync(file);
+    if (data.toString('ascii', 0, MAGIC.length) !== MAGIC || data.readUInt8(MAGIC.length) !== FORMAT_VERSION) {
+        throw new Error(`${file} is not a version ${FORMAT_VERSION} tablebase`);
+    }
+
+    const headerLength = data.readUInt32LE(MAGIC.length + 1);
+    let offset = MAGIC.length + 5;
+    const header = JSON.parse(data.toString('utf8', offset, offset + headerLength));
+    offset += headerLength;
+    if (header.variant !== rules.id) {
+        throw new Error(`${file} was generated for ${header.variant}, not ${rules.id}`);
+    }
+
+    const slices = new Map();
+    for (const { key, length } of header.slices) {
+        const slice = createSlice(rules.boardSize, key.split('-').map(Number));
+        const values = new Uint8Array(zlib.inflateRawSync(data.subarray(offset, offset + length)));
+        if (values.length !== slice.size) {
+            throw new Error(`${file} has a damaged ${key} slice`);
+        }
+        slices.set(key, { slice, values });
+        offset += length;
+    }
+
+    return { rules, maxPieces: header.maxPieces, slices };
+}
+
+/**
+ * Tablebase file of a rule set
+ * @param {Object} rules - Rule set
+ * @param {string} directory - Tablebase directory (default: TABLEBASE_DIR or data/tablebases)
+ * @returns {string} File path
+ */
+function getTablebasePath(rules, directory = process.env.TABLEBASE_DIR || DEFAULT_DIRECTORY) {
+    return path.join(directory, `${rules.id}.cktb`);
+}
+
+const loaded = new Map();
+
+/**
+ * The generated tablebase of a rule set, loaded once on first use
+ * @param {Object} rules - Rule set
+ * @returns {Object|null} Tablebase, or null when none has been generated
+ */
+function getTablebase(rules) {
+    if (!loaded.has(rules.id)) {
+        const file = getTablebasePath(rules);
+        let tablebase = null;
+        if (fs.existsSync(file)) {
+            try {
+                tablebase = loadTablebase(file, rules);
+            } catch (error) {
+                console.error(`Ignoring tablebase ${file}: ${error.message}`);
+            }
+        }
+        loaded.set(rules.id, tablebase);
+    }
+    return loaded.get(rules.id);
+}
+
+/**
+ * Look up the exact result of a position
+ * @param {Object} tablebase - Tablebase
+ * @param {Object} position - Bitboard position
+ * @returns {Object|null} { outcome: 'win'|'loss'|'draw', plies } for the side to move, or null when not covered
+ */
+function probe(tablebase, position) {
+    if (bitboard.popCount(position.red | position.black) > tablebase.maxPieces) {
+        return null;
+    }
+
+    const value = lookup(tablebase, position);
+    if (value === undefined) {
+        return null;
+    }
+    if (value === DRAW) {
+        return { outcome: 'draw', plies: 0 };
+    }
+    return { outcome: isWin(value, tablebase.rules.giveaway) ? 'win' : 'loss', plies: value - 1 };
+}
+
+module.exports = {
+    generateTablebase,
+    saveTablebase,
+    loadTablebase,
+    getTablebasePath,
+    getTablebase,
+    probe
+};
@@ -3,6 +3,7 @@
  */
 
 const express = require('express');
+const { listRuleSets } = require('../game/rules');
 const router = express.Router();
 
 /**
@@ -23,10 +24,21 @@ function createApiRoutes(gameController) {
         });
     });
 
+    // List the available rule variants
+    router.get('/api/variants', (req, res) => {
+        res.json({ variants: listRuleSets() });
+    });
+
     // Create a new room
     router.post('/api/create-room', (req, res) => {
         try {
-            const result = gameController.createRoom();
+            const { fen, drawMoveLimit, variant, opponent, difficulty, training, adjudicateDraws, ballot, puzzleId, timeControl, correspondence, daysPerMove, turnTimeout } = req.body || {};
+            const result = gameController.createRoom({ fen, drawMoveLimit, variant, opponent, difficulty, training, adjudicateDraws, ballot, puzzleId, timeControl, correspondence, daysPerMove, turnTimeout });
+            
+            if (result.error) {
+                return res.status(400).json({ error: result.error });
+            }
+            
             res.json(result);
         } catch (error) {
             console.error('Error creating room:', error);
@@ -34,6 +46,43 @@ function createApiRoutes(gameController) {
         }
     });
 
+    // Next unsolved puzzle for a player
+    router.get('/api/puzzles/next', (req, res) => {
+        try {
+            const { userId, variant } = req.query;
+            const puzzle = gameController.getNextPuzzle({ userId, variant });
+            
+            if (!puzzle) {
+                return res.status(404).json({ error: 'No unsolved puzzles left' });
+            }
+            
+            if (puzzle.error) {
+                return res.status(400).json({ error: puzzle.error });
+            }
+            
+            res.json(puzzle);
+        } catch (error) {
+            console.error('Error finding puzzle:', error);
+            res.status(500).json({ error: 'Failed to find a puzzle' });
+        }
+    });
+
+    // Correspondence games a player has a seat in
+    router.get('/api/my-games', (req, res) => {
+        try {
+            const { userId } = req.query;
+            
+            if (!userId) {
+                return res.status(400).json({ error: 'userId is required' });
+            }
+            
+            res.json({ games: gameController.getUserGames(userId) });
+        } catch (error) {
+            console.error('Error listing games:', error);
+            res.status(500).json({ error: 'Failed to list games' });
+        }
+    });
+
     // Get room information
     router.get('/api/room/:code', (req, res) => {
         try {
@@ -51,6 +100,62 @@ function createApiRoutes(gameController) {
         }
     });
 
+    // Export a room's game as PDN
+    router.get('/api/room/:code/pdn', (req, res) => {
+        try {
+            const { code } = req.params;
+            const pdn = gameController.getRoomPdn(code);
+            
+            if (pdn === null) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+            
+            res.attachment(`checkers-${code}.pdn`);
+            res.type('application/x-pdn');
+            res.send(pdn);
+        } catch (error) {
+            console.error('Error exporting PDN:', error);
+            res.status(500).json({ error: 'Failed to export game' });
+        }
+    });
+
+    // Engine analysis of a room's finished game
+    router.get('/api/room/:code/analysis', async (req, res) => {
+        try {
+            const { code } = req.params;
+            const analysis = await gameController.getRoomAnalysis(code);
+            
+            if (!analysis) {
+                return res.status(404).json({ error: 'Room not found' });
+            }
+            
+            if (analysis.error) {
+                return res.status(409).json({ error: analysis.error });
+            }
+            
+            res.json(analysis);
+        } catch (error) {
+            console.error('Error analysing game:', error);
+            res.status(500).json({ error: 'Failed to analyse game' });
+        }
+    });
+
+    // Validate a PDN game by replaying it
+    router.post('/api/import', (req, res) => {
+        try {
+            const result = gameController.importPdn(req.body && req.body.pdn);
+            
+            if (!result.valid) {
+                return res.status(400).json({ error: result.reason });
+            }
+            
+            res.json(result);
+        } catch (error) {
+            console.error('Error importing PDN:', error);
+            res.status(500).json({ error: 'Failed to import game' });
+        }
+    });
+
     return router;
 }
 
@@ -2,6 +2,8 @@
  * Utility functions for the checkers game
  */
 
+const crypto = require('crypto');
+
 /**
  * Generate unique room code
  * @returns {string} A 6-character uppercase alphanumeric room code
@@ -10,6 +12,25 @@ function generateRoomCode() {
     return Math.random().toString(36).substr(2, 6).toUpperCase();
 }
 
+// Days a correspondence room is kept after its game ends, or while nobody takes its second seat
+const CORRESPONDENCE_KEEP_DAYS = 7;
+
+/**
+ * Generate a lasting player id for a seat that outlives socket connections
+ * @returns {string} A random player id
+ */
+function generatePlayerId() {
+    return `player-${Math.random().toString(36).substr(2, 10)}`;
+}
+
+/**
+ * Generate the secret a client keeps to take its live seat back after a reconnect
+ * @returns {string} A random, unguessable token
+ */
+function generateReconnectToken() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
 /**
  * Clean up old rooms periodically
  * @param {Map} games - Map of active games
@@ -18,9 +39,22 @@ function generateRoomCode() {
  */
 function cleanupOldRooms(games, rooms, maxAgeHours = 1) {
     const cutoffTime = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
+    const correspondenceCutoff = new Date(Date.now() - CORRESPONDENCE_KEEP_DAYS * 24 * 60 * 60 * 1000);
     
     for (const [roomCode, room] of rooms.entries()) {
-        if (room.created < cutoffTime) {
+        if (room.correspondence) {
+            // Correspondence games run for weeks, so only their end (or a missing opponent) starts the countdown
+            const game = games.get(roomCode);
+            const since = !game ? room.created
+                : game.gameState === 'finished' ? game.finishedAt
+                : game.gameState === 'waiting' || game.gameState === 'turn_selection' ? room.created
+                : null;
+            if (since && since < correspondenceCutoff) {
+                games.delete(roomCode);
+                rooms.delete(roomCode);
+                console.log(`Cleaned up old correspondence room: ${roomCode}`);
+            }
+        } else if (room.created < cutoffTime) {
             games.delete(roomCode);
             rooms.delete(roomCode);
             console.log(`Cleaned up old room: ${roomCode}`);
@@ -30,5 +64,7 @@ function cleanupOldRooms(games, rooms, maxAgeHours = 1) {
 
 module.exports = {
     generateRoomCode,
+    generatePlayerId,
+    generateReconnectToken,
     cleanupOldRooms
 };
@@ -0,0 +1,79 @@
+/**
+ * CheckersGame: games that end in the middle of a multi-jump keep a record
+ * of whole turns only, so it can be exported and replayed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CheckersGame = require('../src/game/CheckersGame');
+const { parseFen } = require('../src/game/fen');
+const { toSquareNumber } = require('../src/game/notation');
+const { exportPdn, importPdn } = require('../src/game/pdn');
+
+// Red plays 5-9 first; black then has the double jump 27x18x11
+const DOUBLE_JUMP_FEN = 'B:W27,32:B23,15,5';
+
+/**
+ * A game where black is one leg into a double jump, after one whole turn by red
+ */
+function startMidCapture(options = {}) {
+    const { board, currentPlayer } = parseFen(DOUBLE_JUMP_FEN, 8);
+    const game = new CheckersGame('TEST', { startPosition: { board, currentPlayer }, ...options });
+    game.addPlayer('a', 'Alice');
+    game.addPlayer('b', 'Bob');
+    game.startClock();
+
+    const mover = () => game.getPlayerIdByColor(game.currentPlayer);
+    const opening = game.getLegalTurns().find(path => toSquareNumber(...path[0], 8) === 5 && toSquareNumber(...path[1], 8) === 9);
+    assert.ok(game.makeMovePath(opening, mover()).success);
+
+    const jump = game.getLegalTurns().find(path => path.length === 3);
+    assert.ok(jump, 'the position has a double jump');
+    const before = {
+        board: JSON.stringify(game.board),
+        moves: game.moveHistory.map(move => move.notation),
+        player: game.currentPlayer
+    };
+    const [[fromRow, fromCol], [toRow, toCol]] = jump;
+    const playerId = mover();
+    assert.ok(game.makeMove(fromRow, fromCol, toRow, toCol, playerId).success);
+    assert.strictEqual(game.mustCapture, true);
+    return { game, before, mover: playerId };
+}
+
+/**
+ * The game must be back at the start of the unfinished turn and replay through PDN
+ */
+function assertWholeTurns(game, before) {
+    assert.strictEqual(game.gameState, 'finished');
+    assert.strictEqual(game.mustCapture, false);
+    assert.strictEqual(JSON.stringify(game.board), before.board);
+    assert.deepStrictEqual(game.moveHistory.map(move => move.notation), before.moves);
+    assert.strictEqual(game.currentPlayer, before.player);
+
+    const imported = importPdn(exportPdn(game));
+    assert.ok(imported.valid, imported.reason);
+    assert.deepStrictEqual(imported.moves, before.moves);
+}
+
+test('resigning in the middle of a multi-jump takes the unfinished turn back', () => {
+    const { game, before, mover } = startMidCapture();
+    assert.ok(game.resign(mover).success);
+    assert.strictEqual(game.result.reason, 'resignation');
+    assertWholeTurns(game, before);
+});
+
+test('abandoning in the middle of a multi-jump takes the unfinished turn back', () => {
+    const { game, before, mover } = startMidCapture();
+    assert.ok(game.abandon(mover).success);
+    assert.strictEqual(game.result.reason, 'abandoned');
+    assertWholeTurns(game, before);
+});
+
+test('a flag falling in the middle of a multi-jump takes the unfinished turn back', () => {
+    const { game, before } = startMidCapture({ timeControl: { mode: 'sudden_death', initial: 60 } });
+    assert.strictEqual(game.checkFlag(Date.now() + 120 * 1000), true);
+    assert.strictEqual(game.result.reason, 'time');
+    assert.strictEqual(game.result.winner, before.player === 'red' ? 'black' : 'red');
+    assertWholeTurns(game, before);
+});
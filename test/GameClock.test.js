@@ -0,0 +1,72 @@
+/**
+ * Game clocks: every time control charges and credits time as documented.
+ * All times are passed in explicitly, so nothing depends on the wall clock.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GameClock = require('../src/game/GameClock');
+
+/**
+ * Play one red turn of the given length and return red's time left
+ */
+function afterRedTurn(timeControl, thinkMs) {
+    const clock = new GameClock(timeControl);
+    clock.start('red', 0);
+    clock.switchTurn(thinkMs);
+    return clock.remaining.red;
+}
+
+test('sudden death only takes time away', () => {
+    assert.strictEqual(afterRedTurn({ mode: 'sudden_death', initial: 60 }, 10000), 50000);
+});
+
+test('fischer adds the full increment after every turn', () => {
+    assert.strictEqual(afterRedTurn({ mode: 'fischer', initial: 60, increment: 5 }, 10000), 55000);
+    assert.strictEqual(afterRedTurn({ mode: 'fischer', initial: 60, increment: 5 }, 1000), 64000);
+});
+
+test('bronstein gives back the time used, up to the increment', () => {
+    assert.strictEqual(afterRedTurn({ mode: 'bronstein', initial: 60, increment: 5 }, 10000), 55000);
+    assert.strictEqual(afterRedTurn({ mode: 'bronstein', initial: 60, increment: 5 }, 3000), 60000);
+});
+
+test('delay only charges the time past the delay', () => {
+    assert.strictEqual(afterRedTurn({ mode: 'delay', initial: 60, increment: 5 }, 10000), 55000);
+    assert.strictEqual(afterRedTurn({ mode: 'delay', initial: 60, increment: 5 }, 3000), 60000);
+
+    const clock = new GameClock({ mode: 'delay', initial: 60, increment: 5 });
+    clock.start('red', 0);
+    assert.strictEqual(clock.getDelayLeft(2000), 3000);
+    assert.strictEqual(clock.getTimeToFlag(2000), 63000);
+});
+
+test('per move gives every turn the starting time afresh', () => {
+    assert.strictEqual(afterRedTurn({ mode: 'per_move', initial: 60 }, 10000), 60000);
+});
+
+test('the flag falls once the running side has no time left', () => {
+    const clock = new GameClock({ mode: 'sudden_death', initial: 10 });
+    clock.start('red', 0);
+    assert.strictEqual(clock.getFlagged(9999), null);
+    assert.strictEqual(clock.getFlagged(10000), 'red');
+    assert.strictEqual(clock.getRemaining('red', 20000), 0);
+    assert.strictEqual(clock.getRemaining('black', 20000), 10000);
+});
+
+test('stopping the clock charges the turn without a bonus', () => {
+    const clock = new GameClock({ mode: 'fischer', initial: 60, increment: 5 });
+    clock.start('black', 0);
+    clock.stop(4000);
+    assert.strictEqual(clock.remaining.black, 56000);
+    assert.strictEqual(clock.running, null);
+    assert.strictEqual(clock.getTimeToFlag(), null);
+});
+
+test('time controls are validated', () => {
+    assert.ok(GameClock.validate({ mode: 'fischer', initial: 300, increment: 2 }).valid);
+    assert.strictEqual(GameClock.validate({ mode: 'sudden_death', initial: 300, increment: 2 }).valid, false);
+    assert.strictEqual(GameClock.validate({ mode: 'bronstein', initial: 300 }).valid, false);
+    assert.strictEqual(GameClock.validate({ mode: 'per_move', initial: 300 }).valid, false);
+    assert.strictEqual(GameClock.validate({ mode: 'fischer', initial: 0, increment: 2 }).valid, false);
+});
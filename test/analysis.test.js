@@ -0,0 +1,48 @@
+/**
+ * Analysis and puzzle mining: a record that stops part way through a
+ * multi-jump is replayed up to its last whole turn.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeRecord } = require('../src/game/analysis');
+const { mineRecord } = require('../src/game/puzzleMiner');
+const { parseFen } = require('../src/game/fen');
+
+// Red plays 5-9 first; black then has the double jump 27x18x11
+const DOUBLE_JUMP_FEN = 'B:W27,32:B23,15,5';
+const QUICK_SEARCH = { depth: 2, timeLimit: 50 };
+
+/**
+ * A record of 5-9 followed by the given moves for black
+ */
+function recordWith(blackSquares) {
+    const { board } = parseFen(DOUBLE_JUMP_FEN, 8);
+    return {
+        variant: 'american',
+        board,
+        firstColor: 'red',
+        history: [
+            { number: 1, color: 'red', squares: [5, 9] },
+            { number: 1, color: 'black', squares: blackSquares }
+        ]
+    };
+}
+
+test('analysis leaves out an unfinished last turn', async () => {
+    const report = await analyzeRecord(recordWith([27, 18]), QUICK_SEARCH);
+    assert.deepStrictEqual(report.moves.map(move => move.notation), ['5-9']);
+
+    const whole = await analyzeRecord(recordWith([27, 18, 11]), QUICK_SEARCH);
+    assert.deepStrictEqual(whole.moves.map(move => move.notation), ['5-9', '27x18x11']);
+});
+
+test('mining leaves out an unfinished last turn', async () => {
+    const puzzles = await mineRecord(recordWith([27, 18]));
+    assert.ok(Array.isArray(puzzles));
+});
+
+test('a move that is not legal still fails the replay', async () => {
+    await assert.rejects(analyzeRecord(recordWith([27, 24]), QUICK_SEARCH), /could not be replayed/);
+    await assert.rejects(mineRecord(recordWith([27, 24])), /could not be replayed/);
+});
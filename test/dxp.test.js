@@ -0,0 +1,63 @@
+/**
+ * DXP messages: the fixed-width fields written for engines must parse back,
+ * and the stream must split on the NUL terminator.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dxp = require('../src/game/dxp');
+const { parseFen } = require('../src/game/fen');
+
+test('messages split on the terminator and keep the unfinished rest', () => {
+    const { messages, rest } = dxp.splitMessages(`E20${dxp.MESSAGE_TERMINATOR}K0${dxp.MESSAGE_TERMINATOR}M00`);
+    assert.deepStrictEqual(messages, ['E20', 'K0']);
+    assert.strictEqual(rest, 'M00');
+    assert.deepStrictEqual(dxp.splitMessages('C hello'), { messages: [], rest: 'C hello' });
+});
+
+test('a game request round-trips, with and without a start position', () => {
+    const plain = dxp.parseMessage(dxp.formatGameRequest({ name: 'Engine', followerColor: 'red', thinkingTime: 10, moveCount: 50 }));
+    assert.deepStrictEqual(plain, {
+        valid: true,
+        type: 'GAMEREQ',
+        version: dxp.PROTOCOL_VERSION,
+        name: 'Engine',
+        followerColor: 'red',
+        thinkingTime: 10,
+        moveCount: 50,
+        fen: dxp.INITIAL_FEN
+    });
+
+    const { board, currentPlayer } = parseFen('B:WK31,45:B3,K12', 10);
+    const custom = dxp.parseMessage(dxp.formatGameRequest({ name: 'Engine', followerColor: 'black', position: { board, currentPlayer } }));
+    assert.strictEqual(custom.valid, true);
+    assert.strictEqual(custom.followerColor, 'black');
+    assert.strictEqual(custom.fen, 'B:WK31,45:B3,K12');
+});
+
+test('names are cut to their 32-character field', () => {
+    const message = dxp.formatGameAccept('A name far longer than thirty-two characters', dxp.ACCEPT_CODES.accepted);
+    assert.strictEqual(message.length, 1 + 32 + 1);
+    assert.deepStrictEqual(dxp.parseMessage(message), {
+        valid: true,
+        type: 'GAMEACC',
+        name: 'A name far longer than thirty-tw',
+        code: dxp.ACCEPT_CODES.accepted
+    });
+});
+
+test('moves, game ends and takebacks round-trip', () => {
+    assert.strictEqual(dxp.formatMoveMessage({ from: 32, to: 14, captured: [27, 19] }, 7), 'M00073214022719');
+    assert.deepStrictEqual(dxp.parseMessage('M00073214022719'), { valid: true, type: 'MOVE', seconds: 7, from: 32, to: 14, captured: [27, 19] });
+    assert.deepStrictEqual(dxp.parseMessage(dxp.formatGameEnd(dxp.END_REASONS.draw)), { valid: true, type: 'GAMEEND', reason: '2', stop: '0' });
+    assert.deepStrictEqual(dxp.parseMessage(dxp.formatBackRequest(12, 'black')), { valid: true, type: 'BACKREQ', moveNumber: 12, color: 'black' });
+    assert.deepStrictEqual(dxp.parseMessage(dxp.formatBackAccept(dxp.BACK_CODES.declined)), { valid: true, type: 'BACKACC', code: '2' });
+    assert.deepStrictEqual(dxp.parseMessage(dxp.formatChat('hi\0there')), { valid: true, type: 'CHAT', text: 'hithere' });
+});
+
+test('malformed messages are rejected', () => {
+    assert.strictEqual(dxp.parseMessage('M0007321401').valid, false);
+    assert.strictEqual(dxp.parseMessage('E2').valid, false);
+    assert.strictEqual(dxp.parseMessage('Bxx12W').valid, false);
+    assert.strictEqual(dxp.parseMessage('X').valid, false);
+});
@@ -0,0 +1,97 @@
+/**
+ * FEN and PDN round trips: what the server writes must read back as the same
+ * position and the same game.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CheckersGame = require('../src/game/CheckersGame');
+const { toFen, parseFen } = require('../src/game/fen');
+const { exportPdn, importPdn } = require('../src/game/pdn');
+const { getRuleSet } = require('../src/game/rules');
+
+/**
+ * Start a game between two seats, from the standard start or a position
+ */
+function startGame(variant, startPosition = null) {
+    const game = new CheckersGame('TEST', { rules: getRuleSet(variant), startPosition });
+    game.addPlayer('a', 'Alice');
+    game.addPlayer('b', 'Bob');
+    if (game.gameState === 'turn_selection') {
+        game.selectTurnOrder('a', 'self');
+    }
+    return game;
+}
+
+/**
+ * Play a repeatable sequence of legal turns (a small linear congruential generator picks them)
+ */
+function playTurns(game, count, seed = 1) {
+    let state = seed;
+    for (let i = 0; i < count && game.gameState === 'playing'; i++) {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        const turns = game.getLegalTurns();
+        const result = game.makeMovePath(turns[state % turns.length], game.getPlayerIdByColor(game.currentPlayer));
+        assert.ok(result.success, result.reason);
+    }
+}
+
+test('FEN round-trips the start position of every board size', () => {
+    for (const variant of ['american', 'international']) {
+        const game = startGame(variant);
+        const fen = toFen(game.board, game.currentPlayer);
+        const parsed = parseFen(fen, game.boardSize);
+
+        assert.ok(parsed.valid, parsed.reason);
+        assert.deepStrictEqual(parsed.board, game.board);
+        assert.strictEqual(parsed.currentPlayer, game.currentPlayer);
+    }
+});
+
+test('FEN keeps kings and the side to move', () => {
+    const parsed = parseFen('W:W21,22,K30:B1,2,K9', 8);
+    assert.ok(parsed.valid, parsed.reason);
+    assert.strictEqual(parsed.currentPlayer, 'black');
+
+    const reparsed = parseFen(toFen(parsed.board, parsed.currentPlayer), 8);
+    assert.deepStrictEqual(reparsed.board, parsed.board);
+    assert.strictEqual(reparsed.currentPlayer, 'black');
+});
+
+test('FEN rejects positions that do not fit the board', () => {
+    assert.strictEqual(parseFen('B:W33:B1', 8).valid, false);
+    assert.strictEqual(parseFen('not a fen', 8).valid, false);
+});
+
+test('PDN export and import replay the same game', () => {
+    for (const [variant, seed] of [['american', 7], ['russian', 11], ['international', 3]]) {
+        const game = startGame(variant);
+        playTurns(game, 40, seed);
+
+        const imported = importPdn(exportPdn(game));
+        assert.ok(imported.valid, `${variant}: ${imported.reason}`);
+        assert.deepStrictEqual(imported.moves, game.moveHistory.map(move => move.notation), variant);
+        assert.deepStrictEqual(imported.game.board, game.board, variant);
+        assert.strictEqual(imported.game.rules.id, variant);
+    }
+});
+
+test('PDN keeps a custom start position and the result', () => {
+    const start = parseFen('W:W18,22,K30:B5,6,14', 8);
+    const game = startGame('american', { board: start.board, currentPlayer: start.currentPlayer });
+    playTurns(game, 4, 5);
+    game.resign(game.getPlayerIdByColor(game.currentPlayer));
+
+    const pdn = exportPdn(game);
+    assert.match(pdn, /\[FEN "W:/);
+
+    const imported = importPdn(pdn);
+    assert.ok(imported.valid, imported.reason);
+    assert.deepStrictEqual(imported.moves, game.moveHistory.map(move => move.notation));
+    assert.strictEqual(imported.result, game.result.winner === 'red' ? '1-0' : '0-1');
+});
+
+test('PDN import refuses illegal moves', () => {
+    const imported = importPdn('[GameType "21"]\n\n1. 11-15 24-20 2. 15-24 *');
+    assert.strictEqual(imported.valid, false);
+});
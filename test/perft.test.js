@@ -0,0 +1,42 @@
+/**
+ * Perft checks: the move generators must reproduce the published leaf counts
+ * from the starting position of each variant.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CheckersGame = require('../src/game/CheckersGame');
+const bitboard = require('../src/game/bitboard');
+const { getRuleSet } = require('../src/game/rules');
+
+// Published perft counts from the standard start, depth 1 first
+const REFERENCE_COUNTS = {
+    american: [7, 49, 302, 1469, 7361, 36768],
+    russian: [7, 49, 302, 1469, 7482, 37986],
+    international: [9, 81, 658, 4265, 27117, 167140]
+};
+
+for (const [variant, counts] of Object.entries(REFERENCE_COUNTS)) {
+    test(`bitboard perft matches the reference counts for ${variant}`, () => {
+        const rules = getRuleSet(variant);
+        const game = new CheckersGame('PERFT', { rules });
+        const position = bitboard.fromBoard(game.board, game.currentPlayer);
+
+        counts.forEach((expected, index) => {
+            assert.strictEqual(bitboard.perft(position, rules, index + 1), expected, `perft(${index + 1})`);
+        });
+    });
+}
+
+test('CheckersGame and the bitboard generator agree on every root move', () => {
+    for (const variant of ['american', 'russian', 'international']) {
+        const rules = getRuleSet(variant);
+        const game = new CheckersGame('PERFT', { rules });
+        const position = bitboard.fromBoard(game.board, game.currentPlayer);
+
+        const fromGame = game.divide(3).map(entry => entry.nodes).sort((a, b) => a - b);
+        const fromBitboard = bitboard.divide(position, rules, 3).map(entry => entry.nodes).sort((a, b) => a - b);
+        assert.deepStrictEqual(fromGame, fromBitboard, variant);
+        assert.strictEqual(game.perft(4), REFERENCE_COUNTS[variant][3], `${variant} perft(4) through makeMovePath`);
+    }
+});
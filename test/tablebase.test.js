@@ -0,0 +1,64 @@
+/**
+ * Endgame tablebase: known endgames must come out with the right result, and
+ * a saved tablebase must load back unchanged.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const bitboard = require('../src/game/bitboard');
+const { parseFen } = require('../src/game/fen');
+const { getRuleSet } = require('../src/game/rules');
+const { generateTablebase, saveTablebase, loadTablebase, probe } = require('../src/game/tablebase');
+
+const rules = getRuleSet('american');
+const tablebase = generateTablebase(rules, 3);
+
+function probeFen(source, fen) {
+    const { board, currentPlayer } = parseFen(fen, rules.boardSize);
+    return probe(source, bitboard.fromBoard(board, currentPlayer));
+}
+
+test('two kings beat a lone king', () => {
+    assert.strictEqual(probeFen(tablebase, 'W:WK10,K14:BK1').outcome, 'win');
+    assert.strictEqual(probeFen(tablebase, 'B:WK10,K14:BK1').outcome, 'loss');
+});
+
+test('a king against a king is a draw', () => {
+    assert.deepStrictEqual(probeFen(tablebase, 'W:WK14:BK1'), { outcome: 'draw', plies: 0 });
+    assert.deepStrictEqual(probeFen(tablebase, 'B:WK14:BK1'), { outcome: 'draw', plies: 0 });
+});
+
+test('the best move of a won position leads to a loss one ply shorter', () => {
+    const { board, currentPlayer } = parseFen('W:WK10,K14:BK1', rules.boardSize);
+    const position = bitboard.fromBoard(board, currentPlayer);
+    const { plies } = probe(tablebase, position);
+
+    const replies = bitboard.generateMoves(position, rules)
+        .map(move => probe(tablebase, bitboard.makeMove(position, move)));
+    const fastest = replies
+        .filter(reply => reply.outcome === 'loss')
+        .reduce((best, reply) => Math.min(best, reply.plies), Infinity);
+    assert.strictEqual(fastest, plies - 1);
+});
+
+test('positions with more pieces than the tablebase are not covered', () => {
+    assert.strictEqual(probeFen(tablebase, 'W:WK10,K14:BK1,K2'), null);
+});
+
+test('a saved tablebase loads back with the same results', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'checkers-tablebase-'));
+    try {
+        const file = path.join(directory, 'american.cktb');
+        saveTablebase(tablebase, file);
+        const loaded = loadTablebase(file, rules);
+
+        for (const fen of ['W:WK10,K14:BK1', 'B:WK10,K14:BK1', 'W:WK14:BK1', 'W:W22:B1']) {
+            assert.deepStrictEqual(probeFen(loaded, fen), probeFen(tablebase, fen), fen);
+        }
+    } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+    }
+});